@@ -0,0 +1,45 @@
+// Redirect analytics for the /r/ serverless function.
+// Each redirect attempt is stored as one event through the component repository
+// (in Firestore, one document in the 'redirectEvents' collection).
+
+const MAX_REFERRER_LENGTH = 500;
+
+/**
+ * Maps a User-Agent header to a coarse client type.
+ * We only keep the category, never the raw User-Agent string.
+ */
+function getClientType(userAgent) {
+  const ua = String(userAgent || '').toLowerCase();
+  if (!ua) return 'unknown';
+  if (/bot|crawler|spider|slackbot|preview|unfurl|curl|wget/.test(ua)) return 'bot';
+  if (ua.includes('figma')) return 'figma-desktop';
+  if (/mobile|android|iphone|ipad/.test(ua)) return 'mobile';
+  return 'browser';
+}
+
+/**
+ * Writes one redirect event. Analytics must never break a redirect,
+ * so failures are logged and swallowed.
+ *
+ * @param {import('../../src/shared/storage/repository').ComponentRepository} repository
+ * @param {object} req - The incoming request (for referrer and user-agent headers).
+ * @param {object} event - { outcome: 'hit' | 'miss', componentId, branch, workspaceId, reason }
+ */
+async function recordRedirectEvent(repository, req, event) {
+  try {
+    const headers = req.headers || {};
+    await repository.recordRedirectEvent({
+      outcome: event.outcome,
+      componentId: event.componentId || null,
+      branch: event.branch || null,
+      workspaceId: event.workspaceId || null,
+      reason: event.reason || null,
+      referrer: String(headers.referer || headers.referrer || '').slice(0, MAX_REFERRER_LENGTH) || null,
+      clientType: getClientType(headers['user-agent']),
+    });
+  } catch (error) {
+    console.error('Failed to record redirect event:', error.message);
+  }
+}
+
+module.exports = { getClientType, recordRedirectEvent };
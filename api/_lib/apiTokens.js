@@ -0,0 +1,35 @@
+// API token authentication for the admin API.
+const crypto = require('crypto');
+const { API_TOKEN_PREFIX } = require('../../src/shared/apiTokens');
+const { getMemberRole } = require('../../src/shared/workspaces');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Looks up the token from the `Authorization: Bearer <token>` header.
+ * Returns { id, uid, name, scope, workspaceId, role } for a valid token, or null.
+ * A token stops working as soon as its creator leaves the token's workspace, and it
+ * never has more rights than the creator's current role.
+ */
+async function authenticateRequest(db, admin, req) {
+  const header = (req.headers && req.headers.authorization) || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (!match || !match[1].startsWith(API_TOKEN_PREFIX)) return null;
+
+  const tokenRef = db.collection('apiTokens').doc(hashToken(match[1]));
+  const tokenSnap = await tokenRef.get();
+  if (!tokenSnap.exists) return null;
+
+  const { uid, name, scope, workspaceId } = tokenSnap.data();
+  const workspaceSnap = await db.collection('workspaces').doc(workspaceId).get();
+  const role = workspaceSnap.exists ? getMemberRole(workspaceSnap.data(), uid) : null;
+  if (!role) return null;
+
+  // Usage tracking must never fail a request.
+  tokenRef.update({ lastUsedAt: admin.firestore.FieldValue.serverTimestamp() })
+    .catch((error) => console.error('Failed to update token lastUsedAt:', error.message));
+
+  return { id: tokenSnap.id, uid, name, scope, workspaceId, role };
+}
+
+module.exports = { hashToken, authenticateRequest };
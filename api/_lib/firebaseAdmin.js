@@ -0,0 +1,36 @@
+// Import the Firebase Admin SDK
+const admin = require('firebase-admin');
+
+/**
+ * Initializes the Firebase Admin SDK.
+ * It checks for the required environment variable and ensures the app is only initialized once.
+ * This function is designed to be called within the handler to catch initialization errors.
+ */
+function initializeFirebaseAdmin() {
+  // Prevent re-initializing the app on subsequent cold starts.
+  if (admin.apps.length > 0) {
+    return admin.app();
+  }
+
+  // Against the local emulator no credentials are needed; the Admin SDK picks up
+  // FIRESTORE_EMULATOR_HOST by itself.
+  if (process.env.FIRESTORE_EMULATOR_HOST) {
+    return admin.initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'demo-redirect-manager' });
+  }
+
+  // This is the most common point of failure. Check if the environment variable is set.
+  if (!process.env.FIREBASE_SERVICE_ACCOUNT_KEY) {
+    // This clear error will now appear in your Vercel logs if the variable is missing.
+    throw new Error('CRITICAL: FIREBASE_SERVICE_ACCOUNT_KEY environment variable is not set.');
+  }
+
+  // Parse the service account key from the environment variable.
+  const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_KEY);
+
+  // Initialize the Firebase app.
+  return admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount)
+  });
+}
+
+module.exports = { admin, initializeFirebaseAdmin };
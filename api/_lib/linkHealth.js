@@ -0,0 +1,180 @@
+// Health checks for stored redirect targets, used by the scheduled job and manual re-checks
+// (api/health.js) and by the local dev server. `fetch` and the Figma API base URL can be
+// passed in, so the checker can run against a local stub HTTP server.
+const { getActiveBranches } = require('../../src/shared/branches');
+const { isValidTargetUrl } = require('../../src/shared/components');
+const { parseFigmaUrl } = require('../../src/shared/figmaUrls');
+const { getWorstStatus } = require('../../src/shared/linkHealth');
+
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const DEFAULT_BUDGET_MS = 50 * 1000;
+const DEFAULT_CONCURRENCY = 4;
+const MAX_REDIRECTS = 5;
+const DEFAULT_FIGMA_API_BASE_URL = 'https://api.figma.com';
+const USER_AGENT = 'FigmaRedirectManager-HealthCheck/1.0';
+
+/**
+ * Options for checkUrl/checkComponent/runHealthCheck. Defaults come from the environment:
+ * FIGMA_ACCESS_TOKEN enables checks against the Figma REST API, which can tell a deleted or
+ * inaccessible file apart from a working one; FIGMA_API_BASE_URL points those checks elsewhere.
+ */
+const getCheckerOptions = (overrides = {}) => ({
+  fetch: global.fetch,
+  timeoutMs: DEFAULT_TIMEOUT_MS,
+  figmaToken: process.env.FIGMA_ACCESS_TOKEN || null,
+  figmaApiBaseUrl: process.env.FIGMA_API_BASE_URL || DEFAULT_FIGMA_API_BASE_URL,
+  ...overrides,
+});
+
+async function fetchWithTimeout(options, url, init) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), options.timeoutMs);
+  try {
+    return await options.fetch(url, { ...init, signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+const hostOf = (url) => url.hostname.toLowerCase().replace(/^www\./, '');
+const trimPath = (url) => url.pathname.replace(/\/+$/, '');
+
+// Same host (ignoring www.) and the same Figma file, or for other sites the same path.
+// Figma moving /file/ to /design/ or adding query params is not "redirected elsewhere".
+function isSameTarget(original, final) {
+  if (hostOf(original) !== hostOf(final)) return false;
+  const figmaOriginal = parseFigmaUrl(original.href);
+  const figmaFinal = parseFigmaUrl(final.href);
+  if (figmaOriginal && figmaOriginal.fileKey) {
+    return Boolean(figmaFinal) && figmaFinal.fileKey === figmaOriginal.fileKey && figmaFinal.branchKey === figmaOriginal.branchKey;
+  }
+  return trimPath(original) === trimPath(final);
+}
+
+// Private files send anonymous visitors to a sign-in page on the same site. So do deleted Figma
+// files, so a sign-in page says nothing about whether the target exists.
+const isSignInPage = (original, final) => hostOf(original) === hostOf(final) && /^\/(login|signin|sign-in)\b/.test(final.pathname);
+
+// fetch() reports network failures as "fetch failed" with the real reason (e.g. ENOTFOUND) in `cause`.
+const describeFetchError = (error, options) => (error.name === 'AbortError'
+  ? `No response within ${options.timeoutMs / 1000} seconds.`
+  : `Could not connect: ${(error.cause && (error.cause.code || error.cause.message)) || error.message}`);
+
+// Follows redirects by hand so a move to another site can be reported rather than followed silently.
+async function checkHttp(url, options) {
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const init = { redirect: 'manual', headers: { 'User-Agent': USER_AGENT } };
+    let response = await fetchWithTimeout(options, current, { ...init, method: 'HEAD' });
+    // Some servers don't support HEAD.
+    if (response.status === 405 || response.status === 501) response = await fetchWithTimeout(options, current, { ...init, method: 'GET' });
+
+    const location = response.headers.get('location');
+    if (response.status >= 300 && response.status < 400 && location) {
+      current = new URL(location, current).href;
+      continue;
+    }
+    if (response.status < 200 || response.status >= 300) {
+      return { status: 'unreachable', httpStatus: response.status, message: `Responded with HTTP ${response.status}.` };
+    }
+
+    const original = new URL(url);
+    const final = new URL(current);
+    if (isSignInPage(original, final)) {
+      const figma = parseFigmaUrl(url);
+      const hint = figma && figma.isFigma && !options.figmaToken ? ' Set FIGMA_ACCESS_TOKEN to check Figma files through the Figma API.' : '';
+      return { status: 'unverified', httpStatus: response.status, message: `Requires sign-in, so it may not exist.${hint}` };
+    }
+    if (!isSameTarget(original, final)) return { status: 'redirected', httpStatus: response.status, location: current, message: `Redirects to ${current}` };
+    return { status: 'ok', httpStatus: response.status };
+  }
+  return { status: 'unreachable', message: `More than ${MAX_REDIRECTS} redirects.` };
+}
+
+// Asks the Figma REST API whether the file (or branch) still exists. Returns null when the
+// answer is inconclusive (rate limits, outages), so the plain HTTP check is used instead.
+async function checkFigmaFile(parsed, options) {
+  const key = parsed.branchKey || parsed.fileKey;
+  const response = await fetchWithTimeout(options, `${options.figmaApiBaseUrl}/v1/files/${encodeURIComponent(key)}/meta`, {
+    headers: { 'X-Figma-Token': options.figmaToken, 'User-Agent': USER_AGENT },
+  });
+  if (response.ok) return { status: 'ok', httpStatus: response.status };
+  if (response.status === 404) return { status: 'unreachable', httpStatus: 404, message: 'The Figma file was deleted or does not exist.' };
+  if (response.status === 403) return { status: 'unreachable', httpStatus: 403, message: 'The health check\'s Figma token has no access to this file.' };
+  return null;
+}
+
+/**
+ * Checks one target URL. Never throws; failures are reported as 'unreachable'.
+ * Returns { url, status, httpStatus?, location?, message?, checkedAt }.
+ */
+async function checkUrl(url, overrides) {
+  const options = getCheckerOptions(overrides);
+  const finish = (result) => ({ url, httpStatus: null, location: null, message: null, ...result, checkedAt: Date.now() });
+
+  if (!isValidTargetUrl(url)) return finish({ status: 'malformed', message: 'Not a valid http(s) URL.' });
+  const parsed = parseFigmaUrl(url);
+  if (parsed && parsed.isFigma && !parsed.fileKey) return finish({ status: 'malformed', message: 'This Figma URL does not point to a file.' });
+
+  try {
+    if (options.figmaToken && parsed && parsed.fileKey) {
+      const figmaResult = await checkFigmaFile(parsed, options);
+      if (figmaResult) return finish(figmaResult);
+    }
+    return finish(await checkHttp(url, options));
+  } catch (error) {
+    return finish({ status: 'unreachable', message: describeFetchError(error, options) });
+  }
+}
+
+/**
+ * Checks every branch /r/ currently serves for a component and returns its new `health` field.
+ */
+async function checkComponent(data, overrides) {
+  const results = {};
+  const byUrl = {}; // Branches often share a URL; check each URL once.
+  for (const [name, url] of Object.entries(getActiveBranches(data))) {
+    if (!byUrl[url]) byUrl[url] = await checkUrl(url, overrides);
+    results[name] = byUrl[url];
+  }
+  return {
+    status: getWorstStatus(Object.values(results).map((result) => result.status)),
+    checkedAt: Date.now(),
+    branches: results,
+  };
+}
+
+/**
+ * Checks components and stores the results on them. Without `ids` every component is checked,
+ * least recently checked first, until `budgetMs` runs out; later runs pick up the rest.
+ * Returns { checked, remaining, results: [{ id, status } | { id, error }] }.
+ */
+async function runHealthCheck(repository, { ids, budgetMs = DEFAULT_BUDGET_MS, concurrency = DEFAULT_CONCURRENCY, ...overrides } = {}) {
+  const components = ids
+    ? (await Promise.all(ids.map((id) => repository.getComponent(id)))).filter(Boolean)
+    : await repository.listAllComponents();
+  const lastChecked = (component) => (component.health && component.health.checkedAt) || 0;
+  components.sort((a, b) => lastChecked(a) - lastChecked(b));
+
+  const deadline = Date.now() + budgetMs;
+  const results = [];
+  let next = 0;
+  const worker = async () => {
+    while (next < components.length && Date.now() < deadline) {
+      const component = components[next++];
+      try {
+        const health = await checkComponent(component, overrides);
+        await repository.updateComponentHealth(component.id, health);
+        results.push({ id: component.id, status: health.status });
+      } catch (error) {
+        console.error(`Health check failed for '${component.id}':`, error.message);
+        results.push({ id: component.id, error: error.message });
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: concurrency }, worker));
+
+  return { checked: results.length, remaining: components.length - results.length, results };
+}
+
+module.exports = { checkUrl, checkComponent, runHealthCheck };
@@ -0,0 +1,166 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+import { checkUrl, checkComponent } from './linkHealth';
+
+const FILE_URL = 'https://www.figma.com/design/abc123/Library';
+const FIGMA_API = 'https://figma-api.test';
+
+const response = (status, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (name) => headers[name.toLowerCase()] || null },
+});
+
+// A fetch that answers from `routes` ({ url: response }) and fails like fetch() for anything else.
+const createFetch = (routes) => jest.fn(async (url) => {
+  if (routes[url]) return routes[url];
+  throw Object.assign(new TypeError('fetch failed'), { cause: { code: 'ENOTFOUND' } });
+});
+
+// A fetch that never answers, until the checker gives up and aborts it.
+const hangingFetch = (url, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+});
+
+describe('checkUrl without FIGMA_ACCESS_TOKEN', () => {
+  const check = (url, routes) => checkUrl(url, { fetch: createFetch(routes), figmaToken: null });
+
+  it("can't vouch for a Figma file behind the sign-in page", async () => {
+    const result = await check(FILE_URL, {
+      [FILE_URL]: response(302, { location: '/login?redirect=%2Fdesign%2Fabc123' }),
+      'https://www.figma.com/login?redirect=%2Fdesign%2Fabc123': response(200),
+    });
+    expect(result).toMatchObject({ status: 'unverified', httpStatus: 200 });
+    expect(result.message).toMatch(/FIGMA_ACCESS_TOKEN/);
+  });
+
+  it('reports a 404 as unreachable', async () => {
+    expect(await check(FILE_URL, { [FILE_URL]: response(404) })).toMatchObject({ status: 'unreachable', httpStatus: 404, message: 'Responded with HTTP 404.' });
+  });
+
+  it('treats Figma moving /file/ to /design/ as the same target', async () => {
+    const oldUrl = 'https://www.figma.com/file/abc123/Library';
+    expect(await check(oldUrl, { [oldUrl]: response(301, { location: FILE_URL }), [FILE_URL]: response(200) })).toMatchObject({ status: 'ok' });
+  });
+
+  it('reports redirects to another site', async () => {
+    const url = 'https://docs.example.com/button';
+    const result = await check(url, { [url]: response(301, { location: 'https://elsewhere.example.com/' }), 'https://elsewhere.example.com/': response(200) });
+    expect(result).toMatchObject({ status: 'redirected', location: 'https://elsewhere.example.com/' });
+  });
+
+  it('gives up on redirect loops', async () => {
+    const url = 'https://docs.example.com/loop';
+    expect(await check(url, { [url]: response(302, { location: url }) })).toMatchObject({ status: 'unreachable', message: 'More than 5 redirects.' });
+  });
+
+  it('reports connection errors and malformed URLs', async () => {
+    expect(await check('https://nowhere.example.com/', {})).toMatchObject({ status: 'unreachable', message: 'Could not connect: ENOTFOUND' });
+    expect(await check('ftp://example.com/file', {})).toMatchObject({ status: 'malformed' });
+    expect(await check('https://www.figma.com/files/recents', {})).toMatchObject({ status: 'malformed' });
+  });
+});
+
+describe('checkUrl with FIGMA_ACCESS_TOKEN', () => {
+  const check = (routes) => checkUrl(FILE_URL, { fetch: createFetch(routes), figmaToken: 'figd_test', figmaApiBaseUrl: FIGMA_API });
+  const metaUrl = `${FIGMA_API}/v1/files/abc123/meta`;
+
+  it('reports a deleted file as unreachable', async () => {
+    expect(await check({ [metaUrl]: response(404) })).toMatchObject({ status: 'unreachable', httpStatus: 404, message: 'The Figma file was deleted or does not exist.' });
+  });
+
+  it('reports an existing file as healthy', async () => {
+    expect(await check({ [metaUrl]: response(200) })).toMatchObject({ status: 'ok' });
+  });
+
+  it('falls back to the HTTP check when the API is rate limited', async () => {
+    expect(await check({ [metaUrl]: response(429), [FILE_URL]: response(200) })).toMatchObject({ status: 'ok' });
+  });
+});
+
+describe('timeouts', () => {
+  it('reports a target that does not answer in time', async () => {
+    const result = await checkUrl('https://slow.example.com/', { fetch: hangingFetch, timeoutMs: 20 });
+    expect(result).toMatchObject({ status: 'unreachable', message: 'No response within 0.02 seconds.' });
+  });
+});
+
+describe('checkComponent', () => {
+  it('checks each URL once and reports the worst branch', async () => {
+    const fetch = createFetch({ [FILE_URL]: response(200), 'https://docs.example.com/gone': response(410) });
+    const health = await checkComponent({ branches: { main: FILE_URL, latest: FILE_URL, docs: 'https://docs.example.com/gone' } }, { fetch, figmaToken: null });
+    expect(health.status).toBe('unreachable');
+    expect(Object.keys(health.branches)).toEqual(['main', 'latest', 'docs']);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+});
+
+// Jest's Node environment has no global fetch, so the checker gets a minimal one over the http
+// module. Like fetch with `redirect: 'manual'`, it hands back redirects instead of following them.
+const httpFetch = (url, { method, headers, signal }) => new Promise((resolve, reject) => {
+  const request = http.request(url, { method, headers, signal }, (res) => {
+    res.resume();
+    resolve({ ok: res.statusCode >= 200 && res.statusCode < 300, status: res.statusCode, headers: { get: (name) => res.headers[name.toLowerCase()] || null } });
+  });
+  request.on('error', reject);
+  request.end();
+});
+
+describe('against a local HTTP server', () => {
+  const requests = [];
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requests.push(`${req.method} ${req.url}`);
+      const routes = {
+        // Doesn't support HEAD.
+        '/docs/button': () => res.writeHead(req.method === 'HEAD' ? 405 : 200).end(),
+        '/docs/old': () => res.writeHead(301, { Location: '/docs/old/' }).end(),
+        '/docs/old/': () => res.writeHead(200).end(),
+        '/docs/moved': () => res.writeHead(302, { Location: '/elsewhere' }).end(),
+        '/elsewhere': () => res.writeHead(200).end(),
+        '/docs/slow': () => {}, // Never answers.
+        '/v1/files/abc123/meta': () => res.writeHead(req.headers['x-figma-token'] === 'figd_test' ? 404 : 403).end(),
+      };
+      (routes[req.url] || (() => res.writeHead(404).end()))();
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests.length = 0;
+  });
+
+  const check = (path, overrides) => checkUrl(`${baseUrl}${path}`, { fetch: httpFetch, figmaToken: null, ...overrides });
+
+  it('retries with GET when HEAD is not supported', async () => {
+    expect(await check('/docs/button')).toMatchObject({ status: 'ok', httpStatus: 200 });
+    expect(requests).toEqual(['HEAD /docs/button', 'GET /docs/button']);
+  });
+
+  it('follows redirects and reports the ones that lead elsewhere', async () => {
+    expect(await check('/docs/old')).toMatchObject({ status: 'ok', httpStatus: 200 });
+    expect(await check('/docs/moved')).toMatchObject({ status: 'redirected', location: `${baseUrl}/elsewhere` });
+    expect(await check('/docs/missing')).toMatchObject({ status: 'unreachable', httpStatus: 404 });
+  });
+
+  it('gives up on a server that does not answer in time', async () => {
+    expect(await check('/docs/slow', { timeoutMs: 100 })).toMatchObject({ status: 'unreachable', message: 'No response within 0.1 seconds.' });
+  });
+
+  it('asks the Figma API at FIGMA_API_BASE_URL with the token', async () => {
+    const result = await checkUrl(FILE_URL, { fetch: httpFetch, figmaToken: 'figd_test', figmaApiBaseUrl: baseUrl });
+    expect(result).toMatchObject({ status: 'unreachable', httpStatus: 404 });
+    expect(requests).toEqual(['GET /v1/files/abc123/meta']);
+  });
+});
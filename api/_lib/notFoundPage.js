@@ -0,0 +1,95 @@
+// The public "link not found" page the /r/ function renders instead of redirecting to the
+// dashboard, and the page shown after someone reports a broken link. Plain HTML with inline
+// styles, so it needs nothing from the React build and no sign-in.
+const { MISS_REASONS, REPORT_MESSAGE_MAX_LENGTH } = require('../../src/shared/linkReports');
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Colors follow the dashboard's Shadcn palette.
+const STYLES = `
+  body { margin: 0; font-family: ui-sans-serif, system-ui, -apple-system, "Segoe UI", sans-serif; background: #fff; color: #0a0a0a; }
+  main { max-width: 36rem; margin: 10vh auto; padding: 0 1.5rem; }
+  .brand { font-size: .875rem; font-weight: 600; color: #737373; margin-bottom: 2rem; }
+  h1 { font-size: 1.875rem; line-height: 1.2; margin: 0 0 .75rem; }
+  p { line-height: 1.5; color: #404040; }
+  code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; background: #f5f5f5; border-radius: .25rem; padding: .125rem .375rem; }
+  section { border: 1px solid #e5e5e5; border-radius: .5rem; padding: 1rem 1.25rem; margin-top: 1.5rem; }
+  h2 { font-size: 1rem; margin: 0 0 .5rem; }
+  ul { margin: 0; padding-left: 1.25rem; }
+  li { margin: .25rem 0; }
+  a { color: #0a0a0a; }
+  .muted { color: #737373; }
+  textarea { box-sizing: border-box; width: 100%; min-height: 5rem; border: 1px solid #e5e5e5; border-radius: .375rem; padding: .5rem .75rem; font: inherit; }
+  button { margin-top: .75rem; background: #171717; color: #fafafa; border: 0; border-radius: .375rem; padding: .5rem 1rem; font: inherit; font-weight: 500; cursor: pointer; }
+`;
+
+const renderDocument = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)} · Figma Redirect Manager</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+<div class="brand">Figma Redirect Manager</div>
+${body}
+</main>
+</body>
+</html>`;
+
+/**
+ * Renders the "link not found" page.
+ *
+ * @param {object} options
+ * @param {string} options.reason - A key of MISS_REASONS.
+ * @param {string} options.path - The requested pretty link, e.g. /r/button/main.
+ * @param {string} [options.componentId]
+ * @param {string} [options.branch]
+ * @param {{ href: string, label: string }[]} [options.suggestions] - Links to show under "Did you mean".
+ * @param {string} [options.referrer] - Where the visitor came from, passed on with a report.
+ */
+function renderNotFoundPage({ reason, path, componentId, branch, suggestions = [], referrer }) {
+  const copy = MISS_REASONS[reason] || MISS_REASONS['invalid-link'];
+  const hidden = { componentId, branch, reason, path, referrer };
+
+  return renderDocument(copy.title, `
+<h1>${escapeHtml(copy.title)}</h1>
+<p>${escapeHtml(copy.description)}</p>
+<p class="muted">Requested link: <code>${escapeHtml(path)}</code></p>
+${suggestions.length ? `<section>
+<h2>Did you mean</h2>
+<ul>
+${suggestions.map((suggestion) => `<li><a href="${escapeHtml(suggestion.href)}">${escapeHtml(suggestion.label)}</a> <code>${escapeHtml(suggestion.href)}</code></li>`).join('\n')}
+</ul>
+</section>` : ''}
+<section>
+<h2>Report broken link</h2>
+<p class="muted">Let the people who manage this link know it is broken. Saying where you found it helps.</p>
+<form method="post" action="/api/reports">
+${Object.entries(hidden).map(([name, value]) => `<input type="hidden" name="${name}" value="${escapeHtml(value)}">`).join('\n')}
+<textarea name="message" maxlength="${REPORT_MESSAGE_MAX_LENGTH}" aria-label="Message (optional)" placeholder="Optional: where did you find this link?"></textarea>
+<button type="submit">Report broken link</button>
+</form>
+</section>`);
+}
+
+/**
+ * Renders the page shown after a report was sent (or could not be).
+ */
+function renderReportResultPage({ ok, message, backUrl }) {
+  const title = ok ? 'Thanks for reporting this link' : 'The report could not be sent';
+  return renderDocument(title, `
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(message)}</p>
+${backUrl ? `<p><a href="${escapeHtml(backUrl)}">Go back</a></p>` : ''}`);
+}
+
+module.exports = { escapeHtml, renderNotFoundPage, renderReportResultPage };
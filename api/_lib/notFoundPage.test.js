@@ -0,0 +1,53 @@
+/**
+ * @jest-environment node
+ */
+import { escapeHtml, renderNotFoundPage as notFoundPage, renderReportResultPage as reportResultPage } from './notFoundPage';
+
+const ATTACK = '"><script>alert(\'x\')</script>';
+
+describe('escapeHtml', () => {
+  it('escapes markup and both quote characters', () => {
+    expect(escapeHtml(ATTACK)).toBe('&quot;&gt;&lt;script&gt;alert(&#39;x&#39;)&lt;/script&gt;');
+    expect(escapeHtml('a & b')).toBe('a &amp; b');
+    expect(escapeHtml(null)).toBe('');
+    expect(escapeHtml(undefined)).toBe('');
+  });
+});
+
+describe('renderNotFoundPage', () => {
+  it('escapes the requested link, the suggestions and the report form values', () => {
+    const page = notFoundPage({
+      reason: 'branch-not-found',
+      path: `/r/button/${ATTACK}`,
+      componentId: 'button',
+      branch: ATTACK,
+      suggestions: [{ href: '/r/button/main', label: `${ATTACK} / main` }],
+      referrer: `https://example.com/?q=${ATTACK}`,
+    });
+
+    expect(page).not.toContain('<script>');
+    expect(page).toContain(`<code>/r/button/${escapeHtml(ATTACK)}</code>`);
+    expect(page).toContain(`<a href="/r/button/main">${escapeHtml(ATTACK)} / main</a>`);
+    expect(page).toContain(`<input type="hidden" name="branch" value="${escapeHtml(ATTACK)}">`);
+    expect(page).toContain(`<input type="hidden" name="referrer" value="https://example.com/?q=${escapeHtml(ATTACK)}">`);
+  });
+
+  it('explains the reason and leaves out "Did you mean" without suggestions', () => {
+    const page = notFoundPage({ reason: 'component-not-found', path: '/r/nope' });
+    expect(page).toContain('This component does not exist');
+    expect(page).not.toContain('Did you mean');
+  });
+
+  it('falls back to the invalid-link copy for an unknown reason', () => {
+    expect(notFoundPage({ reason: 'nope', path: '/r' })).toContain('This link is not a valid pretty link');
+  });
+});
+
+describe('renderReportResultPage', () => {
+  it('escapes the message and the link back', () => {
+    const page = reportResultPage({ ok: false, message: ATTACK, backUrl: `https://example.com/${ATTACK}` });
+    expect(page).not.toContain('<script>');
+    expect(page).toContain(`<p>${escapeHtml(ATTACK)}</p>`);
+    expect(page).toContain(`<a href="https://example.com/${escapeHtml(ATTACK)}">Go back</a>`);
+  });
+});
@@ -0,0 +1,113 @@
+// Caching for the /r/ function: an in-process lookup cache for components and the
+// Cache-Control header that lets the edge cache redirects.
+//
+// An edit reaches visitors after at most REDIRECT_CACHE_TTL_SECONDS (the lookup cache) plus
+// REDIRECT_EDGE_MAX_AGE_SECONDS and REDIRECT_STALE_WHILE_REVALIDATE_SECONDS (the edge), two minutes
+// by default. Writes made through the functions in the same process drop the cached entry at once
+// (see ./storage/index.js); dashboard edits go straight to Firestore and always wait for expiry.
+const { getNextScheduleChange } = require('../../src/shared/branches');
+const { getComponentSlugs } = require('../../src/shared/components');
+
+const readSeconds = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const CACHE_TTL_SECONDS = readSeconds('REDIRECT_CACHE_TTL_SECONDS', 30);
+const CACHE_MAX_ENTRIES = readSeconds('REDIRECT_CACHE_MAX_ENTRIES', 1000);
+const EDGE_MAX_AGE_SECONDS = readSeconds('REDIRECT_EDGE_MAX_AGE_SECONDS', 30);
+const STALE_WHILE_REVALIDATE_SECONDS = readSeconds('REDIRECT_STALE_WHILE_REVALIDATE_SECONDS', 60);
+// Lets the edge keep serving a cached redirect for a day if the function starts failing.
+const STALE_IF_ERROR_SECONDS = 24 * 60 * 60;
+
+const NO_STORE = 'no-store';
+
+/**
+ * Creates a bounded cache with a TTL. Expired entries are kept until they are evicted, so the
+ * last-known value can still be served when loading fails.
+ *
+ * @param {object} options
+ * @param {number} options.ttlMs - How long a loaded value is used without reloading. 0 always reloads.
+ * @param {number} options.maxEntries - The least recently used entries are evicted beyond this.
+ */
+function createLookupCache({ ttlMs, maxEntries }) {
+  const entries = new Map(); // Insertion order is recency order.
+  const inFlight = new Map();
+
+  const remember = (key, entry) => {
+    entries.delete(key);
+    entries.set(key, entry);
+    while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+  };
+
+  /**
+   * Returns { value, status }. `status` is 'hit' (cached and fresh), 'miss' (just loaded) or
+   * 'stale' (loading failed, so the last-known value is returned). Throws if loading fails and
+   * nothing was cached. Concurrent loads of the same key share one call to `load`.
+   */
+  const get = async (key, load) => {
+    const entry = entries.get(key);
+    if (entry && Date.now() - entry.loadedAt < ttlMs) {
+      remember(key, entry);
+      return { value: entry.value, status: 'hit' };
+    }
+
+    if (!inFlight.has(key)) {
+      inFlight.set(key, Promise.resolve().then(load).finally(() => inFlight.delete(key)));
+    }
+    try {
+      const value = await inFlight.get(key);
+      remember(key, { value, loadedAt: Date.now() });
+      return { value, status: 'miss' };
+    } catch (error) {
+      if (!entry) throw error;
+      console.warn(`Lookup for '${key}' failed, serving the last-known value:`, error.message);
+      return { value: entry.value, status: 'stale' };
+    }
+  };
+
+  return {
+    get,
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear(),
+  };
+}
+
+// Missing components are cached too (as null), so dead links people keep requesting stay cheap.
+const componentCache = createLookupCache({ ttlMs: CACHE_TTL_SECONDS * 1000, maxEntries: CACHE_MAX_ENTRIES });
+
+/**
+ * Looks a component up by its ID, slug or an alias through the cache. Returns { value, status }
+ * like createLookupCache's get().
+ */
+const getCachedComponent = (repository, slug) => componentCache.get(slug, () => repository.getComponentBySlug(slug));
+
+/**
+ * Drops a component's cache entries. Entries are keyed by the slug they were requested under, so
+ * pass every version of the component a write touched; all of their slugs are dropped.
+ */
+const invalidateCachedComponent = (componentId, ...versions) => {
+  componentCache.delete(componentId);
+  versions.filter(Boolean).forEach((data) => getComponentSlugs(componentId, data).forEach((slug) => componentCache.delete(slug)));
+};
+
+/**
+ * The Cache-Control header for a redirect to one of this component's branches. The edge may
+ * keep it for EDGE_MAX_AGE_SECONDS, but never past the component's next scheduled change.
+ */
+function getRedirectCacheControl(componentData, now = Date.now()) {
+  const nextChange = getNextScheduleChange(componentData.schedule, now);
+  const untilNextChange = nextChange === null ? Infinity : Math.floor((nextChange - now) / 1000);
+  const sMaxAge = Math.min(EDGE_MAX_AGE_SECONDS, untilNextChange);
+  if (sMaxAge <= 0) return NO_STORE;
+  const staleWhileRevalidate = Math.min(STALE_WHILE_REVALIDATE_SECONDS, untilNextChange - sMaxAge);
+  return `public, max-age=0, s-maxage=${sMaxAge}, stale-while-revalidate=${staleWhileRevalidate}, stale-if-error=${STALE_IF_ERROR_SECONDS}`;
+}
+
+module.exports = {
+  NO_STORE,
+  createLookupCache,
+  getCachedComponent,
+  invalidateCachedComponent,
+  getRedirectCacheControl,
+};
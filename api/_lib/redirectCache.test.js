@@ -0,0 +1,120 @@
+/**
+ * @jest-environment node
+ */
+import { createLookupCache, getCachedComponent, getRedirectCacheControl, invalidateCachedComponent } from './redirectCache';
+
+const FILE_URL = 'https://www.figma.com/design/abc123/Library';
+const RC_URL = 'https://www.figma.com/design/abc123/branch/def456/Library';
+const T0 = Date.UTC(2024, 4, 1, 9, 0);
+const SECOND = 1000;
+
+// A loader that counts its calls and answers with `<key>@<call number>`.
+const createLoader = () => {
+  const calls = {};
+  const load = (key) => () => {
+    calls[key] = (calls[key] || 0) + 1;
+    return Promise.resolve(`${key}@${calls[key]}`);
+  };
+  return { calls, load };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(T0);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('createLookupCache', () => {
+  it('serves a loaded value until its TTL runs out', async () => {
+    const cache = createLookupCache({ ttlMs: 30 * SECOND, maxEntries: 10 });
+    const { calls, load } = createLoader();
+
+    expect(await cache.get('button', load('button'))).toEqual({ value: 'button@1', status: 'miss' });
+    jest.setSystemTime(T0 + 29 * SECOND);
+    expect(await cache.get('button', load('button'))).toEqual({ value: 'button@1', status: 'hit' });
+    jest.setSystemTime(T0 + 30 * SECOND);
+    expect(await cache.get('button', load('button'))).toEqual({ value: 'button@2', status: 'miss' });
+    expect(calls.button).toBe(2);
+  });
+
+  it('evicts the least recently used entry', async () => {
+    const cache = createLookupCache({ ttlMs: 30 * SECOND, maxEntries: 2 });
+    const { calls, load } = createLoader();
+
+    await cache.get('a', load('a'));
+    await cache.get('b', load('b'));
+    await cache.get('a', load('a')); // `b` is now the least recently used.
+    await cache.get('c', load('c'));
+
+    expect((await cache.get('a', load('a'))).status).toBe('hit');
+    expect((await cache.get('b', load('b'))).status).toBe('miss');
+    expect(calls).toEqual({ a: 1, b: 2, c: 1 });
+  });
+
+  it('serves the last-known value when reloading fails, and throws without one', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const cache = createLookupCache({ ttlMs: 30 * SECOND, maxEntries: 10 });
+    const failing = () => Promise.reject(new Error('storage is down'));
+
+    await cache.get('button', () => Promise.resolve('button@1'));
+    jest.setSystemTime(T0 + 60 * SECOND);
+    expect(await cache.get('button', failing)).toEqual({ value: 'button@1', status: 'stale' });
+    expect(warn).toHaveBeenCalledWith("Lookup for 'button' failed, serving the last-known value:", 'storage is down');
+    await expect(cache.get('card', failing)).rejects.toThrow('storage is down');
+
+    // A failed reload doesn't refresh the entry, so the next request tries again.
+    expect(await cache.get('button', () => Promise.resolve('button@2'))).toEqual({ value: 'button@2', status: 'miss' });
+    warn.mockRestore();
+  });
+
+  it('shares one load between concurrent lookups of the same key', async () => {
+    const cache = createLookupCache({ ttlMs: 30 * SECOND, maxEntries: 10 });
+    const { calls, load } = createLoader();
+
+    const results = await Promise.all([cache.get('button', load('button')), cache.get('button', load('button')), cache.get('card', load('card'))]);
+
+    expect(results.map((result) => result.value)).toEqual(['button@1', 'button@1', 'card@1']);
+    expect(calls).toEqual({ button: 1, card: 1 });
+    // Once it has settled, the next expired lookup loads again.
+    jest.setSystemTime(T0 + 30 * SECOND);
+    expect((await cache.get('button', load('button'))).value).toBe('button@2');
+  });
+});
+
+describe('invalidateCachedComponent', () => {
+  it('drops the entries under every slug a version of the component had', async () => {
+    const component = { id: 'button', name: 'Button', slug: 'cta', aliases: ['old-cta'], branches: { main: FILE_URL } };
+    const repository = { getComponentBySlug: jest.fn(async () => component) };
+
+    await Promise.all(['button', 'cta', 'old-cta'].map((slug) => getCachedComponent(repository, slug)));
+    invalidateCachedComponent('button', component);
+
+    const statuses = await Promise.all(['button', 'cta', 'old-cta'].map(async (slug) => (await getCachedComponent(repository, slug)).status));
+    expect(statuses).toEqual(['miss', 'miss', 'miss']);
+    expect(repository.getComponentBySlug).toHaveBeenCalledTimes(6);
+  });
+});
+
+describe('getRedirectCacheControl', () => {
+  const withSwitchIn = (seconds) => ({
+    branches: { main: FILE_URL },
+    schedule: [{ id: 'release', type: 'switch', branch: 'main', url: RC_URL, startsAt: T0 + seconds * SECOND }],
+  });
+
+  it('lets the edge keep a redirect without scheduled changes for the default max age', () => {
+    expect(getRedirectCacheControl({ branches: { main: FILE_URL } }, T0))
+      .toBe('public, max-age=0, s-maxage=30, stale-while-revalidate=60, stale-if-error=86400');
+  });
+
+  it('never lets the edge keep a redirect past the next scheduled change', () => {
+    expect(getRedirectCacheControl(withSwitchIn(50), T0)).toBe('public, max-age=0, s-maxage=30, stale-while-revalidate=20, stale-if-error=86400');
+    expect(getRedirectCacheControl(withSwitchIn(10), T0)).toBe('public, max-age=0, s-maxage=10, stale-while-revalidate=0, stale-if-error=86400');
+  });
+
+  it("doesn't cache a redirect whose change is less than a second away", () => {
+    expect(getRedirectCacheControl(withSwitchIn(0.5), T0)).toBe('no-store');
+  });
+});
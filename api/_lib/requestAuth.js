@@ -0,0 +1,40 @@
+// Authentication for the functions called by Vercel cron jobs and by the signed-in dashboard
+// (api/health.js, api/webhooks.js). The admin API uses API tokens instead; see ./apiTokens.js.
+const crypto = require('crypto');
+const { admin, initializeFirebaseAdmin } = require('./firebaseAdmin');
+const { getMemberRole } = require('../../src/shared/workspaces');
+
+const getBearerToken = (req) => {
+  const match = ((req.headers && req.headers.authorization) || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+};
+
+// Vercel sends `Authorization: Bearer <CRON_SECRET>` to cron jobs.
+const isCronRequest = (token) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || !token) return false;
+  const expected = Buffer.from(secret);
+  const actual = Buffer.from(token);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Returns the uid of the signed-in dashboard user, or null.
+async function verifyUser(token) {
+  if (!token) return null;
+  initializeFirebaseAdmin();
+  try {
+    return (await admin.auth().verifyIdToken(token)).uid;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The user's role in a workspace, or null if the workspace doesn't exist or they aren't a member.
+async function getWorkspaceRole(workspaceId, uid) {
+  if (!workspaceId || !uid) return null;
+  initializeFirebaseAdmin();
+  const workspaceSnap = await admin.firestore().collection('workspaces').doc(workspaceId).get();
+  return workspaceSnap.exists ? getMemberRole(workspaceSnap.data(), uid) : null;
+}
+
+module.exports = { getBearerToken, isCronRequest, verifyUser, getWorkspaceRole };
@@ -0,0 +1,26 @@
+// JSON-file ComponentRepository: the in-memory repository, loaded from and saved to one file.
+// Meant for local development and tests; only one process should own the file at a time.
+const fs = require('fs');
+const path = require('path');
+const { createMemoryRepository } = require('../../../src/shared/storage/memoryRepository');
+
+/**
+ * @param {string} filePath - Created, along with its directory, on the first write.
+ * @returns {import('../../../src/shared/storage/repository').ComponentRepository}
+ */
+function createFileRepository(filePath) {
+  const state = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : undefined;
+
+  return createMemoryRepository({
+    state,
+    onChange: (nextState) => {
+      // Write to a temporary file first so a crash never leaves half a JSON document behind.
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(nextState, null, 2));
+      fs.renameSync(tempPath, filePath);
+    },
+  });
+}
+
+module.exports = { createFileRepository };
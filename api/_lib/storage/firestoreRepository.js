@@ -0,0 +1,295 @@
+// Firestore ComponentRepository for the serverless functions, using the Admin SDK.
+// Mirrors src/storage/firestoreRepository.js: every write is committed in the same batch
+// as its 'componentHistory' entry.
+const { admin, initializeFirebaseAdmin } = require('../firebaseAdmin');
+const {
+  toStoredComponent,
+  diffSlugClaims,
+  createHistoryEntry,
+  createDeletedRecord,
+  getDeletedRecordId,
+  getDeletedComponentId,
+} = require('../../../src/shared/storage/repository');
+const { getNextScheduleChange } = require('../../../src/shared/branches');
+const { REDIRECT_EVENT_RETENTION_DAYS, DAY_MS, toUsageDay, toUsageCount, getUsageCountId, countUsageHits } = require('../../../src/shared/usage');
+const { getComponentWorkspaceId } = require('../../../src/shared/workspaces');
+const { WEBHOOK_DELIVERY_LOG_SIZE, WEBHOOK_DELIVERY_RETENTION_DAYS } = require('../../../src/shared/webhooks');
+
+const EVENTS_COLLECTION = 'redirectEvents';
+const USAGE_COLLECTION = 'redirectCounts';
+const REPORTS_COLLECTION = 'linkReports';
+const SLUGS_COLLECTION = 'slugs';
+const WEBHOOKS_COLLECTION = 'webhooks';
+const DELIVERIES_COLLECTION = 'webhookDeliveries';
+// One document holding the webhook dispatcher's position in 'componentHistory'.
+const WEBHOOK_CURSOR_DOC = 'webhookState/dispatcher';
+
+// Firestore's error code when create() finds an existing document.
+const ALREADY_EXISTS = 6;
+
+const toDate = (value) => (value && value.toDate ? value.toDate() : value || null);
+
+/**
+ * @returns {import('../../../src/shared/storage/repository').ComponentRepository}
+ */
+function createFirestoreRepository() {
+  // Initialized on first use so configuration errors surface inside the handler's try/catch.
+  const getDb = () => {
+    initializeFirebaseAdmin();
+    return admin.firestore();
+  };
+  const serverTimestamp = () => admin.firestore.FieldValue.serverTimestamp();
+
+  const addHistoryEntry = (db, batch, fields) => {
+    batch.set(db.collection('componentHistory').doc(), createHistoryEntry({ ...fields, timestamp: serverTimestamp() }));
+  };
+
+  // Keeps the 'slugs' collection in step with a component's slug and aliases (see diffSlugClaims).
+  // The Admin SDK bypasses the security rules, so new claims use create(): it fails the whole batch
+  // if another component claimed the slug after the caller checked it.
+  const updateSlugClaims = (db, batch, id, before, after) => {
+    const { added, removed } = diffSlugClaims(id, before, after);
+    removed.forEach((slug) => batch.delete(db.collection(SLUGS_COLLECTION).doc(slug)));
+    added.forEach((slug) => batch.create(db.collection(SLUGS_COLLECTION).doc(slug), { componentId: id, workspaceId: getComponentWorkspaceId(after) }));
+  };
+
+  // Reports a batch that lost a race for a slug or component ID with the code callers check for.
+  const commitClaims = async (batch) => {
+    try {
+      await batch.commit();
+    } catch (error) {
+      if (error.code !== ALREADY_EXISTS) throw error;
+      throw Object.assign(new Error('A slug is already in use by another component.'), { code: 'already-exists' });
+    }
+  };
+
+  const componentsQuery = (workspaceId) => getDb().collection('components').where('workspaceId', '==', workspaceId);
+  const historyQuery = (workspaceId, componentId) => getDb().collection('componentHistory')
+    .where('workspaceId', '==', workspaceId)
+    .where('componentId', '==', componentId)
+    .orderBy('timestamp', 'desc');
+  const deletedQuery = (workspaceId) => getDb().collection('deletedComponents').where('workspaceId', '==', workspaceId);
+  const reportsQuery = (workspaceId) => getDb().collection(REPORTS_COLLECTION).where('workspaceId', '==', workspaceId).where('resolvedAt', '==', null);
+  const webhooksQuery = (workspaceId) => getDb().collection(WEBHOOKS_COLLECTION).where('workspaceId', '==', workspaceId);
+  const deliveriesQuery = (workspaceId) => getDb().collection(DELIVERIES_COLLECTION)
+    .where('workspaceId', '==', workspaceId)
+    .orderBy('createdAt', 'desc')
+    .limit(WEBHOOK_DELIVERY_LOG_SIZE);
+  const usageQuery = (workspaceId, since) => getDb().collection(USAGE_COLLECTION).where('workspaceId', '==', workspaceId).where('day', '>=', toUsageDay(since));
+
+  const toComponents = (snapshot) => snapshot.docs.map((snap) => ({ id: snap.id, ...snap.data() }));
+  const toHistory = (snapshot) => snapshot.docs.map((snap) => ({ id: snap.id, ...snap.data(), timestamp: toDate(snap.get('timestamp')) }));
+  // TTL deletion can lag behind `expiresAt`, so expired records are filtered out here.
+  const toDeleted = (snapshot) => snapshot.docs
+    .map((snap) => ({ id: snap.id, ...snap.data(), deletedAt: toDate(snap.get('deletedAt')), expiresAt: toDate(snap.get('expiresAt')) }))
+    .filter((record) => !record.expiresAt || record.expiresAt.getTime() > Date.now());
+  const toReports = (snapshot) => snapshot.docs
+    .map((snap) => ({ id: snap.id, ...snap.data(), createdAt: toDate(snap.get('createdAt')) }))
+    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+  // Deliveries keep epoch ms like the other backends; `expiresAt` is a Timestamp only for Firestore's TTL policy.
+  const toDoc = (snap) => {
+    const { expiresAt, ...data } = snap.data();
+    return { id: snap.id, ...data };
+  };
+  const toDocs = (snapshot) => snapshot.docs.map(toDoc);
+  const getById = async (collectionName, id) => {
+    const snap = await getDb().collection(collectionName).doc(id).get();
+    return snap.exists ? toDoc(snap) : null;
+  };
+
+  const getComponent = async (id) => {
+    const snap = await getDb().collection('components').doc(id).get();
+    return snap.exists ? { id, ...snap.data() } : null;
+  };
+  const listUsageCounts = async (workspaceId, since) => (await usageQuery(workspaceId, since).get()).docs.map((snap) => snap.data());
+
+  const subscribe = (query, map, onNext, onError) => query.onSnapshot((snapshot) => onNext(map(snapshot)), onError);
+
+  return {
+    getComponent,
+    async getComponentBySlug(slug) {
+      const component = await getComponent(slug);
+      if (component) return component;
+      const claim = await getDb().collection(SLUGS_COLLECTION).doc(slug).get();
+      return claim.exists ? getComponent(claim.get('componentId')) : null;
+    },
+    async isSlugTaken(slug) {
+      const db = getDb();
+      const [component, claim] = await Promise.all([
+        db.collection('components').doc(slug).get(),
+        db.collection(SLUGS_COLLECTION).doc(slug).get(),
+      ]);
+      return component.exists || claim.exists;
+    },
+    listComponents: async (workspaceId) => toComponents(await componentsQuery(workspaceId).get()),
+    listHistory: async (workspaceId, componentId) => toHistory(await historyQuery(workspaceId, componentId).get()),
+    listDeleted: async (workspaceId) => toDeleted(await deletedQuery(workspaceId).get()),
+    listLinkReports: async (workspaceId) => toReports(await reportsQuery(workspaceId).get()),
+    listUsageCounts,
+    countHits: async (workspaceId, since) => countUsageHits(await listUsageCounts(workspaceId, since)),
+    listAllComponents: async () => toComponents(await getDb().collection('components').get()),
+    listDueScheduleChanges: async (now) => toComponents(await getDb().collection('components').where('nextScheduleChangeAt', '<=', now).get()),
+    subscribeComponents: (workspaceId, onNext, onError) => subscribe(componentsQuery(workspaceId), toComponents, onNext, onError),
+    subscribeHistory: (workspaceId, componentId, onNext, onError) => subscribe(historyQuery(workspaceId, componentId), toHistory, onNext, onError),
+    subscribeDeleted: (workspaceId, onNext, onError) => subscribe(deletedQuery(workspaceId), toDeleted, onNext, onError),
+    subscribeLinkReports: (workspaceId, onNext, onError) => subscribe(reportsQuery(workspaceId), toReports, onNext, onError),
+    listWebhooks: async (workspaceId) => toDocs(await webhooksQuery(workspaceId).get()),
+    listWebhookDeliveries: async (workspaceId) => toDocs(await deliveriesQuery(workspaceId).get()),
+    subscribeWebhooks: (workspaceId, onNext, onError) => subscribe(webhooksQuery(workspaceId), toDocs, onNext, onError),
+    subscribeWebhookDeliveries: (workspaceId, onNext, onError) => subscribe(deliveriesQuery(workspaceId), toDocs, onNext, onError),
+
+    async saveComponents(changes, actor) {
+      const db = getDb();
+      const batch = db.batch();
+      changes.forEach(({ id, action, before, after }) => {
+        // `after` is the full new document; it replaces `before` rather than being merged into it.
+        const data = toStoredComponent(after, before);
+        const ref = db.collection('components').doc(id);
+        if (action === 'create') batch.create(ref, data);
+        else batch.set(ref, data);
+        updateSlugClaims(db, batch, id, before, data);
+        addHistoryEntry(db, batch, { componentId: id, action, actor, before, after: data });
+      });
+      await commitClaims(batch);
+    },
+
+    async deleteComponent(component, actor) {
+      const db = getDb();
+      const now = Date.now();
+      const record = createDeletedRecord({ component, actor, deletedAt: serverTimestamp(), now });
+      const batch = db.batch();
+      batch.delete(db.collection('components').doc(component.id));
+      // Its slugs are released; restoring it claims them again if they are still free.
+      updateSlugClaims(db, batch, component.id, component, null);
+      batch.set(db.collection('deletedComponents').doc(getDeletedRecordId(component.id, now)), { ...record, expiresAt: admin.firestore.Timestamp.fromMillis(record.expiresAt) });
+      addHistoryEntry(db, batch, { componentId: component.id, action: 'delete', actor, before: component, after: null });
+      await batch.commit();
+    },
+
+    async restoreDeletedComponent(record, actor) {
+      const db = getDb();
+      const componentId = getDeletedComponentId(record);
+      const data = toStoredComponent(record.data, null);
+      const batch = db.batch();
+      batch.create(db.collection('components').doc(componentId), data);
+      updateSlugClaims(db, batch, componentId, null, data);
+      batch.delete(db.collection('deletedComponents').doc(record.id));
+      addHistoryEntry(db, batch, { componentId, action: 'restore', actor, before: null, after: data });
+      await commitClaims(batch);
+    },
+
+    // The raw event expires through a TTL policy on `expiresAt`; the counter is kept.
+    async recordRedirectEvent(event) {
+      const db = getDb();
+      const now = Date.now();
+      const count = toUsageCount(event, now);
+      const batch = db.batch();
+      batch.set(db.collection(EVENTS_COLLECTION).doc(), {
+        ...event,
+        timestamp: serverTimestamp(),
+        expiresAt: admin.firestore.Timestamp.fromMillis(now + REDIRECT_EVENT_RETENTION_DAYS * DAY_MS),
+      });
+      batch.set(db.collection(USAGE_COLLECTION).doc(getUsageCountId(count)), { ...count, count: admin.firestore.FieldValue.increment(1) }, { merge: true });
+      await batch.commit();
+    },
+
+    // update() fails if the component was deleted while it was being checked, which is what we want.
+    async updateComponentHealth(id, health) {
+      await getDb().collection('components').doc(id).update({ health });
+    },
+
+    // In a transaction, so a save made meanwhile isn't overwritten with a time from the old schedule.
+    async updateNextScheduleChange(id, now) {
+      const db = getDb();
+      const ref = db.collection('components').doc(id);
+      await db.runTransaction(async (transaction) => {
+        const snap = await transaction.get(ref);
+        if (snap.exists) transaction.update(ref, { nextScheduleChangeAt: getNextScheduleChange(snap.get('schedule'), now) });
+      });
+    },
+
+    async addLinkReport(report) {
+      await getDb().collection(REPORTS_COLLECTION).add({ ...report, createdAt: serverTimestamp(), resolvedAt: null, resolvedBy: null });
+    },
+
+    async resolveLinkReport(reportId, actor) {
+      await getDb().collection(REPORTS_COLLECTION).doc(reportId).update({ resolvedAt: serverTimestamp(), resolvedBy: actor });
+    },
+
+    async saveWebhook({ id, ...webhook }) {
+      const ref = id ? getDb().collection(WEBHOOKS_COLLECTION).doc(id) : getDb().collection(WEBHOOKS_COLLECTION).doc();
+      await ref.set(webhook);
+      return ref.id;
+    },
+
+    async deleteWebhook(webhookId) {
+      await getDb().collection(WEBHOOKS_COLLECTION).doc(webhookId).delete();
+    },
+
+    getWebhook: (id) => getById(WEBHOOKS_COLLECTION, id),
+
+    async listHistorySince(since) {
+      const snapshot = await getDb().collection('componentHistory')
+        .where('timestamp', '>=', admin.firestore.Timestamp.fromMillis(since))
+        .orderBy('timestamp')
+        .get();
+      return toHistory(snapshot);
+    },
+
+    async getWebhookCursor() {
+      const snap = await getDb().doc(WEBHOOK_CURSOR_DOC).get();
+      return snap.exists ? snap.get('cursor') : null;
+    },
+
+    async setWebhookCursor(cursor) {
+      await getDb().doc(WEBHOOK_CURSOR_DOC).set({ cursor });
+    },
+
+    async addWebhookDelivery(id, delivery) {
+      const expiresAt = admin.firestore.Timestamp.fromMillis(delivery.createdAt + WEBHOOK_DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+      try {
+        await getDb().collection(DELIVERIES_COLLECTION).doc(id).create({ ...delivery, expiresAt });
+        return true;
+      } catch (error) {
+        if (error.code === ALREADY_EXISTS) return false;
+        throw error;
+      }
+    },
+
+    getWebhookDelivery: (id) => getById(DELIVERIES_COLLECTION, id),
+
+    async listDueWebhookDeliveries(now, limit) {
+      const snapshot = await getDb().collection(DELIVERIES_COLLECTION)
+        .where('status', '==', 'pending')
+        .where('nextAttemptAt', '<=', now)
+        .orderBy('nextAttemptAt')
+        .limit(limit)
+        .get();
+      return toDocs(snapshot);
+    },
+
+    async claimWebhookDelivery(id, now, until) {
+      const db = getDb();
+      const ref = db.collection(DELIVERIES_COLLECTION).doc(id);
+      return db.runTransaction(async (transaction) => {
+        const snap = await transaction.get(ref);
+        if (!snap.exists || snap.get('status') !== 'pending' || snap.get('nextAttemptAt') > now) return false;
+        transaction.update(ref, { nextAttemptAt: until });
+        return true;
+      });
+    },
+
+    async updateWebhookDelivery(id, fields) {
+      await getDb().collection(DELIVERIES_COLLECTION).doc(id).update(fields);
+    },
+  };
+}
+
+module.exports = {
+  EVENTS_COLLECTION,
+  REPORTS_COLLECTION,
+  SLUGS_COLLECTION,
+  WEBHOOKS_COLLECTION,
+  DELIVERIES_COLLECTION,
+  createFirestoreRepository,
+};
@@ -0,0 +1,52 @@
+// Picks the ComponentRepository for the serverless functions from the environment:
+//   STORAGE_BACKEND=firestore (default)  Firestore through the Admin SDK
+//   STORAGE_BACKEND=file                 a JSON file at STORAGE_FILE (default: .data/redirects.json)
+//   STORAGE_BACKEND=memory               in memory, empty on every cold start
+const path = require('path');
+const { createMemoryRepository } = require('../../../src/shared/storage/memoryRepository');
+const { createFirestoreRepository } = require('./firestoreRepository');
+const { createFileRepository } = require('./fileRepository');
+const { getDeletedComponentId } = require('../../../src/shared/storage/repository');
+const { invalidateCachedComponent } = require('../redirectCache');
+
+const STORAGE_BACKENDS = ['firestore', 'file', 'memory'];
+const DEFAULT_STORAGE_FILE = path.join('.data', 'redirects.json');
+
+let repository = null;
+
+// Writes made through this process drop the /r/ lookup cache entry at once; other
+// instances pick the change up when their entry expires.
+const withCacheInvalidation = (target) => ({
+  ...target,
+  async saveComponents(changes, actor) {
+    await target.saveComponents(changes, actor);
+    changes.forEach(({ id, before, after }) => invalidateCachedComponent(id, before, after));
+  },
+  async deleteComponent(component, actor) {
+    await target.deleteComponent(component, actor);
+    invalidateCachedComponent(component.id, component);
+  },
+  async restoreDeletedComponent(record, actor) {
+    await target.restoreDeletedComponent(record, actor);
+    invalidateCachedComponent(getDeletedComponentId(record), record.data);
+  },
+});
+
+/**
+ * Returns the configured repository, creating it on first use.
+ */
+function getComponentRepository() {
+  if (repository) return repository;
+
+  const backend = process.env.STORAGE_BACKEND || 'firestore';
+  let backendRepository;
+  if (backend === 'firestore') backendRepository = createFirestoreRepository();
+  else if (backend === 'file') backendRepository = createFileRepository(path.resolve(process.env.STORAGE_FILE || DEFAULT_STORAGE_FILE));
+  else if (backend === 'memory') backendRepository = createMemoryRepository();
+  else throw new Error(`Unknown STORAGE_BACKEND '${backend}'. Use one of: ${STORAGE_BACKENDS.join(', ')}.`);
+
+  repository = withCacheInvalidation(backendRepository);
+  return repository;
+}
+
+module.exports = { STORAGE_BACKENDS, getComponentRepository };
@@ -0,0 +1,381 @@
+// Outgoing webhook dispatcher, used by api/webhooks.js and by the local dev server.
+//
+// Every create, update, delete and restore already writes a 'componentHistory' entry, whichever
+// path made it (dashboard, admin API, import). The dispatcher reads new entries, queues one
+// delivery per subscribed webhook, and sends due deliveries with retries (see
+// WEBHOOK_RETRY_DELAYS_MINUTES in src/shared/webhooks.js). Scheduled switches and overrides take
+// effect without a write, so they are found through each component's `nextScheduleChangeAt`
+// instead. `fetch` and the clock can be passed in, so tests can point the dispatcher at a
+// receiver on `localhost`.
+const crypto = require('crypto');
+const { getActiveBranches, getBranches, getDefaultBranch, settleSchedule, toMillis } = require('../../src/shared/branches');
+const { getComponentSlug } = require('../../src/shared/components');
+const { getComponentWorkspaceId } = require('../../src/shared/workspaces');
+const { getRetryDelay, getWebhookEvent, isWebhookSubscribed } = require('../../src/shared/webhooks');
+
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const DEFAULT_BUDGET_MS = 50 * 1000;
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_BATCH_SIZE = 100;
+// History is re-read this far behind the cursor, because Firestore can make an entry visible a
+// little after its timestamp. Delivery IDs are derived from the entry, so nothing is queued twice.
+const HISTORY_OVERLAP_MS = 60 * 1000;
+// The first run looks back this far; webhooks never receive changes from before they were created.
+const INITIAL_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+// A claimed delivery is left alone by other runs for this long, well past the request timeout.
+const CLAIM_MS = 2 * 60 * 1000;
+const USER_AGENT = 'FigmaRedirectManager-Webhooks/1.0';
+
+const EVENT_NAMES = {
+  create: 'component.created',
+  update: 'component.updated',
+  delete: 'component.deleted',
+  test: 'webhook.test',
+};
+
+/**
+ * Options for runWebhooks/sendTestDelivery/retryDelivery. `baseUrl` (e.g. https://links.example.com)
+ * is used for the pretty links in payloads; PUBLIC_BASE_URL overrides whatever the caller passes.
+ */
+const getDispatcherOptions = (overrides = {}) => ({
+  fetch: global.fetch,
+  timeoutMs: DEFAULT_TIMEOUT_MS,
+  now: () => Date.now(),
+  ...overrides,
+  baseUrl: (process.env.PUBLIC_BASE_URL || overrides.baseUrl || '').replace(/\/+$/, '') || null,
+});
+
+// --- Payloads ---
+
+const toTargets = (data) => (data ? { defaultBranch: getDefaultBranch(data), branches: getBranches(data) } : null);
+
+// One entry per branch whose URL changed, was added (before: null) or was removed (after: null).
+const describeBranchChanges = (before, after) => {
+  const beforeBranches = before ? before.branches : {};
+  const afterBranches = after ? after.branches : {};
+  return [...new Set([...Object.keys(beforeBranches), ...Object.keys(afterBranches)])]
+    .filter((branch) => beforeBranches[branch] !== afterBranches[branch])
+    .map((branch) => ({ branch, before: beforeBranches[branch] || null, after: afterBranches[branch] || null }));
+};
+
+/**
+ * The JSON body sent for a 'componentHistory' entry.
+ */
+function buildPayload(deliveryId, entry, occurredAt, options) {
+  const data = entry.after || entry.before;
+  const slug = getComponentSlug(entry.componentId, data);
+  const before = toTargets(entry.before);
+  const after = toTargets(entry.after);
+  return {
+    id: deliveryId,
+    event: EVENT_NAMES[getWebhookEvent(entry)],
+    action: entry.action,
+    occurredAt: new Date(occurredAt).toISOString(),
+    workspaceId: entry.workspaceId,
+    actor: entry.actor ? { uid: entry.actor.uid, email: entry.actor.email || null } : null,
+    component: {
+      id: entry.componentId,
+      slug,
+      name: data.name,
+      url: options.baseUrl ? `${options.baseUrl}/r/${slug}` : null,
+    },
+    ...(entry.schedule ? { schedule: entry.schedule } : {}),
+    before,
+    after,
+    changes: describeBranchChanges(before, after),
+  };
+}
+
+const buildTestPayload = (deliveryId, webhook, occurredAt) => ({
+  id: deliveryId,
+  event: EVENT_NAMES.test,
+  occurredAt: new Date(occurredAt).toISOString(),
+  workspaceId: webhook.workspaceId,
+  webhook: { id: webhook.id, url: webhook.url },
+});
+
+// Slack's mrkdwn needs &, < and > escaped; links are written as <url|label>.
+const escapeSlack = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const slackLink = (url, label) => `<${escapeSlack(url).replace(/\|/g, '%7C')}|${escapeSlack(label)}>`;
+
+const ACTION_VERBS = { create: 'created', update: 'updated', delete: 'deleted', restore: 'restored', schedule: 'updated by a scheduled change' };
+
+/**
+ * The body sent to webhooks with the 'slack' format: a message for a Slack incoming webhook
+ * (or anything that accepts the same `{ text }` shape).
+ */
+function formatSlackMessage(payload) {
+  if (payload.event === EVENT_NAMES.test) {
+    return { text: 'Test message from Figma Redirect Manager. This webhook is set up correctly.' };
+  }
+  const { component, actor, before, after } = payload;
+  const title = component.url ? slackLink(component.url, component.name) : `*${escapeSlack(component.name)}*`;
+  const lines = [`${title} was ${ACTION_VERBS[payload.action] || 'changed'}${actor && actor.email ? ` by ${escapeSlack(actor.email)}` : ''}.`];
+  if (before && after && before.defaultBranch !== after.defaultBranch) {
+    lines.push(`• Default branch: \`${escapeSlack(before.defaultBranch)}\` → \`${escapeSlack(after.defaultBranch)}\``);
+  }
+  // A deleted component's branches all "disappear"; the first line says enough.
+  if (payload.action === 'delete') return { text: lines[0] };
+  payload.changes.forEach(({ branch, before: from, after: to }) => {
+    const name = `\`${escapeSlack(branch)}\``;
+    if (!from) lines.push(`• ${name}: ${slackLink(to, 'target')}`);
+    else if (!to) lines.push(`• ${name} removed (was ${slackLink(from, 'target')})`);
+    else lines.push(`• ${name} → ${slackLink(to, 'new target')} (was ${slackLink(from, 'old target')})`);
+  });
+  return { text: lines.join('\n') };
+}
+
+// --- Signing and sending ---
+
+/**
+ * The `X-Webhook-Signature` header value: an HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret.
+ * Receivers recompute it, and should reject old timestamps to prevent replays.
+ */
+const createWebhookSignature = (secret, timestamp, body) => `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * What a receiver does with a delivery: true if `signature` matches the raw body and the timestamp
+ * (Unix seconds) is at most `toleranceSeconds` away from `now` (epoch ms). Compares in constant time.
+ */
+const verifyWebhookSignature = (secret, timestamp, body, signature, { now = Date.now(), toleranceSeconds = 5 * 60 } = {}) => {
+  if (!/^\d+$/.test(String(timestamp)) || Math.abs(now / 1000 - Number(timestamp)) > toleranceSeconds) return false;
+  const expected = Buffer.from(createWebhookSignature(secret, timestamp, body));
+  const actual = Buffer.from(String(signature || ''));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+async function fetchWithTimeout(options, url, init) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), options.timeoutMs);
+  try {
+    return await options.fetch(url, { ...init, signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// fetch() reports network failures as "fetch failed" with the real reason (e.g. ECONNREFUSED) in `cause`.
+const describeFetchError = (error, options) => (error.name === 'AbortError'
+  ? `No response within ${options.timeoutMs / 1000} seconds.`
+  : `Could not connect: ${(error.cause && (error.cause.code || error.cause.message)) || error.message}`);
+
+/**
+ * Sends one delivery. Never throws; returns { ok, responseStatus, error, durationMs }.
+ */
+async function sendDelivery(webhook, delivery, options) {
+  const body = JSON.stringify(webhook.format === 'slack' ? formatSlackMessage(delivery.payload) : delivery.payload);
+  const timestamp = String(Math.floor(options.now() / 1000));
+  const started = Date.now();
+  try {
+    const response = await fetchWithTimeout(options, webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.payload.event,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': createWebhookSignature(webhook.secret, timestamp, body),
+      },
+      body,
+    });
+    return {
+      ok: response.ok,
+      responseStatus: response.status,
+      error: response.ok ? null : `Responded with HTTP ${response.status}.`,
+      durationMs: Date.now() - started,
+    };
+  } catch (error) {
+    return { ok: false, responseStatus: null, error: describeFetchError(error, options), durationMs: Date.now() - started };
+  }
+}
+
+/**
+ * Attempts a pending delivery once and records the outcome. Failed attempts are retried with
+ * backoff until WEBHOOK_MAX_ATTEMPTS; after that the delivery is 'failed'. Returns the new status.
+ */
+async function attemptDelivery(repository, delivery, options) {
+  const webhook = await repository.getWebhook(delivery.webhookId);
+  const now = options.now();
+  if (!webhook || webhook.enabled === false) {
+    const error = webhook ? 'The webhook is turned off.' : 'The webhook was deleted.';
+    await repository.updateWebhookDelivery(delivery.id, { status: 'failed', nextAttemptAt: null, error });
+    return 'failed';
+  }
+
+  const result = await sendDelivery(webhook, delivery, options);
+  const attempts = (delivery.attempts || 0) + 1;
+  const retryDelay = result.ok ? null : getRetryDelay(attempts);
+  const status = result.ok ? 'delivered' : (retryDelay === null ? 'failed' : 'pending');
+  await repository.updateWebhookDelivery(delivery.id, {
+    status,
+    attempts,
+    nextAttemptAt: status === 'pending' ? now + retryDelay : null,
+    lastAttemptAt: now,
+    responseStatus: result.responseStatus,
+    error: result.error,
+    log: [...(delivery.log || []), { at: now, responseStatus: result.responseStatus, error: result.error, durationMs: result.durationMs }],
+  });
+  return status;
+}
+
+// --- Queueing ---
+
+const createDelivery = ({ webhook, event, componentId, payload, now }) => ({
+  webhookId: webhook.id,
+  workspaceId: webhook.workspaceId,
+  componentId,
+  event,
+  payload,
+  status: 'pending',
+  attempts: 0,
+  nextAttemptAt: now,
+  createdAt: now,
+  lastAttemptAt: null,
+  responseStatus: null,
+  error: null,
+  log: [],
+});
+
+// The moments a schedule entry changes what /r/ serves: every entry starts, and overrides also end.
+const getScheduleTimes = (scheduled) => [
+  { phase: 'start', time: toMillis(scheduled.startsAt) },
+  ...(scheduled.type === 'override' ? [{ phase: 'end', time: toMillis(scheduled.endsAt) }] : []),
+];
+
+/**
+ * History-shaped entries (action 'schedule') for the scheduled switches and overrides of a component
+ * that took effect between its `nextScheduleChangeAt` and `now`. `before` and `after` hold the branches
+ * /r/ served just before and from that moment. IDs are derived from the schedule entry, so a change
+ * seen by two runs is queued once.
+ */
+const getScheduleEntries = (component, now) => {
+  const { id, ...data } = component;
+  return (data.schedule || []).flatMap((scheduled) => getScheduleTimes(scheduled)
+    .filter(({ time }) => time !== null && time >= data.nextScheduleChangeAt && time <= now)
+    .map(({ phase, time }) => ({
+      id: `schedule_${id}_${scheduled.id || toMillis(scheduled.startsAt)}_${phase}`,
+      action: 'schedule',
+      componentId: id,
+      workspaceId: getComponentWorkspaceId(data),
+      actor: null,
+      schedule: { id: scheduled.id || null, type: scheduled.type, branch: scheduled.branch, phase },
+      before: { ...data, branches: getActiveBranches(data, time - 1) },
+      after: { ...data, branches: getActiveBranches(data, time) },
+      timestamp: new Date(time),
+    })));
+};
+
+/**
+ * Queues deliveries for history entries written since the last run and for scheduled changes that
+ * have taken effect, then moves the cursor on. Returns how many deliveries were queued.
+ */
+async function queueChanges(repository, options) {
+  const now = options.now();
+  const cursor = await repository.getWebhookCursor();
+  const entries = await repository.listHistorySince(cursor === null ? now - INITIAL_LOOKBACK_MS : cursor - HISTORY_OVERLAP_MS);
+
+  const webhooksByWorkspace = new Map();
+  const getWebhooks = (workspaceId) => {
+    if (!webhooksByWorkspace.has(workspaceId)) webhooksByWorkspace.set(workspaceId, repository.listWebhooks(workspaceId));
+    return webhooksByWorkspace.get(workspaceId);
+  };
+
+  let queued = 0;
+  const queueEntry = async (entry, entryTime) => {
+    if (!entry.workspaceId) return;
+    for (const webhook of await getWebhooks(entry.workspaceId)) {
+      if (!isWebhookSubscribed(webhook, entry, entryTime)) continue;
+      const id = `${entry.id}_${webhook.id}`;
+      const delivery = createDelivery({
+        webhook,
+        event: getWebhookEvent(entry),
+        componentId: entry.componentId,
+        payload: buildPayload(id, entry, entryTime, options),
+        now,
+      });
+      if (await repository.addWebhookDelivery(id, delivery)) queued++;
+    }
+  };
+
+  let nextCursor = cursor === null ? now - INITIAL_LOOKBACK_MS : cursor;
+  for (const entry of entries) {
+    const entryTime = entry.timestamp ? entry.timestamp.getTime() : now;
+    nextCursor = Math.max(nextCursor, entryTime);
+    // A save settles the switches that took effect since the last run and drops them from the
+    // schedule, so they are never due afterwards. They are sent from the version it replaced instead,
+    // and left out of the save's own changes.
+    const settled = entry.before ? getScheduleEntries({ id: entry.componentId, ...entry.before }, entryTime) : [];
+    for (const scheduleEntry of settled) await queueEntry(scheduleEntry, scheduleEntry.timestamp.getTime());
+    await queueEntry(settled.length ? { ...entry, before: settleSchedule(entry.before, entryTime) } : entry, entryTime);
+  }
+  if (nextCursor !== cursor) await repository.setWebhookCursor(nextCursor);
+
+  for (const component of await repository.listDueScheduleChanges(now)) {
+    for (const entry of getScheduleEntries(component, now)) await queueEntry(entry, entry.timestamp.getTime());
+    await repository.updateNextScheduleChange(component.id, now);
+  }
+  return queued;
+}
+
+/**
+ * Queues new changes, then sends due deliveries until `budgetMs` runs out; later runs pick up the rest.
+ * Returns { queued, attempted, delivered, retrying, failed }.
+ */
+async function runWebhooks(repository, { budgetMs = DEFAULT_BUDGET_MS, concurrency = DEFAULT_CONCURRENCY, batchSize = DEFAULT_BATCH_SIZE, ...overrides } = {}) {
+  const options = getDispatcherOptions(overrides);
+  const summary = { queued: await queueChanges(repository, options), attempted: 0, delivered: 0, retrying: 0, failed: 0 };
+
+  const deliveries = await repository.listDueWebhookDeliveries(options.now(), batchSize);
+  const deadline = Date.now() + budgetMs;
+  let next = 0;
+  const worker = async () => {
+    while (next < deliveries.length && Date.now() < deadline) {
+      const delivery = deliveries[next++];
+      try {
+        const now = options.now();
+        if (!await repository.claimWebhookDelivery(delivery.id, now, now + CLAIM_MS)) continue;
+        const status = await attemptDelivery(repository, delivery, options);
+        summary.attempted++;
+        summary[status === 'pending' ? 'retrying' : status]++;
+      } catch (error) {
+        console.error(`Webhook delivery '${delivery.id}' failed:`, error.message);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: concurrency }, worker));
+  return summary;
+}
+
+/**
+ * Sends a 'webhook.test' delivery to one webhook at once. It is logged and retried like any other.
+ * Returns the delivery's status.
+ */
+async function sendTestDelivery(repository, webhook, overrides) {
+  const options = getDispatcherOptions(overrides);
+  const now = options.now();
+  const id = `test_${now}_${crypto.randomBytes(4).toString('hex')}`;
+  const delivery = createDelivery({ webhook, event: 'test', componentId: webhook.componentId || null, payload: buildTestPayload(id, webhook, now), now });
+  await repository.addWebhookDelivery(id, delivery);
+  return attemptDelivery(repository, { id, ...delivery }, options);
+}
+
+/**
+ * Attempts a delivery again at once, e.g. after the receiver was fixed. A delivery that has used up
+ * its attempts gets exactly one more. Returns the delivery's status.
+ */
+async function retryDelivery(repository, delivery, overrides) {
+  const options = getDispatcherOptions(overrides);
+  await repository.updateWebhookDelivery(delivery.id, { status: 'pending', nextAttemptAt: options.now() + CLAIM_MS });
+  return attemptDelivery(repository, delivery, options);
+}
+
+module.exports = {
+  buildPayload,
+  formatSlackMessage,
+  createWebhookSignature,
+  verifyWebhookSignature,
+  runWebhooks,
+  sendTestDelivery,
+  retryDelivery,
+};
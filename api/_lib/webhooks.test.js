@@ -0,0 +1,277 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+import { settleSchedule } from '../../src/shared/branches';
+import { createMemoryRepository } from '../../src/shared/storage/memoryRepository';
+import { toStoredComponent } from '../../src/shared/storage/repository';
+import { buildPayload, formatSlackMessage, runWebhooks, verifyWebhookSignature } from './webhooks';
+
+const MAIN_URL = 'https://www.figma.com/design/abc123/Library';
+const RC_URL = 'https://www.figma.com/design/abc123/branch/def456/Library';
+const HOTFIX_URL = 'https://www.figma.com/design/abc123/branch/ghi789/Library';
+const T0 = Date.UTC(2024, 4, 1, 9, 0);
+const MINUTE = 60 * 1000;
+
+const WEBHOOK = {
+  workspaceId: 'ws_team',
+  componentId: null,
+  url: 'https://hooks.example.com/figma',
+  format: 'json',
+  events: ['update'],
+  secret: 'whsec_test',
+  enabled: true,
+  createdAt: T0 - MINUTE,
+};
+
+const okFetch = () => jest.fn(async () => ({ ok: true, status: 200 }));
+const failingFetch = () => jest.fn(async () => ({ ok: false, status: 500 }));
+
+// A repository holding `components` as if they had been saved at T0, plus one webhook ('1').
+const createRepository = (components) => createMemoryRepository({
+  state: {
+    components: Object.fromEntries(Object.entries(components).map(([id, data]) => [id, toStoredComponent(data, null, T0)])),
+    webhooks: { 1: WEBHOOK },
+    webhookCursor: T0,
+  },
+});
+
+const sentPayloads = (fetch) => fetch.mock.calls.map(([, init]) => JSON.parse(init.body));
+
+describe('scheduled changes', () => {
+  const button = {
+    workspaceId: 'ws_team',
+    name: 'Button',
+    branches: { main: MAIN_URL, latest: MAIN_URL },
+    schedule: [
+      { id: 'switch-1', type: 'switch', branch: 'latest', url: RC_URL, startsAt: T0 + 5 * MINUTE },
+      { id: 'override-1', type: 'override', branch: 'main', url: HOTFIX_URL, startsAt: T0 + 10 * MINUTE, endsAt: T0 + 20 * MINUTE },
+    ],
+  };
+
+  it('sends component.updated when a scheduled switch takes effect, once', async () => {
+    const repository = createRepository({ button });
+    const fetch = okFetch();
+    await runWebhooks(repository, { fetch, now: () => T0 + 6 * MINUTE });
+    await runWebhooks(repository, { fetch, now: () => T0 + 7 * MINUTE });
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    const [payload] = sentPayloads(fetch);
+    expect(payload).toMatchObject({
+      id: 'schedule_button_switch-1_start_1',
+      event: 'component.updated',
+      action: 'schedule',
+      actor: null,
+      occurredAt: new Date(T0 + 5 * MINUTE).toISOString(),
+      schedule: { id: 'switch-1', type: 'switch', branch: 'latest', phase: 'start' },
+      changes: [{ branch: 'latest', before: MAIN_URL, after: RC_URL }],
+    });
+    expect((await repository.getComponent('button')).nextScheduleChangeAt).toBe(T0 + 10 * MINUTE);
+  });
+
+  it('sends the start and the end of an override that both fell between two runs', async () => {
+    const repository = createRepository({ button });
+    const fetch = okFetch();
+    await runWebhooks(repository, { fetch, now: () => T0 + 30 * MINUTE });
+
+    expect(sentPayloads(fetch).map((payload) => payload.schedule.phase)).toEqual(['start', 'start', 'end']);
+    expect(sentPayloads(fetch)[2].changes).toEqual([{ branch: 'main', before: HOTFIX_URL, after: MAIN_URL }]);
+    expect((await repository.getComponent('button')).nextScheduleChangeAt).toBeNull();
+  });
+
+  it('skips scheduled changes from before the webhook was created', async () => {
+    const repository = createRepository({ button });
+    await repository.saveWebhook({ id: '1', ...WEBHOOK, createdAt: T0 + 8 * MINUTE });
+    const fetch = okFetch();
+    await runWebhooks(repository, { fetch, now: () => T0 + 12 * MINUTE });
+
+    expect(sentPayloads(fetch).map((payload) => payload.schedule.id)).toEqual(['override-1']);
+  });
+
+  it('sends a switch that a save settled before the dispatcher ran', async () => {
+    jest.useFakeTimers();
+    jest.setSystemTime(T0 + 6 * MINUTE);
+    const repository = createRepository({ button });
+    const current = await repository.getComponent('button');
+    const after = settleSchedule(current, Date.now());
+    await repository.saveComponents([{ id: 'button', action: 'update', before: current, after: { ...after, branches: { ...after.branches, docs: HOTFIX_URL } } }], { uid: 'alice' });
+    const fetch = okFetch();
+    await runWebhooks(repository, { fetch, now: () => T0 + 7 * MINUTE });
+    jest.useRealTimers();
+
+    expect(sentPayloads(fetch)).toMatchObject([
+      { action: 'schedule', schedule: { id: 'switch-1', phase: 'start' }, changes: [{ branch: 'latest', before: MAIN_URL, after: RC_URL }] },
+      { action: 'update', changes: [{ branch: 'docs', before: null, after: HOTFIX_URL }] },
+    ]);
+  });
+});
+
+describe('deliveries', () => {
+  // Changes are saved with the real clock, so these runs use it too, moved on by `advance`.
+  const setUp = async (webhook = {}) => {
+    const repository = createMemoryRepository({ state: { webhooks: { 1: { ...WEBHOOK, createdAt: 0, ...webhook } } } });
+    await repository.saveComponents([{ id: 'button', action: 'create', before: null, after: { workspaceId: 'ws_team', name: 'Button', branches: { main: MAIN_URL } } }], { uid: 'alice', email: 'alice@example.com' });
+    let clock = Date.now();
+    return {
+      repository,
+      now: () => clock,
+      advance: (ms) => { clock += ms; },
+      listDeliveries: () => repository.listWebhookDeliveries('ws_team'),
+    };
+  };
+
+  it('signs the body so receivers can verify it', async () => {
+    const { repository, now } = await setUp({ events: ['create'] });
+    const fetch = okFetch();
+    await runWebhooks(repository, { fetch, now });
+
+    const [[, { headers, body }]] = fetch.mock.calls;
+    const timestamp = headers['X-Webhook-Timestamp'];
+    const signature = headers['X-Webhook-Signature'];
+    expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(verifyWebhookSignature(WEBHOOK.secret, timestamp, body, signature, { now: now() })).toBe(true);
+    expect(verifyWebhookSignature('whsec_other', timestamp, body, signature, { now: now() })).toBe(false);
+    expect(verifyWebhookSignature(WEBHOOK.secret, timestamp, body.replace('Button', 'Buttons'), signature, { now: now() })).toBe(false);
+    expect(verifyWebhookSignature(WEBHOOK.secret, timestamp, body, signature, { now: now() + 10 * MINUTE })).toBe(false);
+  });
+
+  it('queues each change once, even when runs overlap', async () => {
+    const { repository, now, listDeliveries } = await setUp({ events: ['create'] });
+    const fetch = okFetch();
+    expect((await runWebhooks(repository, { fetch, now })).queued).toBe(1);
+    expect((await runWebhooks(repository, { fetch, now })).queued).toBe(0);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(await listDeliveries()).toHaveLength(1);
+  });
+
+  it('retries failed deliveries with backoff, then gives up', async () => {
+    const { repository, now, advance, listDeliveries } = await setUp({ events: ['create'] });
+    const fetch = failingFetch();
+    await runWebhooks(repository, { fetch, now });
+    let [delivery] = await listDeliveries();
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 1, nextAttemptAt: now() + MINUTE, error: 'Responded with HTTP 500.' });
+
+    // Not due yet: nothing is sent.
+    advance(MINUTE - 1);
+    await runWebhooks(repository, { fetch, now });
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    // Each retry waits for the next delay in WEBHOOK_RETRY_DELAYS_MINUTES.
+    const delays = [];
+    while (delivery.status === 'pending') {
+      advance(delivery.nextAttemptAt - now());
+      await runWebhooks(repository, { fetch, now });
+      [delivery] = await listDeliveries();
+      if (delivery.status === 'pending') delays.push((delivery.nextAttemptAt - now()) / MINUTE);
+    }
+    expect(delays).toEqual([5, 30, 120, 360]);
+    expect(delivery).toMatchObject({ status: 'failed', attempts: 6, nextAttemptAt: null });
+    expect(delivery.log).toHaveLength(6);
+  });
+
+  it('sends Slack messages to webhooks with the Slack format', async () => {
+    const { repository, now } = await setUp({ events: ['create'], format: 'slack' });
+    const fetch = okFetch();
+    await runWebhooks(repository, { fetch, now, baseUrl: 'https://links.example.com' });
+
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+      text: `<https://links.example.com/r/button|Button> was created by alice@example.com.\n• \`main\`: <${MAIN_URL}|target>`,
+    });
+  });
+});
+
+// Jest's Node environment has no global fetch, so deliveries go out through a minimal one over the
+// http module.
+const httpFetch = (url, { method, headers, body, signal }) => new Promise((resolve, reject) => {
+  const request = http.request(url, { method, headers, signal }, (res) => {
+    res.resume();
+    resolve({ ok: res.statusCode >= 200 && res.statusCode < 300, status: res.statusCode });
+  });
+  request.on('error', reject);
+  request.end(body);
+});
+
+describe('a receiver on localhost', () => {
+  const received = [];
+  let server;
+  let receiverUrl;
+
+  // Answers 401 unless the signature matches the body it received.
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        const verified = verifyWebhookSignature(WEBHOOK.secret, req.headers['x-webhook-timestamp'], body, req.headers['x-webhook-signature']);
+        received.push({ headers: req.headers, body: JSON.parse(body), verified });
+        res.writeHead(verified ? 204 : 401).end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${server.address().port}/hooks`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    received.length = 0;
+  });
+
+  const setUp = async (webhook) => {
+    const repository = createMemoryRepository({ state: { webhooks: { 1: { ...WEBHOOK, url: receiverUrl, events: ['create'], createdAt: 0, ...webhook } } } });
+    await repository.saveComponents([{ id: 'button', action: 'create', before: null, after: { workspaceId: 'ws_team', name: 'Button', branches: { main: MAIN_URL } } }], { uid: 'alice', email: 'alice@example.com' });
+    return repository;
+  };
+
+  it('receives a signed delivery it can verify', async () => {
+    const repository = await setUp();
+    expect(await runWebhooks(repository, { fetch: httpFetch })).toMatchObject({ queued: 1, delivered: 1 });
+
+    expect(received).toHaveLength(1);
+    const [{ headers, body, verified }] = received;
+    expect(verified).toBe(true);
+    expect(headers).toMatchObject({ 'content-type': 'application/json', 'x-webhook-event': 'component.created', 'x-webhook-id': body.id });
+    expect(body).toMatchObject({ event: 'component.created', component: { id: 'button', name: 'Button' } });
+  });
+
+  it('retries a delivery the receiver could not verify', async () => {
+    const repository = await setUp({ secret: 'whsec_rotated' });
+    expect(await runWebhooks(repository, { fetch: httpFetch })).toMatchObject({ delivered: 0, retrying: 1 });
+
+    expect(received.map((delivery) => delivery.verified)).toEqual([false]);
+    expect(await repository.listWebhookDeliveries('ws_team')).toMatchObject([{ status: 'pending', responseStatus: 401, error: 'Responded with HTTP 401.' }]);
+  });
+});
+
+describe('formatSlackMessage', () => {
+  const entry = {
+    id: 'h1',
+    action: 'update',
+    componentId: 'button',
+    workspaceId: 'ws_team',
+    actor: { uid: 'alice', email: 'a&b@example.com' },
+    before: { name: 'Button <Primary>', branches: { main: MAIN_URL, latest: MAIN_URL, old: RC_URL } },
+    after: { name: 'Button <Primary>', branches: { main: MAIN_URL, latest: RC_URL }, defaultBranch: 'latest' },
+  };
+
+  it('lists the default branch and every changed branch, escaped for Slack', () => {
+    const payload = buildPayload('h1_1', entry, T0, { baseUrl: null });
+    expect(formatSlackMessage(payload).text).toBe([
+      '*Button &lt;Primary&gt;* was updated by a&amp;b@example.com.',
+      '• Default branch: `main` → `latest`',
+      `• \`latest\` → <${RC_URL}|new target> (was <${MAIN_URL}|old target>)`,
+      `• \`old\` removed (was <${RC_URL}|target>)`,
+    ].join('\n'));
+  });
+
+  it('only says that a component was deleted', () => {
+    const payload = buildPayload('h2_1', { ...entry, action: 'delete', before: entry.after, after: null }, T0, { baseUrl: 'https://links.example.com' });
+    expect(formatSlackMessage(payload).text).toBe('<https://links.example.com/r/button|Button &lt;Primary&gt;> was deleted by a&amp;b@example.com.');
+  });
+
+  it('has a fixed message for test deliveries', () => {
+    expect(formatSlackMessage({ event: 'webhook.test' }).text).toMatch(/^Test message/);
+  });
+});
@@ -0,0 +1,201 @@
+// --- Admin API for components ---
+// GET    /api/components       List the components in the token's workspace.
+// POST   /api/components       Create a component: { name, branches: { name: url }, defaultBranch?, aliases?, redirectAliases?,
+//                              tags?, collection?, clientRules?, fallbackUrl? }.
+// GET    /api/components/:id   Read one component. `:id` may also be its current slug or an alias.
+// PUT    /api/components/:id   Replace name, branches and defaultBranch. `slug`, `aliases`, `redirectAliases`, `tags`,
+//                              `collection`, `clientRules` and `fallbackUrl` are optional and kept when left out.
+//                              Changing `slug` keeps the old one as an alias.
+// PATCH  /api/components/:id   Update some fields. `branches` is merged; a null URL removes that branch.
+// DELETE /api/components/:id   Delete a component (it stays restorable from the dashboard).
+//
+// Every request needs an `Authorization: Bearer <token>` header with a token created in
+// the dashboard. Read-only tokens, and tokens whose creator is a workspace viewer, may only use GET.
+// Tokens and workspaces always live in Firestore; components go through the configured storage backend.
+const { admin, initializeFirebaseAdmin } = require('./_lib/firebaseAdmin');
+const { authenticateRequest } = require('./_lib/apiTokens');
+const { getComponentRepository } = require('./_lib/storage');
+const {
+  getBranches,
+  getActiveBranches,
+  getDefaultBranch,
+  normalizeBranchName,
+  branchRowsToMap,
+  settleSchedule,
+} = require('../src/shared/branches');
+const { applyLabels, applySlugChanges, generateComponentId, getComponentSlug } = require('../src/shared/components');
+const { applyClientRules, validateClientRules } = require('../src/shared/clientRules');
+const { findTakenSlugs } = require('../src/shared/storage/repository');
+const { validateComponentInput } = require('../src/shared/validation');
+const { canEdit, getComponentWorkspaceId } = require('../src/shared/workspaces');
+
+const sendError = (res, status, code, message, details) => res.status(status).json({ error: { code, message, ...(details ? { details } : {}) } });
+
+const toApiComponent = (id, data) => ({
+  id,
+  slug: getComponentSlug(id, data),
+  aliases: data.aliases || [],
+  redirectAliases: Boolean(data.redirectAliases),
+  name: data.name,
+  tags: data.tags || [],
+  collection: data.collection || null,
+  clientRules: data.clientRules || [],
+  fallbackUrl: data.fallbackUrl || null,
+  defaultBranch: getDefaultBranch(data),
+  branches: getBranches(data),
+  // What /r/ serves right now, with scheduled switches and overrides applied.
+  activeBranches: getActiveBranches(data),
+});
+
+// Normalizes branch names, URLs and the default branch the same way the dashboard form does.
+const toComponentData = (workspaceId, input) => {
+  const branches = branchRowsToMap(Object.entries(input.branches).map(([name, url]) => ({ name, url })));
+  return {
+    workspaceId,
+    name: input.name.trim(),
+    branches,
+    defaultBranch: getDefaultBranch({ branches, defaultBranch: normalizeBranchName(input.defaultBranch || '') }),
+  };
+};
+
+// Applies the optional slug, label and client rule fields of a request body, normalized like the dashboard form does.
+const withOptionalInput = (id, data, input) => applyClientRules(applyLabels(applySlugChanges(id, data, {
+  slug: input.slug === undefined ? undefined : generateComponentId(input.slug),
+  aliases: input.aliases === undefined ? undefined : input.aliases.map(generateComponentId),
+  redirectAliases: input.redirectAliases,
+}), { tags: input.tags, collection: input.collection }), { clientRules: input.clientRules, fallbackUrl: input.fallbackUrl });
+
+// Client rules are checked on the merged data, since they may rely on a fallback URL that is already stored.
+const getClientRulesErrors = (data) => {
+  const message = validateClientRules(data);
+  return message ? [{ field: 'clientRules', message }] : [];
+};
+
+// A 409 listing every slug of the new data that another component already uses.
+const sendSlugsTaken = (res, id, data, taken) => sendError(res, 409, 'already_exists', 'A slug is already in use by another component.',
+  taken.map((slug) => ({ field: slug === getComponentSlug(id, data) ? 'slug' : 'aliases', message: `The slug '${slug}' is already in use.` })));
+
+const parseBody = (req) => {
+  if (typeof req.body !== 'string') return req.body;
+  try {
+    return JSON.parse(req.body);
+  } catch (error) {
+    return undefined;
+  }
+};
+
+module.exports = async function handler(req, res) {
+  try {
+    initializeFirebaseAdmin();
+    const db = admin.firestore();
+    const repository = getComponentRepository();
+
+    // 1. Authenticate the API token
+    const token = await authenticateRequest(db, admin, req);
+    if (!token) {
+      return sendError(res, 401, 'unauthorized', 'A valid API token is required in the Authorization header.');
+    }
+    if (req.method !== 'GET' && (token.scope !== 'read-write' || !canEdit(token.role))) {
+      return sendError(res, 403, 'forbidden', token.scope !== 'read-write' ? 'This API token is read-only.' : 'The token\'s owner is a viewer in this workspace.');
+    }
+
+    const actor = { uid: token.uid, email: null, apiToken: token.name };
+    const componentId = req.query.id;
+    const body = req.method === 'POST' || req.method === 'PUT' || req.method === 'PATCH' ? parseBody(req) : null;
+    if (body === undefined) {
+      return sendError(res, 400, 'invalid_json', 'The request body is not valid JSON.');
+    }
+
+    // 2. Collection routes
+    if (!componentId) {
+      if (req.method === 'GET') {
+        const components = await repository.listComponents(token.workspaceId);
+        return res.status(200).json({ components: components.map(({ id, ...data }) => toApiComponent(id, data)) });
+      }
+
+      if (req.method === 'POST') {
+        const errors = validateComponentInput(body);
+        if (errors.length) return sendError(res, 400, 'validation_failed', 'The component is not valid.', errors);
+
+        const newId = generateComponentId(body.name);
+        if (await repository.isSlugTaken(newId)) {
+          return sendError(res, 409, 'already_exists', 'A component with this name already exists.', [{ field: 'name', message: `The slug '${newId}' is already in use.` }]);
+        }
+        // New components always start with their ID as the slug; rename them afterwards.
+        const data = withOptionalInput(newId, { ...toComponentData(token.workspaceId, body), createdBy: token.uid }, { ...body, slug: undefined });
+        const rulesErrors = getClientRulesErrors(data);
+        if (rulesErrors.length) return sendError(res, 400, 'validation_failed', 'The component is not valid.', rulesErrors);
+        const taken = await findTakenSlugs(repository, newId, null, data);
+        if (taken.length) return sendSlugsTaken(res, newId, data, taken);
+        await repository.saveComponents([{ id: newId, action: 'create', before: null, after: data }], actor);
+        return res.status(201).json({ component: toApiComponent(newId, data) });
+      }
+
+      res.setHeader('Allow', 'GET, POST');
+      return sendError(res, 405, 'method_not_allowed', `${req.method} is not supported on /api/components.`);
+    }
+
+    // 3. Single component routes. Components in other workspaces are reported as missing.
+    const component = await repository.getComponentBySlug(componentId);
+    if (!component || getComponentWorkspaceId(component) !== token.workspaceId) {
+      return sendError(res, 404, 'not_found', `Component '${componentId}' was not found.`);
+    }
+    const { id, ...current } = component;
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ component: toApiComponent(id, current) });
+    }
+
+    if (req.method === 'PUT' || req.method === 'PATCH') {
+      let input = body;
+      if (req.method === 'PATCH') {
+        const errors = validateComponentInput(body, { partial: true, allowNullBranches: true });
+        if (errors.length) return sendError(res, 400, 'validation_failed', 'The update is not valid.', errors);
+
+        const branches = { ...getActiveBranches(current, Date.now(), { includeOverrides: false }) };
+        Object.entries(body.branches || {}).forEach(([name, url]) => {
+          if (url === null) delete branches[normalizeBranchName(name)];
+          else branches[normalizeBranchName(name)] = url;
+        });
+        // If the current default branch is removed, the default falls back like it does in the form.
+        const currentDefault = getDefaultBranch(current);
+        input = {
+          name: body.name !== undefined ? body.name : current.name,
+          branches,
+          defaultBranch: body.defaultBranch !== undefined ? body.defaultBranch : (branches[currentDefault] ? currentDefault : undefined),
+        };
+      }
+
+      const errors = validateComponentInput(input);
+      if (errors.length) return sendError(res, 400, 'validation_failed', 'The component is not valid.', errors);
+
+      // The document ID never changes, even if the name or the slug does.
+      const after = withOptionalInput(id, { ...settleSchedule(current), ...toComponentData(token.workspaceId, input) }, body);
+      const rulesErrors = getClientRulesErrors(after);
+      if (rulesErrors.length) return sendError(res, 400, 'validation_failed', 'The component is not valid.', rulesErrors);
+      const taken = await findTakenSlugs(repository, id, current, after);
+      if (taken.length) return sendSlugsTaken(res, id, after, taken);
+      await repository.saveComponents([{ id, action: 'update', before: current, after }], actor);
+      return res.status(200).json({ component: toApiComponent(id, after) });
+    }
+
+    if (req.method === 'DELETE') {
+      await repository.deleteComponent(component, actor);
+      return res.status(204).end();
+    }
+
+    res.setHeader('Allow', 'GET, PUT, PATCH, DELETE');
+    return sendError(res, 405, 'method_not_allowed', `${req.method} is not supported on /api/components/:id.`);
+
+  } catch (error) {
+    // Another write claimed a slug between findTakenSlugs() and this request's write.
+    if (error.code === 'already-exists') return sendError(res, 409, 'already_exists', error.message);
+
+    console.error('--- FUNCTION INVOCATION FAILED ---');
+    console.error('Error Message:', error.message);
+    console.error('Error Stack:', error.stack);
+    console.error('---------------------------------');
+
+    return sendError(res, 500, 'internal_error', 'Internal Server Error. Please check the function logs for details.');
+  }
+};
@@ -0,0 +1,154 @@
+/**
+ * @jest-environment node
+ */
+import { hashToken } from './_lib/apiTokens';
+import { getComponentRepository } from './_lib/storage';
+import handler from './components';
+
+jest.mock('./_lib/storage', () => {
+  const repository = require('../src/shared/storage/memoryRepository').createMemoryRepository();
+  return { getComponentRepository: () => repository };
+});
+
+// Tokens and workspaces are read straight from Firestore: { collection: { id: data } }.
+const mockDocs = { apiTokens: {}, workspaces: {} };
+
+jest.mock('./_lib/firebaseAdmin', () => {
+  const firestore = () => ({
+    collection: (name) => ({
+      doc: (id) => ({
+        get: async () => ({ id, exists: Boolean(mockDocs[name][id]), data: () => mockDocs[name][id] }),
+        update: async () => {},
+      }),
+    }),
+  });
+  firestore.FieldValue = { serverTimestamp: () => null };
+  return { admin: { firestore }, initializeFirebaseAdmin: () => {} };
+});
+
+const FILE_URL = 'https://www.figma.com/design/abc123/Library';
+const BETA_URL = 'https://www.figma.com/design/abc123/branch/def456/Library';
+const RC_URL = 'https://www.figma.com/design/abc123/branch/ghi789/Library';
+
+const TOKENS = {
+  frm_write: { uid: 'alice', name: 'CI', scope: 'read-write', workspaceId: 'ws_team' },
+  frm_read: { uid: 'alice', name: 'Docs', scope: 'read', workspaceId: 'ws_team' },
+  frm_viewer: { uid: 'victor', name: 'Script', scope: 'read-write', workspaceId: 'ws_team' },
+  frm_former: { uid: 'mallory', name: 'Old', scope: 'read-write', workspaceId: 'ws_team' },
+};
+
+const createResponse = () => ({
+  headers: {},
+  setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+  end() { return this; },
+});
+
+const call = async (method, { id, body, token = 'frm_write' } = {}) => {
+  const res = createResponse();
+  await handler({ method, query: id ? { id } : {}, headers: token ? { authorization: `Bearer ${token}` } : {}, body }, res);
+  return res;
+};
+
+beforeAll(async () => {
+  Object.entries(TOKENS).forEach(([token, data]) => { mockDocs.apiTokens[hashToken(token)] = data; });
+  mockDocs.workspaces.ws_team = { members: { alice: 'editor', victor: 'viewer' } };
+  mockDocs.workspaces.ws_other = { members: { bob: 'owner' } };
+  await getComponentRepository().saveComponents([{
+    id: 'secret',
+    action: 'create',
+    before: null,
+    after: { workspaceId: 'ws_other', name: 'Secret', branches: { main: FILE_URL } },
+  }], { uid: 'bob', email: 'bob@example.com' });
+});
+
+beforeEach(async () => {
+  const repository = getComponentRepository();
+  const current = await repository.getComponent('button');
+  await repository.saveComponents([{
+    id: 'button',
+    action: current ? 'update' : 'create',
+    before: current,
+    after: { workspaceId: 'ws_team', name: 'Button', branches: { main: FILE_URL, beta: BETA_URL }, defaultBranch: 'main' },
+  }], { uid: 'alice', email: 'alice@example.com' });
+});
+
+describe('authentication', () => {
+  it('needs a token of a current workspace member', async () => {
+    expect((await call('GET', { token: null })).statusCode).toBe(401);
+    expect((await call('GET', { token: 'frm_unknown' })).statusCode).toBe(401);
+    expect((await call('GET', { token: 'not-a-token' })).statusCode).toBe(401);
+    expect((await call('GET', { token: 'frm_former' })).body.error.code).toBe('unauthorized');
+  });
+
+  it('lets read-only tokens and viewers read but not write', async () => {
+    const list = await call('GET', { token: 'frm_read' });
+    expect(list.statusCode).toBe(200);
+    expect(list.body.components.map((component) => component.id)).toEqual(['button']);
+    expect((await call('GET', { id: 'button', token: 'frm_viewer' })).statusCode).toBe(200);
+
+    const readOnly = await call('PATCH', { id: 'button', token: 'frm_read', body: { name: 'Nope' } });
+    expect(readOnly.statusCode).toBe(403);
+    expect(readOnly.body.error.message).toBe('This API token is read-only.');
+    const viewer = await call('DELETE', { id: 'button', token: 'frm_viewer' });
+    expect(viewer.statusCode).toBe(403);
+    expect(viewer.body.error.message).toBe('The token\'s owner is a viewer in this workspace.');
+    expect(await getComponentRepository().getComponent('button')).toMatchObject({ name: 'Button' });
+  });
+});
+
+describe('validation', () => {
+  it('rejects invalid JSON and invalid components with the fields at fault', async () => {
+    const invalidJson = await call('POST', { body: '{"name":' });
+    expect(invalidJson.statusCode).toBe(400);
+    expect(invalidJson.body.error.code).toBe('invalid_json');
+
+    const invalid = await call('POST', { body: { name: '', branches: { main: FILE_URL }, defaultBranch: 'rc' } });
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.body.error.code).toBe('validation_failed');
+    expect(invalid.body.error.details.map((detail) => detail.field)).toEqual(['name', 'defaultBranch']);
+
+    const patch = await call('PATCH', { id: 'button', body: { branches: 'main' } });
+    expect(patch.statusCode).toBe(400);
+    expect(patch.body.error.details).toMatchObject([{ field: 'branches' }]);
+  });
+});
+
+describe('workspaces', () => {
+  it("reports another workspace's component as missing", async () => {
+    const get = await call('GET', { id: 'secret' });
+    expect(get.statusCode).toBe(404);
+    expect(get.body.error).toEqual({ code: 'not_found', message: "Component 'secret' was not found." });
+    expect((await call('PATCH', { id: 'secret', body: { name: 'Mine now' } })).statusCode).toBe(404);
+    expect((await call('DELETE', { id: 'secret' })).statusCode).toBe(404);
+    expect(await getComponentRepository().getComponent('secret')).toMatchObject({ name: 'Secret' });
+  });
+
+  it("answers 409 when a new component or slug collides with any workspace's slug", async () => {
+    const create = await call('POST', { body: { name: 'Secret', branches: { main: FILE_URL } } });
+    expect(create.statusCode).toBe(409);
+    expect(create.body.error.details).toEqual([{ field: 'name', message: "The slug 'secret' is already in use." }]);
+
+    const rename = await call('PATCH', { id: 'button', body: { slug: 'secret', aliases: ['cta'] } });
+    expect(rename.statusCode).toBe(409);
+    expect(rename.body.error).toMatchObject({ code: 'already_exists', details: [{ field: 'slug', message: "The slug 'secret' is already in use." }] });
+  });
+});
+
+describe('PATCH /api/components/:id', () => {
+  it('merges branches and removes the ones set to null', async () => {
+    const res = await call('PATCH', { id: 'button', body: { branches: { RC: RC_URL, beta: null } } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.component).toMatchObject({ name: 'Button', defaultBranch: 'main', branches: { main: FILE_URL, rc: RC_URL } });
+    expect((await getComponentRepository().getComponent('button')).branches).toEqual({ main: FILE_URL, rc: RC_URL });
+  });
+
+  it('falls back to another default branch when the default one is removed', async () => {
+    const res = await call('PATCH', { id: 'button', body: { branches: { main: null } } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.component).toMatchObject({ defaultBranch: 'beta', branches: { beta: BETA_URL } });
+  });
+});
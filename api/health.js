@@ -0,0 +1,56 @@
+// --- Link health checks ---
+// GET  /api/health           Run by the Vercel cron job (see vercel.json). Checks every component,
+//                            least recently checked first, for as long as the time budget allows.
+// POST /api/health?id=<id>   Re-checks one component from the dashboard.
+//
+// The cron job sends `Authorization: Bearer <CRON_SECRET>`. The dashboard sends the signed-in
+// user's Firebase ID token; any member of the component's workspace may re-check it.
+const { getComponentRepository } = require('./_lib/storage');
+const { runHealthCheck } = require('./_lib/linkHealth');
+const { getBearerToken, isCronRequest, verifyUser, getWorkspaceRole } = require('./_lib/requestAuth');
+const { getComponentWorkspaceId } = require('../src/shared/workspaces');
+
+const sendError = (res, status, code, message) => res.status(status).json({ error: { code, message } });
+
+module.exports = async function handler(req, res) {
+  try {
+    const token = getBearerToken(req);
+
+    // 1. Scheduled run over every component
+    if (req.method === 'GET') {
+      if (!isCronRequest(token)) {
+        return sendError(res, 401, 'unauthorized', 'Scheduled health checks need `Authorization: Bearer <CRON_SECRET>`.');
+      }
+      const summary = await runHealthCheck(getComponentRepository());
+      console.log(`Health check: ${summary.checked} checked, ${summary.remaining} left for the next run.`);
+      return res.status(200).json(summary);
+    }
+
+    // 2. Manual re-check of one component by a member of its workspace
+    if (req.method === 'POST') {
+      const componentId = req.query.id;
+      if (!componentId) return sendError(res, 400, 'missing_id', 'Pass the component to check as ?id=<component-id>.');
+
+      const uid = await verifyUser(token);
+      if (!uid) return sendError(res, 401, 'unauthorized', 'Sign in to the dashboard to re-check links.');
+
+      const repository = getComponentRepository();
+      const component = await repository.getComponent(componentId);
+      if (!component || !await getWorkspaceRole(getComponentWorkspaceId(component), uid)) {
+        return sendError(res, 404, 'not_found', `Component '${componentId}' was not found.`);
+      }
+      return res.status(200).json(await runHealthCheck(repository, { ids: [componentId] }));
+    }
+
+    res.setHeader('Allow', 'GET, POST');
+    return sendError(res, 405, 'method_not_allowed', `${req.method} is not supported on /api/health.`);
+
+  } catch (error) {
+    console.error('--- FUNCTION INVOCATION FAILED ---');
+    console.error('Error Message:', error.message);
+    console.error('Error Stack:', error.stack);
+    console.error('---------------------------------');
+
+    return sendError(res, 500, 'internal_error', 'Internal Server Error. Please check the function logs for details.');
+  }
+};
@@ -1,86 +1,161 @@
-// Import the Firebase Admin SDK
-const admin = require('firebase-admin');
-
-/**
- * Initializes the Firebase Admin SDK.
- * It checks for the required environment variable and ensures the app is only initialized once.
- * This function is designed to be called within the handler to catch initialization errors.
- */
-function initializeFirebaseAdmin() {
-  // This is the most common point of failure. Check if the environment variable is set.
-  if (!process.env.FIREBASE_SERVICE_ACCOUNT_KEY) {
-    // This clear error will now appear in your Vercel logs if the variable is missing.
-    throw new Error('CRITICAL: FIREBASE_SERVICE_ACCOUNT_KEY environment variable is not set.');
-  }
+// Components are read through the configured storage backend (Firestore unless STORAGE_BACKEND says otherwise).
+const { getComponentRepository } = require('../_lib/storage');
+const { NO_STORE, getCachedComponent, getRedirectCacheControl } = require('../_lib/redirectCache');
+const { LEGACY_BRANCH_FIELDS, getActiveBranches, getDefaultBranch, resolveBranchUrl } = require('../../src/shared/branches');
+const { BADGE_FILE_NAME, renderBadge } = require('../../src/shared/badges');
+const { getComponentSlug } = require('../../src/shared/components');
+const { dependsOnClientHeaders, getRuleFlags, parseCookies, resolveClientTarget } = require('../../src/shared/clientRules');
+const { mergeDeepLink } = require('../../src/shared/figmaUrls');
+const { getLinkPath } = require('../../src/shared/linkReports');
+const { getComponentWorkspaceId } = require('../../src/shared/workspaces');
+const { recordRedirectEvent } = require('../_lib/analytics');
+const { renderNotFoundPage } = require('../_lib/notFoundPage');
+
+// True if `branch` is listed on the component but has no URL.
+const hasEmptyBranch = (data, branch) => Boolean(data.branches && branch in data.branches)
+  || Boolean(LEGACY_BRANCH_FIELDS[branch] && LEGACY_BRANCH_FIELDS[branch] in data);
+
+// "Did you mean" links: the component's branches.
+function getBranchSuggestions(componentData) {
+  const slug = getComponentSlug(componentData.id, componentData);
+  return Object.keys(getActiveBranches(componentData)).map((name) => ({ href: getLinkPath(slug, name), label: `${componentData.name} / ${name}` }));
+}
 
-  // Prevent re-initializing the app on subsequent cold starts.
-  if (admin.apps.length > 0) {
-    return admin.app();
-  }
+// The same request under the component's current slug, e.g. /r/old-name/main?x=1 -> /r/new-name/main?x=1.
+function getCanonicalPath(canonicalSlug, segments, query) {
+  const search = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => [].concat(value).forEach((item) => search.append(key, item)));
+  const path = `/r/${[canonicalSlug, ...segments.slice(1)].map(encodeURIComponent).join('/')}`;
+  return search.toString() ? `${path}?${search}` : path;
+}
 
-  // Parse the service account key from the environment variable.
-  const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_KEY);
+// Renders the public "link not found" page. It is never cached, so a fixed link works at once.
+function sendNotFound(req, res, page) {
+  const headers = req.headers || {};
+  res.setHeader('Cache-Control', NO_STORE);
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  return res.status(404).send(renderNotFoundPage({ ...page, referrer: headers.referer || headers.referrer || '' }));
+}
 
-  // Initialize the Firebase app.
-  return admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount)
-  });
+// Renders the badge for /r/<slug>[/<branch>]/badge.svg. Badges are embedded, not visited, so they
+// record no analytics. Missing links get a red "not found" badge that is never cached.
+async function sendBadge(repository, res, [requestedSlug, requestedBranch]) {
+  const { value: componentData, status: cacheStatus } = await getCachedComponent(repository, requestedSlug);
+  const branch = componentData && (requestedBranch || getDefaultBranch(componentData));
+  const found = Boolean(componentData && resolveBranchUrl(componentData, branch));
+  res.setHeader('Content-Type', 'image/svg+xml; charset=utf-8');
+  res.setHeader('Cache-Control', found && cacheStatus !== 'stale' ? getRedirectCacheControl(componentData) : NO_STORE);
+  if (!found) {
+    return res.status(404).send(renderBadge({ label: componentData ? componentData.name : requestedSlug, message: 'not found', missing: true }));
+  }
+  return res.status(200).send(renderBadge({ label: componentData.name, message: branch }));
 }
 
 // --- The Serverless Function Handler (using module.exports) ---
 // We use module.exports instead of 'export default' to match the CommonJS environment on Vercel.
 module.exports = async function handler(req, res) {
-  const fallbackUrl = '/'; // Redirect to the homepage if a redirect URL can't be found.
-
   try {
-    // Initialize Firebase and get a Firestore instance.
-    initializeFirebaseAdmin();
-    const db = admin.firestore();
+    const repository = getComponentRepository();
 
     // The 'slug' is an array of path segments from the URL.
-    // For a URL like /r/my-component/main, slug will be ['my-component', 'main']
-    const { slug } = req.query;
-
-    // 1. Validate the incoming URL structure
-    if (!slug || slug.length !== 2) {
+    // For a URL like /r/my-component/main, slug will be ['my-component', 'main'].
+    // For /r/my-component, slug will be ['my-component'] and the default branch is used.
+    // The first segment may also be a renamed component's old slug or another alias.
+    // A third segment is a node id to deep-link to: /r/my-component/main/12-34.
+    // Any other query params (e.g. ?node-id=12-34) are merged into the target URL as well.
+    const { slug, ...deepLinkParams } = req.query;
+
+    // 1. Validate the incoming URL structure. A trailing badge.svg asks for the link's badge
+    //    instead of a redirect: /r/my-component/main/badge.svg.
+    if (slug && slug.length > 1 && slug.length < 4 && slug[slug.length - 1] === BADGE_FILE_NAME) {
+      return sendBadge(repository, res, slug.slice(0, -1));
+    }
+    if (!slug || slug.length < 1 || slug.length > 3) {
       console.warn('Invalid slug received:', slug);
-      return res.redirect(307, fallbackUrl);
+      return sendNotFound(req, res, { reason: 'invalid-link', path: `/r/${[].concat(slug || []).join('/')}` });
     }
 
-    const [componentId, branch] = slug;
-
-    // 2. Validate the branch type
-    if (branch !== 'main' && branch !== 'latest') {
-      console.warn(`Invalid branch received: '${branch}'`);
-      return res.redirect(307, fallbackUrl);
+    const [requestedSlug, requestedBranch, nodeId] = slug;
+
+    // 2. Fetch the component by ID, slug or alias, from the in-process cache when it is fresh.
+    //    If storage is unreachable, the last-known copy is used ('stale') instead of failing.
+    const { value: componentData, status: cacheStatus } = await getCachedComponent(repository, requestedSlug);
+    const isStale = cacheStatus === 'stale';
+    res.setHeader('X-Redirect-Cache', cacheStatus);
+    // Analytics would only fail (slowly) too while storage is down.
+    const recordEvent = (event) => (isStale ? Promise.resolve() : recordRedirectEvent(repository, req, event));
+
+    // 3. Check if the component exists. If not, explain. A slug that matches no component belongs to
+    //    no workspace, and the page is public, so it suggests no other components.
+    if (!componentData) {
+      console.warn(`Document not found for slug: '${requestedSlug}'`);
+      await recordEvent({ outcome: 'miss', componentId: requestedSlug, branch: requestedBranch, reason: 'component-not-found' });
+      return sendNotFound(req, res, {
+        reason: 'component-not-found',
+        path: getLinkPath(requestedSlug, requestedBranch),
+        componentId: requestedSlug,
+        branch: requestedBranch,
+      });
     }
-
-    // 3. Fetch the component document from Firestore
-    const docRef = db.collection('components').doc(componentId);
-    const docSnap = await docRef.get();
-
-    // 4. Check if the document exists
-    if (!docSnap.exists) {
-      console.warn(`Document not found for componentId: '${componentId}'`);
-      return res.redirect(307, fallbackUrl);
+    // Analytics, history and reports always use the document ID, whatever slug was requested.
+    const componentId = componentData.id;
+
+    // 4. Old slugs and aliases resolve in place, unless the component asks for a permanent
+    //    redirect to its canonical pretty link. That redirect is cached like any other.
+    const canonicalSlug = getComponentSlug(componentId, componentData);
+    if (requestedSlug !== canonicalSlug && componentData.redirectAliases) {
+      res.setHeader('Cache-Control', isStale ? NO_STORE : getRedirectCacheControl(componentData));
+      return res.redirect(301, getCanonicalPath(canonicalSlug, slug, deepLinkParams));
     }
 
-    // 5. Determine the correct redirect URL from the document data
-    const componentData = docSnap.data();
-    const redirectUrl = branch === 'main' ? componentData.mainUrl : componentData.latestUrl;
+    // 5. Determine the branch, falling back to the component's default branch
+    const branch = requestedBranch || getDefaultBranch(componentData);
+
+    // 6. Determine the correct redirect URL from the document data.
+    //    This also resolves legacy documents that only have mainUrl/latestUrl,
+    //    and applies any scheduled switch or override that is active right now.
+    const targetUrl = resolveBranchUrl(componentData, branch);
 
-    if (!redirectUrl) {
+    if (!targetUrl) {
+        // A branch that is listed without a URL, or a component with no branches at all, has no target yet.
+        const reason = !branch || hasEmptyBranch(componentData, branch) ? 'empty-url' : 'branch-not-found';
         console.warn(`URL for branch '${branch}' not found in document for componentId: '${componentId}'`);
-        return res.redirect(307, fallbackUrl);
+        await recordEvent({ outcome: 'miss', componentId, branch, workspaceId: getComponentWorkspaceId(componentData), reason });
+        return sendNotFound(req, res, {
+          reason,
+          path: getLinkPath(requestedSlug, requestedBranch),
+          componentId: requestedSlug,
+          branch,
+          suggestions: getBranchSuggestions(componentData),
+        });
     }
 
-    // 6. Perform the redirect
-    console.log(`Redirecting from /r/${componentId}/${branch} to ${redirectUrl}`);
+    // 7. Merge deep-link params (node-id etc.) into the target URL. Query flags that only
+    //    exist for the component's client rules are not passed on.
+    const ruleFlags = getRuleFlags(componentData);
+    const figmaParams = Object.fromEntries(Object.entries(deepLinkParams).filter(([key]) => !ruleFlags.includes(key.toLowerCase())));
+    const webUrl = mergeDeepLink(targetUrl, nodeId ? { ...figmaParams, 'node-id': nodeId } : figmaParams);
+
+    // 8. Apply the component's client rules: the first one matching the user agent, a query flag
+    //    or the visitor's preference cookie picks the web URL, a figma:// link or the fallback URL.
+    const headers = req.headers || {};
+    const { url: redirectUrl } = resolveClientTarget(componentData, webUrl, {
+      userAgent: headers['user-agent'],
+      query: deepLinkParams,
+      cookies: parseCookies(headers.cookie),
+    });
+
+    // 9. Record the hit and perform the redirect. The edge may cache it briefly (hits served
+    //    from the edge cache are not recorded); a stale fallback is not cached at all, and neither
+    //    is a redirect that depends on the user agent or cookies, which the edge cache ignores.
+    console.log(`Redirecting from /r/${requestedSlug}/${branch} to ${redirectUrl}`);
+    await recordEvent({ outcome: 'hit', componentId, branch, workspaceId: getComponentWorkspaceId(componentData) });
+    res.setHeader('Cache-Control', isStale || dependsOnClientHeaders(componentData) ? NO_STORE : getRedirectCacheControl(componentData));
     // We use a 307 Temporary Redirect as the destination URL might change.
     return res.redirect(307, redirectUrl);
 
   } catch (error) {
-    // 7. This block will now catch any errors during initialization or Firestore operations
+    // 10. This block will now catch any errors during initialization or storage operations
     //    and log them clearly in Vercel.
     console.error('--- FUNCTION INVOCATION FAILED ---');
     console.error('Error Message:', error.message);
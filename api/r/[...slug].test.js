@@ -0,0 +1,53 @@
+/**
+ * @jest-environment node
+ */
+import { getComponentRepository } from '../_lib/storage';
+import handler from './[...slug]';
+
+jest.mock('../_lib/storage', () => {
+  const repository = require('../../src/shared/storage/memoryRepository').createMemoryRepository();
+  return { getComponentRepository: () => repository };
+});
+
+const FILE_URL = 'https://www.figma.com/design/abc123/Library';
+
+const createResponse = () => ({
+  headers: {},
+  setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+  status(code) { this.statusCode = code; return this; },
+  send(body) { this.body = body; return this; },
+  redirect(code, url) { this.statusCode = code; this.location = url; return this; },
+});
+
+const request = async (...slug) => {
+  const res = createResponse();
+  await handler({ method: 'GET', query: { slug }, headers: {} }, res);
+  return res;
+};
+
+beforeAll(async () => {
+  await getComponentRepository().saveComponents([{
+    id: 'secret-roadmap',
+    action: 'create',
+    before: null,
+    after: { workspaceId: 'ws_other', name: 'Secret Roadmap', branches: { main: FILE_URL, beta: FILE_URL } },
+  }], { uid: 'bob', email: 'bob@example.com' });
+});
+
+describe('the "link not found" page', () => {
+  it("doesn't suggest other workspaces' slugs for an unknown component", async () => {
+    const res = await request('secret-roadmp', 'main');
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toContain('This component does not exist');
+    expect(res.body).not.toContain('Did you mean');
+    expect(res.body).not.toContain('secret-roadmap');
+  });
+
+  it("lists an existing component's branches for an unknown branch", async () => {
+    const res = await request('secret-roadmap', 'mian');
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toContain('Did you mean');
+    expect(res.body).toContain('<a href="/r/secret-roadmap/main">Secret Roadmap / main</a>');
+    expect(res.body).toContain('<a href="/r/secret-roadmap/beta">Secret Roadmap / beta</a>');
+  });
+});
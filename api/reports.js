@@ -0,0 +1,132 @@
+// --- Broken-link reports ---
+// POST /api/reports   Sent by the "Report broken link" form on the "link not found" page.
+//
+// Public and unauthenticated. Accepts the form's urlencoded body (and answers with a page) or
+// JSON (and answers with JSON). The workspace is looked up from the component, never taken from
+// the request, and each client IP may send a handful of reports per window.
+const { getComponentRepository } = require('./_lib/storage');
+const { getClientType } = require('./_lib/analytics');
+const { renderReportResultPage } = require('./_lib/notFoundPage');
+const { MISS_REASONS, REPORT_MESSAGE_MAX_LENGTH, getLinkPath } = require('../src/shared/linkReports');
+const { normalizeBranchName } = require('../src/shared/branches');
+const { FIGMA_HOSTS } = require('../src/shared/figmaUrls');
+const { getComponentWorkspaceId } = require('../src/shared/workspaces');
+
+const MAX_REPORTS_PER_WINDOW = 5;
+const RATE_LIMIT_WINDOW_MS = 10 * 60 * 1000;
+const MAX_FIELD_LENGTH = 500;
+const SLUG_PATTERN = /^[a-z0-9-]{1,100}$/;
+
+const recentReports = new Map(); // client IP -> report times in the current window
+
+const isRateLimited = (ip, now = Date.now()) => {
+  // Keep the map bounded on long-lived instances.
+  if (recentReports.size > 10000) recentReports.clear();
+  const times = (recentReports.get(ip) || []).filter((time) => now - time < RATE_LIMIT_WINDOW_MS);
+  recentReports.set(ip, [...times, now]);
+  return times.length >= MAX_REPORTS_PER_WINDOW;
+};
+
+const getClientIp = (req) => String((req.headers && req.headers['x-forwarded-for']) || '').split(',')[0].trim()
+  || (req.socket && req.socket.remoteAddress) || 'unknown';
+
+const parseBody = (raw, contentType) => {
+  if (contentType.includes('application/json')) return JSON.parse(raw || '{}');
+  return Object.fromEntries(new URLSearchParams(raw));
+};
+
+// Vercel parses JSON and form bodies for us; the local dev server hands over the raw stream.
+const readBody = (req, contentType) => {
+  if (req.body && typeof req.body === 'object') return Promise.resolve(req.body);
+  if (typeof req.body === 'string') return Promise.resolve(parseBody(req.body, contentType));
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(parseBody(raw, contentType));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+};
+
+const toText = (value, maxLength = MAX_FIELD_LENGTH) => String(value || '').trim().slice(0, maxLength);
+
+// "Go back" only links to this site or to Figma, so the page can't send visitors anywhere a form post names.
+const getBackUrl = (referrer, req) => {
+  let url;
+  try {
+    url = new URL(referrer);
+  } catch (error) {
+    return null;
+  }
+  const host = req.headers && (req.headers['x-forwarded-host'] || req.headers.host);
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+  return url.host === host || FIGMA_HOSTS.includes(url.hostname.toLowerCase()) ? url.href : null;
+};
+
+module.exports = async function handler(req, res) {
+  const contentType = String((req.headers && req.headers['content-type']) || '');
+  const wantsJson = contentType.includes('application/json');
+  const respond = (status, ok, message, backUrl) => {
+    res.setHeader('Cache-Control', 'no-store');
+    if (wantsJson) return res.status(status).json(ok ? { ok } : { error: { message } });
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.status(status).send(renderReportResultPage({ ok, message, backUrl }));
+  };
+
+  try {
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      return respond(405, false, 'Reports must be sent with POST.');
+    }
+
+    // 1. Read and clean up the report
+    let body;
+    try {
+      body = await readBody(req, contentType);
+    } catch (error) {
+      return respond(400, false, 'The report could not be read.');
+    }
+    // The slug the visitor used, which may be an alias.
+    const slug = toText(body.componentId).toLowerCase();
+    const branch = normalizeBranchName(toText(body.branch));
+    const referrer = toText(body.referrer);
+    const backUrl = getBackUrl(referrer, req);
+    if (!SLUG_PATTERN.test(slug)) {
+      return respond(400, false, 'The report does not name a valid pretty link.', backUrl);
+    }
+
+    // 2. Limit how many reports one client can send
+    if (isRateLimited(getClientIp(req))) {
+      return respond(429, false, 'Too many reports were sent from your network. Please try again later.', backUrl);
+    }
+
+    // 3. Attach the report to the component and its workspace, if the component exists
+    const repository = getComponentRepository();
+    const component = await repository.getComponentBySlug(slug);
+    await repository.addLinkReport({
+      componentId: component ? component.id : slug,
+      branch: branch || null,
+      path: getLinkPath(slug, branch),
+      reason: MISS_REASONS[body.reason] ? body.reason : (component ? 'branch-not-found' : 'component-not-found'),
+      workspaceId: component ? getComponentWorkspaceId(component) : null,
+      message: toText(body.message, REPORT_MESSAGE_MAX_LENGTH) || null,
+      referrer: referrer || null,
+      clientType: getClientType(req.headers && req.headers['user-agent']),
+    });
+
+    return respond(201, true, 'The people who manage this link can now see your report.', backUrl);
+
+  } catch (error) {
+    console.error('--- FUNCTION INVOCATION FAILED ---');
+    console.error('Error Message:', error.message);
+    console.error('Error Stack:', error.stack);
+    console.error('---------------------------------');
+
+    return respond(500, false, 'Something went wrong while saving your report. Please try again later.');
+  }
+};
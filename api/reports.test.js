@@ -0,0 +1,108 @@
+/**
+ * @jest-environment node
+ */
+import { getComponentRepository } from './_lib/storage';
+import handler from './reports';
+
+jest.mock('./_lib/storage', () => {
+  const repository = require('../src/shared/storage/memoryRepository').createMemoryRepository();
+  return { getComponentRepository: () => repository };
+});
+
+const FILE_URL = 'https://www.figma.com/design/abc123/Library';
+const T0 = Date.UTC(2024, 4, 1, 9, 0);
+const MINUTE = 60 * 1000;
+
+// A response that records what the handler sent.
+const createResponse = () => ({
+  headers: {},
+  setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+  send(body) { this.body = body; return this; },
+});
+
+// Each test reports from its own IP, so the rate limit of one doesn't leak into another.
+const send = async (body, { ip = '203.0.113.1', method = 'POST', json = true } = {}) => {
+  const res = createResponse();
+  await handler({
+    method,
+    headers: { 'content-type': json ? 'application/json' : 'application/x-www-form-urlencoded', 'x-forwarded-for': `${ip}, 10.0.0.1`, host: 'links.example.com' },
+    body: json ? body : new URLSearchParams(body).toString(),
+  }, res);
+  return res;
+};
+
+beforeAll(async () => {
+  await getComponentRepository().saveComponents([{
+    id: 'button',
+    action: 'create',
+    before: null,
+    after: { workspaceId: 'ws_team', name: 'Button', branches: { main: FILE_URL } },
+  }], { uid: 'alice', email: 'alice@example.com' });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('POST /api/reports', () => {
+  it('attaches a report to the component and its workspace', async () => {
+    const res = await send({ componentId: 'Button', branch: 'beta', message: '  Broken in the docs  ' }, { ip: '203.0.113.10' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toEqual({ ok: true });
+    expect(await getComponentRepository().listLinkReports('ws_team')).toMatchObject([{
+      componentId: 'button',
+      branch: 'beta',
+      path: '/r/button/beta',
+      reason: 'branch-not-found',
+      message: 'Broken in the docs',
+    }]);
+  });
+
+  it('files reports for unknown slugs under no workspace', async () => {
+    const res = await send({ componentId: 'nope', reason: 'not-a-reason' }, { ip: '203.0.113.11' });
+
+    expect(res.statusCode).toBe(201);
+    expect(await getComponentRepository().listLinkReports(null)).toMatchObject([{ componentId: 'nope', reason: 'component-not-found', workspaceId: null }]);
+  });
+
+  it('rejects other methods and invalid slugs', async () => {
+    const get = await send({ componentId: 'button' }, { method: 'GET', ip: '203.0.113.12' });
+    expect(get.statusCode).toBe(405);
+    expect(get.headers.allow).toBe('POST');
+
+    expect((await send({ componentId: '../admin' }, { ip: '203.0.113.12' })).statusCode).toBe(400);
+    expect((await send({}, { ip: '203.0.113.12' })).statusCode).toBe(400);
+    expect((await send({ componentId: 'x'.repeat(101) }, { ip: '203.0.113.12' })).body).toEqual({
+      error: { message: 'The report does not name a valid pretty link.' },
+    });
+  });
+
+  it('limits each client to five reports per ten minutes', async () => {
+    jest.useFakeTimers();
+    jest.setSystemTime(T0);
+    const statuses = [];
+    for (let i = 0; i < 6; i++) {
+      statuses.push((await send({ componentId: 'button' }, { ip: '203.0.113.13' })).statusCode);
+    }
+    expect(statuses).toEqual([201, 201, 201, 201, 201, 429]);
+    expect((await send({ componentId: 'button' }, { ip: '203.0.113.14' })).statusCode).toBe(201);
+
+    jest.setSystemTime(T0 + 10 * MINUTE);
+    expect((await send({ componentId: 'button' }, { ip: '203.0.113.13' })).statusCode).toBe(201);
+  });
+
+  it('answers the form with a page that only links back to this site or Figma', async () => {
+    const report = (referrer) => send({ componentId: 'button', referrer }, { json: false, ip: '203.0.113.15' });
+
+    const fromSite = await report('https://links.example.com/docs');
+    expect(fromSite.statusCode).toBe(201);
+    expect(fromSite.headers['content-type']).toBe('text/html; charset=utf-8');
+    expect(fromSite.body).toContain('<a href="https://links.example.com/docs">Go back</a>');
+    expect((await report('https://www.figma.com/design/abc123')).body).toContain('<a href="https://www.figma.com/design/abc123">Go back</a>');
+    expect((await report('https://evil.example.net/')).body).not.toContain('Go back');
+    expect((await report('ftp://links.example.com/docs')).body).not.toContain('Go back');
+  });
+});
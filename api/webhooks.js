@@ -0,0 +1,76 @@
+// --- Outgoing webhooks ---
+// GET  /api/webhooks                 Run by the Vercel cron job (see vercel.json). Queues deliveries for
+//                                    new changes and sends the ones that are due, retries included.
+// POST /api/webhooks?test=<id>       Sends a test delivery to one webhook.
+// POST /api/webhooks?retry=<id>      Attempts a delivery again at once.
+//
+// The cron job sends `Authorization: Bearer <CRON_SECRET>`. The dashboard sends the signed-in
+// user's Firebase ID token; tests and retries need an editor of the webhook's workspace. Only
+// the cron job runs the whole dispatcher, so no user can make the function work through every
+// workspace's queue on demand.
+const { getComponentRepository } = require('./_lib/storage');
+const { runWebhooks, sendTestDelivery, retryDelivery } = require('./_lib/webhooks');
+const { getBearerToken, isCronRequest, verifyUser, getWorkspaceRole } = require('./_lib/requestAuth');
+const { canEdit } = require('../src/shared/workspaces');
+
+const sendError = (res, status, code, message) => res.status(status).json({ error: { code, message } });
+
+// Pretty links in payloads point at the host the request came in on, unless PUBLIC_BASE_URL is set.
+const getBaseUrl = (req) => {
+  const host = req.headers && (req.headers['x-forwarded-host'] || req.headers.host);
+  return host ? `${req.headers['x-forwarded-proto'] || 'https'}://${host}` : null;
+};
+
+module.exports = async function handler(req, res) {
+  try {
+    const token = getBearerToken(req);
+    const repository = getComponentRepository();
+    const options = { baseUrl: getBaseUrl(req) };
+
+    // 1. Scheduled run
+    if (req.method === 'GET') {
+      if (!isCronRequest(token)) {
+        return sendError(res, 401, 'unauthorized', 'Scheduled webhook runs need `Authorization: Bearer <CRON_SECRET>`.');
+      }
+      const summary = await runWebhooks(repository, options);
+      console.log(`Webhooks: ${summary.queued} queued, ${summary.delivered} delivered, ${summary.retrying} to retry, ${summary.failed} failed.`);
+      return res.status(200).json(summary);
+    }
+
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      return sendError(res, 405, 'method_not_allowed', `${req.method} is not supported on /api/webhooks.`);
+    }
+
+    const uid = await verifyUser(token);
+    if (!uid) return sendError(res, 401, 'unauthorized', 'Sign in to the dashboard to send webhooks.');
+
+    // 2. Test delivery to one webhook
+    if (req.query.test) {
+      const webhook = await repository.getWebhook(String(req.query.test));
+      if (!webhook || !canEdit(await getWorkspaceRole(webhook.workspaceId, uid))) {
+        return sendError(res, 404, 'not_found', `Webhook '${req.query.test}' was not found.`);
+      }
+      return res.status(200).json({ status: await sendTestDelivery(repository, webhook, options) });
+    }
+
+    // 3. Manual retry of one delivery
+    if (req.query.retry) {
+      const delivery = await repository.getWebhookDelivery(String(req.query.retry));
+      if (!delivery || !canEdit(await getWorkspaceRole(delivery.workspaceId, uid))) {
+        return sendError(res, 404, 'not_found', `Delivery '${req.query.retry}' was not found.`);
+      }
+      return res.status(200).json({ status: await retryDelivery(repository, delivery, options) });
+    }
+
+    return sendError(res, 400, 'missing_id', 'Pass the webhook to test as ?test=<webhook-id>, or the delivery to retry as ?retry=<delivery-id>.');
+
+  } catch (error) {
+    console.error('--- FUNCTION INVOCATION FAILED ---');
+    console.error('Error Message:', error.message);
+    console.error('Error Stack:', error.stack);
+    console.error('---------------------------------');
+
+    return sendError(res, 500, 'internal_error', 'Internal Server Error. Please check the function logs for details.');
+  }
+};
@@ -0,0 +1,273 @@
+// Tests for firestore.rules. They need the Firestore emulator, so they don't run with `npm test`:
+//
+//   npm run test:rules
+//
+// which starts the emulator with `firebase emulators:exec` and runs this file with Jest.
+const fs = require('fs');
+const path = require('path');
+const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+const {
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  writeBatch,
+  arrayUnion,
+  collection,
+  query,
+  where,
+  orderBy,
+  serverTimestamp,
+} = require('firebase/firestore');
+
+const PROJECT_ID = 'demo-redirect-manager';
+const FIGMA_URL = 'https://www.figma.com/design/abc123/Library';
+
+// ws_team: alice owns it, bob edits, carol views. dave owns ws_other and is in no other workspace.
+const TEAM = {
+  name: 'Team',
+  members: { alice: 'owner', bob: 'editor', carol: 'viewer' },
+  memberUids: ['alice', 'bob', 'carol'],
+  memberEmails: { alice: 'alice@example.com', bob: 'bob@example.com', carol: 'carol@example.com' },
+};
+const OTHER = {
+  name: 'Other',
+  members: { dave: 'owner' },
+  memberUids: ['dave'],
+  memberEmails: { dave: 'dave@example.com' },
+};
+
+const component = (workspaceId, extra = {}) => ({ workspaceId, name: 'Button', branches: { main: FIGMA_URL }, defaultBranch: 'main', ...extra });
+
+let testEnv;
+
+const as = (uid, token = {}) => testEnv.authenticatedContext(uid, { email: `${uid}@example.com`, email_verified: true, ...token }).firestore();
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: fs.readFileSync(path.join(__dirname, 'firestore.rules'), 'utf8') },
+  });
+});
+
+afterAll(() => testEnv.cleanup());
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await setDoc(doc(db, 'workspaces/ws_team'), TEAM);
+    await setDoc(doc(db, 'workspaces/ws_other'), OTHER);
+    await setDoc(doc(db, 'components/button'), component('ws_team'));
+    await setDoc(doc(db, 'components/other-button'), component('ws_other'));
+    await setDoc(doc(db, 'components/legacy-button'), { uid: 'alice', name: 'Legacy', mainUrl: FIGMA_URL });
+    await setDoc(doc(db, 'workspaceInvites/ws_team_erin@example.com'), { workspaceId: 'ws_team', email: 'erin@example.com', role: 'viewer' });
+    await setDoc(doc(db, 'redirectEvents/miss-1'), { workspaceId: null, outcome: 'miss', componentId: 'nope' });
+    await setDoc(doc(db, 'redirectEvents/hit-1'), { workspaceId: 'ws_team', outcome: 'hit', componentId: 'button' });
+    await setDoc(doc(db, 'redirectCounts/miss-1'), { workspaceId: null, day: '2024-06-01', outcome: 'miss', componentId: 'nope', count: 3 });
+    await setDoc(doc(db, 'redirectCounts/hit-1'), { workspaceId: 'ws_team', day: '2024-06-01', outcome: 'hit', componentId: 'button', count: 5 });
+    await setDoc(doc(db, 'componentHistory/history-1'), { workspaceId: 'ws_team', componentId: 'button', action: 'create', actor: { uid: 'bob' }, timestamp: 1, before: null, after: component('ws_team') });
+    // 'button' was deleted from ws_other once before ws_team took the ID; 'card' was deleted from ws_team.
+    await setDoc(doc(db, 'deletedComponents/button_1'), { componentId: 'button', workspaceId: 'ws_other', data: component('ws_other'), deletedBy: { uid: 'dave' }, deletedAt: 1, expiresAt: 2 });
+    await setDoc(doc(db, 'deletedComponents/card_1'), { componentId: 'card', workspaceId: 'ws_team', data: component('ws_team', { name: 'Card' }), deletedBy: { uid: 'bob' }, deletedAt: 1, expiresAt: 2 });
+    await setDoc(doc(db, 'linkReports/report-1'), { workspaceId: null, path: '/r/nope', message: 'Broken' });
+  });
+});
+
+describe('creating workspaces', () => {
+  const newWorkspace = (uid) => ({ name: 'Personal', members: { [uid]: 'owner' }, memberUids: [uid], memberEmails: { [uid]: `${uid}@example.com` } });
+
+  it('lets a first-time user check for and create their personal workspace', async () => {
+    const db = as('erin');
+    await assertSucceeds(getDoc(doc(db, 'workspaces/erin')));
+    await assertSucceeds(setDoc(doc(db, 'workspaces/erin'), newWorkspace('erin')));
+    await assertSucceeds(getDoc(doc(db, 'workspaces/erin')));
+  });
+
+  it("does not reveal whether someone else's workspace exists", async () => {
+    await assertFails(getDoc(doc(as('erin'), 'workspaces/frank')));
+    await assertFails(getDoc(doc(as('erin'), 'workspaces/ws_team')));
+  });
+
+  it('lets users create their own personal workspace and shared ws_ workspaces', async () => {
+    await assertSucceeds(setDoc(doc(as('erin'), 'workspaces/erin'), newWorkspace('erin')));
+    await assertSucceeds(setDoc(doc(as('erin'), 'workspaces/ws_abc123'), newWorkspace('erin')));
+  });
+
+  it("refuses someone else's personal workspace ID", async () => {
+    await assertFails(setDoc(doc(as('mallory'), 'workspaces/victim'), newWorkspace('mallory')));
+  });
+
+  it('refuses a workspace the creator does not own alone', async () => {
+    await assertFails(setDoc(doc(as('erin'), 'workspaces/ws_abc123'), { ...newWorkspace('erin'), members: { erin: 'owner', bob: 'owner' }, memberUids: ['erin', 'bob'] }));
+  });
+});
+
+describe('viewer', () => {
+  it('can read components and the workspace', async () => {
+    await assertSucceeds(getDoc(doc(as('carol'), 'components/button')));
+    await assertSucceeds(getDoc(doc(as('carol'), 'workspaces/ws_team')));
+  });
+
+  it("can read the workspace's usage counters but not write them", async () => {
+    await assertSucceeds(getDoc(doc(as('carol'), 'redirectCounts/hit-1')));
+    await assertFails(updateDoc(doc(as('alice'), 'redirectCounts/hit-1'), { count: 500 }));
+  });
+
+  it('cannot create, change or delete components', async () => {
+    await assertFails(setDoc(doc(as('carol'), 'components/new-button'), component('ws_team')));
+    await assertFails(updateDoc(doc(as('carol'), 'components/button'), { name: 'Renamed' }));
+    await assertFails(deleteDoc(doc(as('carol'), 'components/button')));
+  });
+
+  it('cannot change members', async () => {
+    await assertFails(updateDoc(doc(as('carol'), 'workspaces/ws_team'), { 'members.carol': 'owner' }));
+  });
+});
+
+describe('component history', () => {
+  // The query from historyQuery in src/storage/firestoreRepository.js.
+  const historyQuery = (db, workspaceId) => query(collection(db, 'componentHistory'), where('workspaceId', '==', workspaceId), where('componentId', '==', 'button'), orderBy('timestamp', 'desc'));
+
+  it("can be listed by the workspace's viewers", async () => {
+    await assertSucceeds(getDocs(historyQuery(as('carol'), 'ws_team')));
+  });
+
+  it('cannot be listed without the workspace in the query, or by others', async () => {
+    await assertFails(getDocs(query(collection(as('carol'), 'componentHistory'), where('componentId', '==', 'button'), orderBy('timestamp', 'desc'))));
+    await assertFails(getDocs(historyQuery(as('dave'), 'ws_team')));
+  });
+});
+
+describe('deleted components', () => {
+  const historyEntry = (uid, componentId, action) => ({ componentId, workspaceId: 'ws_team', action, actor: { uid }, timestamp: serverTimestamp() });
+
+  // The batch from deleteComponent in src/storage/firestoreRepository.js.
+  const deleteButton = (uid) => {
+    const db = as(uid);
+    const batch = writeBatch(db);
+    batch.delete(doc(db, 'components/button'));
+    batch.set(doc(db, 'deletedComponents/button_3'), { componentId: 'button', workspaceId: 'ws_team', data: component('ws_team'), deletedBy: { uid }, deletedAt: serverTimestamp(), expiresAt: 4 });
+    batch.set(doc(collection(db, 'componentHistory')), { ...historyEntry(uid, 'button', 'delete'), before: component('ws_team'), after: null });
+    return batch.commit();
+  };
+
+  // The batch from restoreDeletedComponent in src/storage/firestoreRepository.js.
+  const restoreCard = (uid) => {
+    const db = as(uid);
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'components/card'), component('ws_team', { name: 'Card' }));
+    batch.delete(doc(db, 'deletedComponents/card_1'));
+    batch.set(doc(collection(db, 'componentHistory')), { ...historyEntry(uid, 'card', 'restore'), before: null, after: component('ws_team', { name: 'Card' }) });
+    return batch.commit();
+  };
+
+  it('can be deleted again while an earlier deletion is still kept', async () => {
+    await assertFails(deleteButton('carol'));
+    await assertSucceeds(deleteButton('bob'));
+  });
+
+  it('can be listed by viewers and restored by editors', async () => {
+    await assertSucceeds(getDocs(query(collection(as('carol'), 'deletedComponents'), where('workspaceId', '==', 'ws_team'))));
+    await assertFails(restoreCard('carol'));
+    await assertSucceeds(restoreCard('bob'));
+  });
+
+  it('stay hidden from other workspaces', async () => {
+    await assertFails(getDoc(doc(as('bob'), 'deletedComponents/button_1')));
+    await assertFails(deleteDoc(doc(as('bob'), 'deletedComponents/button_1')));
+  });
+});
+
+describe('editor', () => {
+  it('can create, change and delete components', async () => {
+    await assertSucceeds(setDoc(doc(as('bob'), 'components/new-button'), component('ws_team')));
+    await assertSucceeds(updateDoc(doc(as('bob'), 'components/button'), { name: 'Renamed' }));
+    await assertSucceeds(deleteDoc(doc(as('bob'), 'components/button')));
+  });
+
+  it('cannot move a component into a workspace they do not edit', async () => {
+    await assertFails(updateDoc(doc(as('bob'), 'components/button'), { workspaceId: 'ws_other' }));
+  });
+
+  it('cannot change members or roles', async () => {
+    await assertFails(updateDoc(doc(as('bob'), 'workspaces/ws_team'), { 'members.carol': 'editor' }));
+  });
+});
+
+describe('owner', () => {
+  it('can change roles and remove members', async () => {
+    await assertSucceeds(updateDoc(doc(as('alice'), 'workspaces/ws_team'), { 'members.carol': 'editor' }));
+  });
+
+  it('cannot leave the workspace without an owner', async () => {
+    await assertFails(updateDoc(doc(as('alice'), 'workspaces/ws_team'), { 'members.alice': 'editor' }));
+  });
+
+  it('can invite people', async () => {
+    await assertSucceeds(setDoc(doc(as('alice'), 'workspaceInvites/ws_team_frank@example.com'), { workspaceId: 'ws_team', email: 'frank@example.com', role: 'editor' }));
+    await assertFails(setDoc(doc(as('bob'), 'workspaceInvites/ws_team_frank@example.com'), { workspaceId: 'ws_team', email: 'frank@example.com', role: 'editor' }));
+  });
+});
+
+describe('joining with an invite', () => {
+  const join = (db, role) => {
+    const batch = writeBatch(db);
+    batch.update(doc(db, 'workspaces/ws_team'), { 'members.erin': role, 'memberEmails.erin': 'erin@example.com', memberUids: arrayUnion('erin') });
+    batch.delete(doc(db, 'workspaceInvites/ws_team_erin@example.com'));
+    return batch.commit();
+  };
+
+  it('joins with exactly the invited role', async () => {
+    await assertFails(join(as('erin'), 'owner'));
+    await assertSucceeds(join(as('erin'), 'viewer'));
+  });
+
+  it('needs a verified email', async () => {
+    await assertFails(getDoc(doc(as('erin', { email_verified: false }), 'workspaceInvites/ws_team_erin@example.com')));
+    await assertFails(join(as('erin', { email_verified: false }), 'viewer'));
+  });
+
+  it('needs an invite for the signed-in email', async () => {
+    await assertFails(join(as('mallory'), 'viewer'));
+  });
+});
+
+describe('other workspaces', () => {
+  it('are invisible to non-members', async () => {
+    await assertFails(getDoc(doc(as('dave'), 'workspaces/ws_team')));
+    await assertFails(getDoc(doc(as('dave'), 'components/button')));
+    await assertFails(getDoc(doc(as('dave'), 'redirectEvents/hit-1')));
+    await assertFails(getDoc(doc(as('dave'), 'redirectCounts/hit-1')));
+    await assertFails(getDoc(doc(as('bob'), 'components/other-button')));
+  });
+
+  it('cannot be written to', async () => {
+    await assertFails(setDoc(doc(as('bob'), 'components/sneaky'), component('ws_other')));
+    await assertFails(updateDoc(doc(as('dave'), 'components/button'), { name: 'Mine' }));
+  });
+
+  it("keep a legacy component in its creator's personal workspace", async () => {
+    await assertFails(getDoc(doc(as('dave'), 'components/legacy-button')));
+    await assertFails(setDoc(doc(as('dave'), 'workspaces/alice'), { name: 'Personal', members: { dave: 'owner' }, memberUids: ['dave'], memberEmails: {} }));
+  });
+});
+
+describe('records without a workspace', () => {
+  it('are readable by admins only', async () => {
+    await assertFails(getDoc(doc(as('bob'), 'redirectEvents/miss-1')));
+    await assertFails(getDoc(doc(as('bob'), 'linkReports/report-1')));
+    await assertFails(getDoc(doc(as('bob'), 'redirectCounts/miss-1')));
+    await assertSucceeds(getDoc(doc(as('root', { admin: true }), 'redirectEvents/miss-1')));
+    await assertSucceeds(getDoc(doc(as('root', { admin: true }), 'redirectCounts/miss-1')));
+    await assertSucceeds(getDoc(doc(as('root', { admin: true }), 'linkReports/report-1')));
+  });
+
+  it('can only be resolved by admins', async () => {
+    const resolve = (uid, token) => updateDoc(doc(as(uid, token), 'linkReports/report-1'), { resolvedAt: 1, resolvedBy: { uid } });
+    await assertFails(resolve('bob'));
+    await assertSucceeds(resolve('root', { admin: true }));
+  });
+});
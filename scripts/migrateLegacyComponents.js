@@ -0,0 +1,78 @@
+// Moves components created before workspaces existed (they only have `uid`) into their
+// creator's personal workspace, creating that workspace when it's missing.
+//
+//   FIREBASE_SERVICE_ACCOUNT_KEY='{...}' npm run migrate:legacy-components
+//   npm run migrate:legacy-components -- --dry-run
+//
+// Run it once after deploying workspaces. It uses the Admin SDK, so it bypasses firestore.rules;
+// the dashboard never migrates anything itself.
+const { admin, initializeFirebaseAdmin } = require('../api/_lib/firebaseAdmin');
+
+// Firestore allows 500 writes per batch.
+const WRITES_PER_BATCH = 400;
+
+// The creator's email for the workspace's member list, if the user still exists.
+async function getEmail(uid) {
+  try {
+    return (await admin.auth().getUser(uid)).email || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Returns true if `uid` owns workspaces/<uid>, creating it when it doesn't exist yet.
+async function ensurePersonalWorkspace(db, uid, dryRun) {
+  const ref = db.collection('workspaces').doc(uid);
+  const snap = await ref.get();
+  if (snap.exists) return (snap.data().members || {})[uid] === 'owner';
+  if (!dryRun) {
+    await ref.create({
+      name: 'Personal',
+      members: { [uid]: 'owner' },
+      memberUids: [uid],
+      memberEmails: { [uid]: await getEmail(uid) },
+      createdBy: uid,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+  return true;
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  initializeFirebaseAdmin();
+  const db = admin.firestore();
+
+  // Firestore can't query for a missing field, so every component is read once.
+  const snapshot = await db.collection('components').get();
+  const byCreator = {};
+  snapshot.docs.filter((snap) => !snap.data().workspaceId && snap.data().uid).forEach((snap) => {
+    const { uid } = snap.data();
+    byCreator[uid] = [...(byCreator[uid] || []), snap];
+  });
+
+  let moved = 0;
+  let skipped = 0;
+  for (const [uid, docs] of Object.entries(byCreator)) {
+    // A personal workspace owned by someone else means the ID was taken before the rules
+    // checked it. Leave those components for a person to look at.
+    if (!(await ensurePersonalWorkspace(db, uid, dryRun))) {
+      console.warn(`workspaces/${uid} exists but ${uid} is not its owner; skipped ${docs.length} component(s).`);
+      skipped += docs.length;
+      continue;
+    }
+    for (let i = 0; i < docs.length; i += WRITES_PER_BATCH) {
+      const batch = db.batch();
+      docs.slice(i, i + WRITES_PER_BATCH).forEach((snap) => batch.update(snap.ref, { workspaceId: uid }));
+      if (!dryRun) await batch.commit();
+    }
+    moved += docs.length;
+  }
+
+  console.log(`${dryRun ? 'Would move' : 'Moved'} ${moved} component(s) into personal workspaces; skipped ${skipped}.`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,22 @@
+// Grants or removes the `admin` custom claim, which lets a user see misses and reports for
+// slugs that belong to no workspace (see firestore.rules).
+//
+//   FIREBASE_SERVICE_ACCOUNT_KEY='{...}' npm run set-admin -- someone@example.com [--remove]
+const { admin, initializeFirebaseAdmin } = require('../api/_lib/firebaseAdmin');
+
+async function main() {
+  const email = process.argv.slice(2).find((arg) => !arg.startsWith('--'));
+  const remove = process.argv.includes('--remove');
+  if (!email) throw new Error('Usage: npm run set-admin -- <email> [--remove]');
+
+  initializeFirebaseAdmin();
+  const user = await admin.auth().getUserByEmail(email);
+  const { admin: _, ...claims } = user.customClaims || {};
+  await admin.auth().setCustomUserClaims(user.uid, remove ? claims : { ...claims, admin: true });
+  console.log(`${email} is ${remove ? 'no longer' : 'now'} an admin. It takes effect on their next sign-in.`);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
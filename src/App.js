@@ -1,59 +1,168 @@
 import React, { useState, useEffect } from 'react';
-import { initializeApp } from 'firebase/app';
 import {
-    getAuth,
     onAuthStateChanged,
     signInWithEmailAndPassword,
     signOut
 } from 'firebase/auth';
 import {
-    getFirestore,
     collection,
     query,
     where,
-    onSnapshot,
-    doc,
-    getDoc, // <-- This was the missing import
-    setDoc,
-    updateDoc,
-    deleteDoc
+    onSnapshot
 } from 'firebase/firestore';
+import {
+    getActiveBranches,
+    getDefaultBranch,
+    normalizeBranchName,
+    validateBranchRows,
+    branchRowsToMap,
+    branchMapToRows,
+    settleSchedule
+} from './shared/branches';
+import {
+    applyLabels,
+    applySlugChanges,
+    generateComponentId,
+    getComponentSlug,
+    getComponentSlugs,
+    normalizeLabel,
+    normalizeTags,
+    validateComponentName,
+    validateLabels,
+    validateSlug
+} from './shared/components';
+import { parseFigmaUrl, getBranchUrlWarnings } from './shared/figmaUrls';
+import { applyClientRules, validateClientRules } from './shared/clientRules';
+import { getBadgePath } from './shared/badges';
+import { ROLES, canEdit, getMemberRole } from './shared/workspaces';
+import { isBroken } from './shared/linkHealth';
+import { auth, db } from './firebase';
+import { Card, CardHeader, CardTitle, CardContent, Input, Button, Label } from './components/ui';
+import UsageDashboard from './components/UsageDashboard';
+import ComponentHistory from './components/ComponentHistory';
+import RecentlyDeleted from './components/RecentlyDeleted';
+import ScheduledChanges from './components/ScheduledChanges';
+import LinkReports, { UnknownLinkReports } from './components/LinkReports';
+import LinkHealth from './components/LinkHealth';
+import ComponentFilters from './components/ComponentFilters';
+import Webhooks from './components/Webhooks';
+import ClientRuleFields, { OpenInPreference } from './components/ClientRules';
+import LinkShareMenu from './components/LinkShareMenu';
+import ImportExport from './components/ImportExport';
+import ApiTokens from './components/ApiTokens';
+import WorkspacePanel, { PendingInvites } from './components/WorkspacePanel';
+import { createComponent, updateComponent, deleteComponent, findTakenSlugs, isSlugTaken } from './componentHistory';
+import { ensurePersonalWorkspace } from './workspaces';
+import { repository, isLocalStorage, LOCAL_USER, LOCAL_WORKSPACE } from './storage';
+import {
+    POPULARITY_DAYS,
+    readFiltersFromUrl,
+    writeFiltersToUrl,
+    filterComponents,
+    sortComponents,
+    groupByCollection,
+    getAllTags,
+    getAllCollections
+} from './componentFilters';
 
-// --- Firebase Configuration ---
-// It's recommended to use environment variables for security
-const firebaseConfig = process.env.REACT_APP_FIREBASE_CONFIG
-    ? JSON.parse(process.env.REACT_APP_FIREBASE_CONFIG)
-    : {};
+// The selected workspace is remembered per browser.
+const ACTIVE_WORKSPACE_KEY = 'activeWorkspaceId';
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-// Initialize Firebase
-const app = initializeApp(firebaseConfig);
-const auth = getAuth(app);
-const db = getFirestore(app); // Initialize Firestore
+// --- Branch Fields Component ---
+// Editable list of named branches used by both the add and the edit forms.
+const emptyBranchRows = () => [{ name: 'main', url: '' }, { name: 'latest', url: '' }];
 
+const BranchFields = ({ idPrefix, rows, onChange, defaultBranch, onDefaultBranchChange }) => {
+    const urlWarnings = getBranchUrlWarnings(Object.fromEntries(rows.filter((row) => row.url.trim()).map((row) => [normalizeBranchName(row.name), row.url])), defaultBranch);
+    const updateRow = (index, field, value) => onChange(rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+    const removeRow = (index) => onChange(rows.filter((_, i) => i !== index));
+    const addRow = () => onChange([...rows, { name: '', url: '' }]);
+    return (
+        <div className="space-y-2">
+            <Label>Branches</Label>
+            {rows.map((row, index) => {
+                const branchName = normalizeBranchName(row.name);
+                return (
+                    <div key={index} className="space-y-1">
+                        <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+                            <Input id={`${idPrefix}-name-${index}`} aria-label="Branch name" className="sm:w-40" value={row.name} onChange={(e) => updateRow(index, 'name', e.target.value)} placeholder="e.g., rc-2" />
+                            <Input id={`${idPrefix}-url-${index}`} aria-label="Branch URL" type="url" value={row.url} onChange={(e) => updateRow(index, 'url', e.target.value)} placeholder="https://figma.com/design/..." />
+                            <label className="flex items-center gap-1 text-sm text-muted-foreground flex-shrink-0"><input type="radio" name={`${idPrefix}-default`} checked={!!branchName && branchName === defaultBranch} onChange={() => onDefaultBranchChange(branchName)} disabled={!branchName} />Default</label>
+                            <Button type="button" size="sm" variant="outline" onClick={() => removeRow(index)} disabled={rows.length === 1}>Remove</Button>
+                        </div>
+                        {(urlWarnings[branchName] || []).map((warning) => (<p key={warning} className="text-xs text-amber-600">{warning}</p>))}
+                    </div>
+                );
+            })}
+            <Button type="button" size="sm" variant="outline" onClick={addRow}>Add Branch</Button>
+        </div>
+    );
+};
 
-// --- Shadcn UI-style Components ---
-const Card = ({ className, ...props }) => <div className={`rounded-xl border bg-card text-card-foreground shadow-sm ${className}`} {...props} />;
-const CardHeader = ({ className, ...props }) => <div className={`flex flex-col space-y-1.5 p-6 ${className}`} {...props} />;
+// --- Slug Fields Component ---
+// The pretty-link slug and aliases in the edit form. /r/<document ID> always keeps working, so it is never listed.
+const SlugFields = ({ idPrefix, componentId, slug, onSlugChange, aliases, onAliasesChange, redirectAliases, onRedirectAliasesChange }) => (
+    <div className="space-y-2">
+        <div className="space-y-2">
+            <Label htmlFor={`${idPrefix}-slug`}>Slug</Label>
+            <Input id={`${idPrefix}-slug`} value={slug} onChange={(e) => onSlugChange(e.target.value)} placeholder={componentId} />
+            <p className="text-xs text-muted-foreground">Pretty links use /r/{generateComponentId(slug) || componentId}. When the slug changes, the old one keeps working as an alias.</p>
+        </div>
+        <div className="space-y-2">
+            <Label htmlFor={`${idPrefix}-aliases`}>Aliases</Label>
+            <Input id={`${idPrefix}-aliases`} value={aliases} onChange={(e) => onAliasesChange(e.target.value)} placeholder="e.g., slider, range-input" />
+            <p className="text-xs text-muted-foreground">Other slugs that open this component, separated by commas. /r/{componentId} always works.</p>
+        </div>
+        <label className="flex items-center gap-2 text-sm"><input type="checkbox" checked={redirectAliases} onChange={(e) => onRedirectAliasesChange(e.target.checked)} />Send aliases to the current slug with a permanent (301) redirect</label>
+    </div>
+);
 
-// FIX: Rewrote CardTitle to be more explicit for the linter to prevent jsx-a11y error
-const CardTitle = ({ className, children, ...props }) => (
-    <h3 className={`text-2xl font-semibold leading-none tracking-tight ${className}`} {...props}>
-        {children}
-    </h3>
+// --- Label Fields Component ---
+// Collection and tags, used by both the add and the edit forms. Collections already in use are suggested.
+const LabelFields = ({ idPrefix, collection, onCollectionChange, tags, onTagsChange, knownCollections }) => (
+    <div className="grid gap-4 sm:grid-cols-2">
+        <div className="space-y-2">
+            <Label htmlFor={`${idPrefix}-collection`}>Collection</Label>
+            <Input id={`${idPrefix}-collection`} list={`${idPrefix}-collections`} value={collection} onChange={(e) => onCollectionChange(e.target.value)} placeholder="e.g., Forms" />
+            <datalist id={`${idPrefix}-collections`}>{knownCollections.map((name) => (<option key={name} value={name} />))}</datalist>
+        </div>
+        <div className="space-y-2">
+            <Label htmlFor={`${idPrefix}-tags`}>Tags</Label>
+            <Input id={`${idPrefix}-tags`} value={tags} onChange={(e) => onTagsChange(e.target.value)} placeholder="e.g., input, a11y" />
+            <p className="text-xs text-muted-foreground">Separate tags with commas.</p>
+        </div>
+    </div>
 );
 
-const CardContent = ({ className, ...props }) => <div className={`p-6 pt-0 ${className}`} {...props} />;
-const Input = React.forwardRef(({ className, ...props }, ref) => <input className={`flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-base ring-offset-background file:border-0 file:bg-transparent file:text-sm file:font-medium placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50 ${className}`} ref={ref} {...props} />);
-const Button = ({ className, variant = 'default', size = 'default', ...props }) => {
-    const variants = {
-        default: 'bg-primary text-primary-foreground hover:bg-primary/90',
-        destructive: 'bg-destructive text-destructive-foreground hover:bg-destructive/90',
-        outline: 'border border-input bg-background hover:bg-accent hover:text-accent-foreground',
-    };
-    const sizes = { default: 'h-10 px-4 py-2', sm: 'h-9 rounded-md px-3' };
-    return <button className={`inline-flex items-center justify-center rounded-md text-sm font-medium ring-offset-background transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:pointer-events-none disabled:opacity-50 ${variants[variant]} ${sizes[size]} ${className}`} {...props} />;
+// Parses the collection and comma-separated tags fields. Returns { labels, error }.
+const parseLabelInput = (collection, tags) => {
+    const labels = { collection: normalizeLabel(collection), tags: normalizeTags(tags.split(',')) };
+    return { labels, error: validateLabels(labels) };
+};
+
+// Parses the comma-separated aliases field. Returns { aliases, error }.
+const parseAliasInput = (text) => {
+    const entries = text.split(',').map((alias) => alias.trim()).filter(Boolean);
+    const invalid = entries.find((alias) => validateSlug(generateComponentId(alias)));
+    if (invalid) return { aliases: [], error: `Alias '${invalid}': ${validateSlug(generateComponentId(invalid))}` };
+    return { aliases: entries.map(generateComponentId), error: null };
+};
+
+// --- Figma URL Details ---
+// Shows the file key, branch key and node id a target URL points to.
+const FigmaUrlDetails = ({ url }) => {
+    const parsed = parseFigmaUrl(url);
+    if (!parsed) return null;
+    if (!parsed.isFigma) return <p className="text-xs text-amber-600">Not a Figma URL</p>;
+    const parts = [
+        parsed.kind,
+        parsed.fileKey && `file ${parsed.fileKey}`,
+        parsed.branchKey && `branch ${parsed.branchKey}`,
+        parsed.nodeId && `node ${parsed.nodeId}`,
+    ].filter(Boolean);
+    return <p className="text-xs text-muted-foreground font-mono truncate">{parts.join(' · ')}</p>;
 };
-const Label = ({ className, ...props }) => <label className={`text-sm font-medium leading-none peer-disabled:cursor-not-allowed peer-disabled:opacity-70 ${className}`} {...props} />;
 
 // --- Login Screen Component ---
 const LoginScreen = ({ onLogin, error, isLoading }) => {
@@ -80,44 +189,115 @@ const LoginScreen = ({ onLogin, error, isLoading }) => {
 // --- Main App Component ---
 export default function App() {
     const [user, setUser] = useState(null);
+    const [isAdmin, setIsAdmin] = useState(false);
     const [isAuthLoading, setIsAuthLoading] = useState(true);
     const [components, setComponents] = useState([]);
     const [isDataLoading, setIsDataLoading] = useState(true);
+    const [workspaces, setWorkspaces] = useState([]);
+    const [activeWorkspaceId, setActiveWorkspaceId] = useState(() => localStorage.getItem(ACTIVE_WORKSPACE_KEY));
     
     const [newComponentName, setNewComponentName] = useState('');
-    const [mainUrl, setMainUrl] = useState('');
-    const [latestUrl, setLatestUrl] = useState('');
+    const [newBranches, setNewBranches] = useState(emptyBranchRows);
+    const [newDefaultBranch, setNewDefaultBranch] = useState('main');
+    const [newCollection, setNewCollection] = useState('');
+    const [newTags, setNewTags] = useState('');
     const [error, setError] = useState(null);
+    const [workspaceError, setWorkspaceError] = useState(null);
     const [authError, setAuthError] = useState(null);
-    const [copiedLink, setCopiedLink] = useState(null);
 
     const [editingComponentId, setEditingComponentId] = useState(null);
-    const [editedMainUrl, setEditedMainUrl] = useState('');
-    const [editedLatestUrl, setEditedLatestUrl] = useState('');
+    const [editedBranches, setEditedBranches] = useState([]);
+    const [editedDefaultBranch, setEditedDefaultBranch] = useState('');
+    const [editedSlug, setEditedSlug] = useState('');
+    const [editedAliases, setEditedAliases] = useState('');
+    const [editedRedirectAliases, setEditedRedirectAliases] = useState(false);
+    const [editedCollection, setEditedCollection] = useState('');
+    const [editedTags, setEditedTags] = useState('');
+    const [editedClientRules, setEditedClientRules] = useState([]);
+    const [editedFallbackUrl, setEditedFallbackUrl] = useState('');
+    const [editError, setEditError] = useState(null);
+    const [historyComponentId, setHistoryComponentId] = useState(null);
+    const [linkReports, setLinkReports] = useState([]);
+    const [reportsComponentId, setReportsComponentId] = useState(null);
+    const [filters, setFilters] = useState(readFiltersFromUrl);
+    const [hitCounts, setHitCounts] = useState({});
 
     useEffect(() => {
+        // Local storage mode has no Firebase, so there is nothing to sign in to.
+        // The only local user sees everything, including links that belong to no workspace.
+        if (isLocalStorage) {
+            setUser(LOCAL_USER);
+            setIsAdmin(true);
+            setIsAuthLoading(false);
+            return;
+        }
         const unsubscribe = onAuthStateChanged(auth, (currentUser) => {
             setUser(currentUser);
+            setIsAdmin(false);
             setIsAuthLoading(false);
+            // Admins are marked with a custom claim; see scripts/setAdmin.js.
+            if (currentUser) {
+                currentUser.getIdTokenResult()
+                    .then((result) => setIsAdmin(result.claims.admin === true))
+                    .catch((err) => console.error("Error reading sign-in claims:", err));
+            }
         });
         return () => unsubscribe();
     }, []);
 
-    // --- Real-time data fetching from Firestore ---
+    // --- Workspaces the user belongs to ---
     useEffect(() => {
         if (!user) {
+            setWorkspaces([]);
+            return;
+        }
+        if (isLocalStorage) {
+            setWorkspaces([LOCAL_WORKSPACE]);
+            return;
+        }
+        setWorkspaceError(null);
+        // Every user gets a personal workspace.
+        ensurePersonalWorkspace(user).catch((err) => {
+            console.error("Error preparing personal workspace:", err);
+            setWorkspaceError("Failed to create your personal workspace. Reload the page to try again.");
+        });
+        const q = query(collection(db, "workspaces"), where("memberUids", "array-contains", user.uid));
+        const unsubscribe = onSnapshot(q, (querySnapshot) => {
+            setWorkspaces(querySnapshot.docs.map((snap) => ({ id: snap.id, ...snap.data() })));
+        }, (err) => {
+            console.error("Error fetching workspaces:", err);
+            setWorkspaceError("Failed to load workspaces. Reload the page to try again.");
+        });
+        return () => unsubscribe();
+    }, [user]);
+
+    // Fall back to the personal workspace if the remembered one is gone (e.g. after leaving it).
+    const workspace = workspaces.find((item) => item.id === activeWorkspaceId)
+        || workspaces.find((item) => user && item.id === user.uid)
+        || workspaces[0]
+        || null;
+    const workspaceId = workspace ? workspace.id : null;
+    const role = user && workspace ? getMemberRole(workspace, user.uid) : null;
+    const canEditComponents = canEdit(role);
+
+    const handleSelectWorkspace = (id) => {
+        localStorage.setItem(ACTIVE_WORKSPACE_KEY, id);
+        setActiveWorkspaceId(id);
+        handleCancelEditing();
+        setHistoryComponentId(null);
+        setReportsComponentId(null);
+    };
+
+    // --- Real-time data fetching from the storage backend ---
+    useEffect(() => {
+        if (!workspaceId) {
             setComponents([]);
-            setIsDataLoading(false);
+            setIsDataLoading(!!user);
             return;
         }
         setIsDataLoading(true);
-        const q = query(collection(db, "components"), where("uid", "==", user.uid));
-        const unsubscribe = onSnapshot(q, (querySnapshot) => {
-            const userComponents = [];
-            querySnapshot.forEach((doc) => {
-                userComponents.push({ id: doc.id, ...doc.data() });
-            });
-            setComponents(userComponents);
+        const unsubscribe = repository.subscribeComponents(workspaceId, (workspaceComponents) => {
+            setComponents(workspaceComponents);
             setIsDataLoading(false);
         }, (err) => {
             console.error("Error fetching data:", err);
@@ -125,8 +305,36 @@ export default function App() {
             setIsDataLoading(false);
         });
         return () => unsubscribe();
-    }, [user]);
+    }, [user, workspaceId]);
+
+    // --- Open broken-link reports for the workspace's components ---
+    useEffect(() => {
+        if (!workspaceId) {
+            setLinkReports([]);
+            return;
+        }
+        const unsubscribe = repository.subscribeLinkReports(workspaceId, setLinkReports, (err) => {
+            console.error("Error fetching link reports:", err);
+        });
+        return () => unsubscribe();
+    }, [workspaceId]);
     
+    // --- Filter state is mirrored into the URL so a filtered view can be shared ---
+    useEffect(() => { writeFiltersToUrl(filters); }, [filters]);
+
+    // --- Hit counts, loaded only while sorting by popularity ---
+    useEffect(() => {
+        if (!workspaceId || filters.sort !== 'popular') return;
+        let isCancelled = false;
+        repository.countHits(workspaceId, Date.now() - POPULARITY_DAYS * DAY_MS).then((counts) => {
+            if (!isCancelled) setHitCounts(counts);
+        }, (err) => {
+            console.error("Error fetching hit counts:", err);
+            setError("Failed to load usage for sorting by popularity.");
+        });
+        return () => { isCancelled = true; };
+    }, [workspaceId, filters.sort]);
+
     const handleLogin = async (email, password) => {
         setAuthError(null);
         setIsAuthLoading(true);
@@ -141,43 +349,48 @@ export default function App() {
 
     const handleLogout = async () => { await signOut(auth); };
 
-    // NOTE: This ID is now only used for the document ID in Firestore
-    const generateComponentId = (name) => name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
-
     const handleSubmit = async (e) => {
         e.preventDefault();
-        if (!newComponentName.trim() || !mainUrl.trim() || !latestUrl.trim() || !user) return;
+        if (!newComponentName.trim() || !user || !canEditComponents) return;
         
         setError(null);
+        const { labels, error: labelError } = parseLabelInput(newCollection, newTags);
+        const validationError = validateComponentName(newComponentName) || validateBranchRows(newBranches) || labelError;
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+        const branches = branchRowsToMap(newBranches);
+        // NOTE: This ID is only used for the stored document ID and the pretty link
         const componentId = generateComponentId(newComponentName);
 
-        const docRef = doc(db, 'components', componentId);
-        const docSnap = await getDoc(docRef);
-
-        if (docSnap.exists()) {
+        if (await isSlugTaken(componentId)) {
             setError("A component with this name already exists.");
             return;
         }
         
         try {
-            await setDoc(docRef, {
-                uid: user.uid,
+            await createComponent(user, componentId, applyLabels({
+                workspaceId: workspace.id,
+                createdBy: user.uid,
                 name: newComponentName,
-                mainUrl,
-                latestUrl,
-            });
+                branches,
+                defaultBranch: getDefaultBranch({ branches, defaultBranch: newDefaultBranch }),
+            }, labels));
             setNewComponentName('');
-            setMainUrl('');
-            setLatestUrl('');
+            setNewBranches(emptyBranchRows());
+            setNewDefaultBranch('main');
+            setNewCollection('');
+            setNewTags('');
         } catch (err) {
             console.error("Error adding document:", err);
             setError("Failed to save component.");
         }
     };
 
-    const handleDelete = async (componentId) => {
+    const handleDelete = async (component) => {
         try {
-            await deleteDoc(doc(db, "components", componentId));
+            await deleteComponent(user, component);
         } catch (err) {
             console.error("Error deleting document:", err);
             setError("Failed to delete component.");
@@ -186,52 +399,138 @@ export default function App() {
 
     const handleStartEditing = (component) => {
         setEditingComponentId(component.id);
-        setEditedMainUrl(component.mainUrl);
-        setEditedLatestUrl(component.latestUrl);
+        // Edit what the pretty links serve once overrides end, i.e. including switches that already happened.
+        setEditedBranches(branchMapToRows({ branches: getActiveBranches(component, Date.now(), { includeOverrides: false }) }));
+        setEditedDefaultBranch(getDefaultBranch(component));
+        setEditedSlug(getComponentSlug(component.id, component));
+        setEditedAliases((component.aliases || []).join(', '));
+        setEditedRedirectAliases(Boolean(component.redirectAliases));
+        setEditedCollection(component.collection || '');
+        setEditedTags((component.tags || []).join(', '));
+        setEditedClientRules(component.clientRules || []);
+        setEditedFallbackUrl(component.fallbackUrl || '');
+        setEditError(null);
     };
 
     const handleCancelEditing = () => {
         setEditingComponentId(null);
-        setEditedMainUrl('');
-        setEditedLatestUrl('');
+        setEditedBranches([]);
+        setEditedDefaultBranch('');
+        setEditedSlug('');
+        setEditedAliases('');
+        setEditedRedirectAliases(false);
+        setEditedCollection('');
+        setEditedTags('');
+        setEditedClientRules([]);
+        setEditedFallbackUrl('');
+        setEditError(null);
     };
 
-    const handleUpdateComponent = async (componentId) => {
-        if (!editedMainUrl.trim() || !editedLatestUrl.trim()) return;
+    const handleUpdateComponent = async (component) => {
+        const slug = generateComponentId(editedSlug);
+        const { aliases, error: aliasError } = parseAliasInput(editedAliases);
+        const { labels, error: labelError } = parseLabelInput(editedCollection, editedTags);
+        const clientRules = { clientRules: editedClientRules, fallbackUrl: editedFallbackUrl.trim() };
+        const validationError = validateBranchRows(editedBranches) || validateSlug(slug) || aliasError || labelError || validateClientRules(clientRules);
+        if (validationError) {
+            setEditError(validationError);
+            return;
+        }
+        const branches = branchRowsToMap(editedBranches);
+        
+        // Legacy mainUrl/latestUrl fields and past scheduled switches are folded into `branches` on save.
+        const { id, ...data } = component;
+        const after = applyClientRules(applyLabels(applySlugChanges(component.id, {
+            ...settleSchedule(data),
+            branches,
+            defaultBranch: getDefaultBranch({ branches, defaultBranch: editedDefaultBranch }),
+        }, { slug, aliases, redirectAliases: editedRedirectAliases }), labels), clientRules);
         
         try {
-            const docRef = doc(db, "components", componentId);
-            await updateDoc(docRef, {
-                mainUrl: editedMainUrl,
-                latestUrl: editedLatestUrl
-            });
+            const taken = await findTakenSlugs(component.id, component, after);
+            if (taken.length) {
+                setEditError(`Another component already uses ${taken.map((takenSlug) => `'${takenSlug}'`).join(', ')}.`);
+                return;
+            }
+            await updateComponent(user, component.id, component, after);
             handleCancelEditing();
         } catch (err) {
             console.error("Error updating document:", err);
-            setError("Failed to update component.");
+            setEditError("Failed to update component.");
         }
     };
-    
-    const handleCopyToClipboard = (text) => {
-        const textArea = document.createElement("textarea");
-        textArea.value = text;
-        document.body.appendChild(textArea);
-        textArea.select();
-        try {
-            document.execCommand('copy');
-            setCopiedLink(text);
-            setTimeout(() => setCopiedLink(null), 2000);
-        } catch (err) {
-            console.error('Failed to copy text: ', err);
-        }
-        document.body.removeChild(textArea);
-    };
 
     if (isAuthLoading) return <div className="flex items-center justify-center min-h-screen">Loading...</div>;
     
     if (!user) return <LoginScreen onLogin={handleLogin} error={authError} isLoading={isAuthLoading} />;
 
     const getBaseUrl = () => window.location.protocol + '//' + window.location.host;
+    const brokenCount = components.filter((comp) => isBroken(comp)).length;
+    const knownCollections = getAllCollections(components);
+    const visibleComponents = sortComponents(filterComponents(components, filters), filters.sort, hitCounts);
+    const componentGroups = filters.group ? groupByCollection(visibleComponents) : [{ collection: null, components: visibleComponents }];
+
+    const renderComponent = (comp) => {
+        const isEditing = editingComponentId === comp.id;
+        const storedBranches = getActiveBranches(comp, Date.now(), { includeOverrides: false });
+        const activeBranches = getActiveBranches(comp);
+        const branchRows = branchMapToRows({ branches: activeBranches });
+        const defaultBranch = getDefaultBranch(comp);
+        const componentReports = linkReports.filter((report) => report.componentId === comp.id);
+        const slug = getComponentSlug(comp.id, comp);
+        const otherSlugs = getComponentSlugs(comp.id, comp).filter((other) => other !== slug);
+        return (
+            <div key={comp.id} className="p-4 border rounded-lg">
+                {isEditing ? (
+                    <div className="space-y-4">
+                        <h3 className="font-semibold text-lg truncate">{comp.name}</h3>
+                        <BranchFields idPrefix={`edit-${comp.id}`} rows={editedBranches} onChange={setEditedBranches} defaultBranch={editedDefaultBranch} onDefaultBranchChange={setEditedDefaultBranch} />
+                        <LabelFields idPrefix={`edit-${comp.id}`} collection={editedCollection} onCollectionChange={setEditedCollection} tags={editedTags} onTagsChange={setEditedTags} knownCollections={knownCollections} />
+                        <SlugFields idPrefix={`edit-${comp.id}`} componentId={comp.id} slug={editedSlug} onSlugChange={setEditedSlug} aliases={editedAliases} onAliasesChange={setEditedAliases} redirectAliases={editedRedirectAliases} onRedirectAliasesChange={setEditedRedirectAliases} />
+                        <ClientRuleFields idPrefix={`edit-${comp.id}`} rules={editedClientRules} onRulesChange={setEditedClientRules} fallbackUrl={editedFallbackUrl} onFallbackUrlChange={setEditedFallbackUrl} webUrl={(editedBranches.find((row) => normalizeBranchName(row.name) === editedDefaultBranch) || { url: '' }).url.trim()} />
+                        {editError && <p className="text-sm font-medium text-destructive">{editError}</p>}
+                        <div className="flex items-center gap-2"><Button size="sm" onClick={() => handleUpdateComponent(comp)}>Save</Button><Button size="sm" variant="outline" onClick={handleCancelEditing}>Cancel</Button></div>
+                    </div>
+                ) : (
+                    <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+                        <div className="flex-grow min-w-0">
+                            <h3 className="font-semibold text-lg truncate">{comp.name}</h3>
+                            {(comp.collection || (comp.tags || []).length > 0) && (
+                                <div className="mt-1 flex flex-wrap items-center gap-1 text-xs">
+                                    {comp.collection && <button type="button" className="rounded-md border px-2 py-0.5 font-medium hover:bg-accent" onClick={() => setFilters({ ...filters, collection: comp.collection })}>{comp.collection}</button>}
+                                    {(comp.tags || []).map((tag) => (<button key={tag} type="button" className="rounded-full bg-muted px-2 py-0.5 text-muted-foreground hover:bg-accent" onClick={() => setFilters({ ...filters, tag })}>#{tag}</button>))}
+                                </div>
+                            )}
+                            <div className="mt-2 space-y-2 text-sm">
+                                {branchRows.map(({ name, url }) => (<div key={name} className="flex items-start gap-2"><span className="font-medium text-muted-foreground w-24 flex-shrink-0 truncate" title={name}>{name}{name === defaultBranch ? ' *' : ''}:</span><div className="min-w-0"><div className="flex items-center gap-2"><a href={url} target="_blank" rel="noopener noreferrer" className="text-primary hover:underline truncate block">{url}</a>{url !== storedBranches[name] && <span className="text-xs text-muted-foreground flex-shrink-0">(override)</span>}</div><FigmaUrlDetails url={url} /></div></div>))}
+                                 <div className="mt-3 pt-3 border-t space-y-2">
+                                    <p className="font-semibold text-sm">Pretty Links:</p>
+                                    {[ { label: 'default', branch: null }, ...branchRows.map(({ name }) => ({ label: name, branch: name })) ].map(({ label, branch }) => {
+                                        const link = `${getBaseUrl()}/r/${slug}${branch ? `/${branch}` : ''}`;
+                                        return (<div key={label} className="flex items-center gap-2 group"><a href={link} target="_blank" rel="noopener noreferrer" className="text-green-600 hover:underline truncate block">{link}</a><LinkShareMenu title={branch ? `${comp.name} (${branch})` : comp.name} link={link} badgeUrl={`${getBaseUrl()}${getBadgePath(slug, branch)}`} fileName={`${slug}-${label}-qr`} /></div>);
+                                    })}
+                                    {otherSlugs.length > 0 && <p className="text-xs text-muted-foreground">{comp.redirectAliases ? 'Redirected from' : 'Also opens at'}: {otherSlugs.map((other) => `/r/${other}`).join(', ')}</p>}
+                                  </div>
+                            </div>
+                        </div>
+                        <div className="flex-shrink-0 flex sm:flex-col gap-2">{canEditComponents && <Button size="sm" variant="outline" onClick={() => handleStartEditing(comp)}>Edit</Button>}<Button size="sm" variant="outline" onClick={() => setHistoryComponentId(historyComponentId === comp.id ? null : comp.id)}>History</Button>{componentReports.length > 0 && <Button size="sm" variant="destructive" onClick={() => setReportsComponentId(reportsComponentId === comp.id ? null : comp.id)}>Reports ({componentReports.length})</Button>}{canEditComponents && <Button size="sm" variant="destructive" onClick={() => handleDelete(comp)}>Delete</Button>}</div>
+                    </div>
+                )}
+                {!isEditing && (
+                    <div className="mt-4 pt-4 border-t"><LinkHealth component={comp} /></div>
+                )}
+                {!isEditing && (
+                    <div className="mt-4 pt-4 border-t"><ScheduledChanges user={user} component={comp} canEdit={canEditComponents} /></div>
+                )}
+                {historyComponentId === comp.id && !isEditing && (
+                    <div className="mt-4 pt-4 border-t"><ComponentHistory user={user} component={comp} canEdit={canEditComponents} /></div>
+                )}
+                {reportsComponentId === comp.id && componentReports.length > 0 && !isEditing && (
+                    <div className="mt-4 pt-4 border-t"><LinkReports user={user} reports={componentReports} canEdit={canEditComponents} /></div>
+                )}
+            </div>
+        );
+    };
 
     return (
         <div className="bg-background text-foreground min-h-screen font-sans">
@@ -241,61 +540,61 @@ export default function App() {
                         <h1 className="text-3xl sm:text-4xl font-bold tracking-tight">Figma Redirect Manager</h1>
                         <p className="text-muted-foreground mt-2">Create, edit, and manage "pretty links" for your Figma components.</p>
                     </div>
-                    <Button variant="outline" onClick={handleLogout}>Logout</Button>
-                </header>
-                <Card className="mb-8">
-                    <CardHeader><CardTitle>Add New Component</CardTitle></CardHeader>
-                    <CardContent>
-                        <form onSubmit={handleSubmit} className="space-y-4">
-                            <div className="space-y-2"><Label htmlFor="componentName">Component Name</Label><Input id="componentName" value={newComponentName} onChange={(e) => setNewComponentName(e.target.value)} placeholder="e.g., Range Slider Filter" /></div>
-                            <div className="space-y-2"><Label htmlFor="mainUrl">Main Branch URL</Label><Input id="mainUrl" type="url" value={mainUrl} onChange={(e) => setMainUrl(e.target.value)} placeholder="https://figma.com/design/.../main" /></div>
-                            <div className="space-y-2"><Label htmlFor="latestUrl">Latest Branch URL</Label><Input id="latestUrl" type="url" value={latestUrl} onChange={(e) => setLatestUrl(e.target.value)} placeholder="https://figma.com/design/.../latest-branch" /></div>
-                            <Button type="submit" className="w-full sm:w-auto">Add Component</Button>
-                        </form>
-                        {error && <p className="text-sm font-medium text-destructive mt-4">{error}</p>}
-                    </CardContent>
-                </Card>
-                <Card>
-                    <CardHeader><CardTitle>Managed Components</CardTitle></CardHeader>
-                    <CardContent>
-                        {isDataLoading ? (<p className="text-muted-foreground">Loading components...</p>) : 
-                        components.length === 0 ? (<p className="text-muted-foreground">No components added yet. Add one using the form above.</p>) : 
-                        (
-                            <div className="space-y-4">
-                                {components.map(comp => {
-                                    const isEditing = editingComponentId === comp.id;
-                                    return (
-                                        <div key={comp.id} className="p-4 border rounded-lg">
-                                            {isEditing ? (
-                                                <div className="space-y-4">
-                                                    <h3 className="font-semibold text-lg truncate">{comp.name}</h3>
-                                                    <div className="space-y-2"><Label htmlFor={`edit-main-${comp.id}`}>Main URL</Label><Input id={`edit-main-${comp.id}`} value={editedMainUrl} onChange={(e) => setEditedMainUrl(e.target.value)} /></div>
-                                                    <div className="space-y-2"><Label htmlFor={`edit-latest-${comp.id}`}>Latest URL</Label><Input id={`edit-latest-${comp.id}`} value={editedLatestUrl} onChange={(e) => setEditedLatestUrl(e.target.value)} /></div>
-                                                    <div className="flex items-center gap-2"><Button size="sm" onClick={() => handleUpdateComponent(comp.id)}>Save</Button><Button size="sm" variant="outline" onClick={handleCancelEditing}>Cancel</Button></div>
-                                                </div>
-                                            ) : (
-                                                <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
-                                                    <div className="flex-grow min-w-0">
-                                                        <h3 className="font-semibold text-lg truncate">{comp.name}</h3>
-                                                        <div className="mt-2 space-y-2 text-sm">
-                                                            {[ { label: 'Main', url: comp.mainUrl }, { label: 'Latest', url: comp.latestUrl } ].map(({ label, url }) => (<div key={label} className="flex items-center gap-2"><span className="font-medium text-muted-foreground w-14 flex-shrink-0">{label}:</span><a href={url} target="_blank" rel="noopener noreferrer" className="text-primary hover:underline truncate block">{url}</a></div>))}
-                                                             <div className="mt-3 pt-3 border-t space-y-2">
-                                                                <p className="font-semibold text-sm">Pretty Links:</p>
-                                                                {[ { label: 'Main', link: `${getBaseUrl()}/r/${comp.id}/main` }, { label: 'Latest', link: `${getBaseUrl()}/r/${comp.id}/latest` } ].map(({ label, link }) => (<div key={label} className="flex items-center gap-2 group"><a href={link} target="_blank" rel="noopener noreferrer" className="text-green-600 hover:underline truncate block">{link}</a><button onClick={() => handleCopyToClipboard(link)} className="opacity-0 group-hover:opacity-100 transition-opacity flex-shrink-0">{copiedLink === link ? '✅' : '📋'}</button></div>))}
-                                                              </div>
-                                                        </div>
-                                                    </div>
-                                                    <div className="flex-shrink-0 flex sm:flex-col gap-2"><Button size="sm" variant="outline" onClick={() => handleStartEditing(comp)}>Edit</Button><Button size="sm" variant="destructive" onClick={() => handleDelete(comp.id)}>Delete</Button></div>
-                                                </div>
-                                            )}
-                                        </div>
-                                    );
-                                })}
-                            </div>
+                    <div className="flex items-center gap-2">
+                        {workspaces.length > 0 && (
+                            <select aria-label="Workspace" className="flex h-10 rounded-md border border-input bg-background px-3" value={workspaceId || ''} onChange={(e) => handleSelectWorkspace(e.target.value)}>
+                                {workspaces.map((item) => (<option key={item.id} value={item.id}>{item.name} ({ROLES[getMemberRole(item, user.uid)]})</option>))}
+                            </select>
                         )}
-                    </CardContent>
-                </Card>
-                 <footer className="text-center mt-8 text-sm text-muted-foreground"><p>Logged in as: <span className="font-mono">{user ? user.email : 'N/A'}</span></p></footer>
+                        {!isLocalStorage && <Button variant="outline" onClick={handleLogout}>Logout</Button>}
+                    </div>
+                </header>
+                {!isLocalStorage && <PendingInvites user={user} onAccepted={handleSelectWorkspace} />}
+                {!workspace ? (workspaceError ? <p className="text-sm font-medium text-destructive">{workspaceError}</p> : <p className="text-muted-foreground">Loading workspaces...</p>) : (<>
+                    {canEditComponents && <Card className="mb-8">
+                        <CardHeader><CardTitle>Add New Component</CardTitle></CardHeader>
+                        <CardContent>
+                            <form onSubmit={handleSubmit} className="space-y-4">
+                                <div className="space-y-2"><Label htmlFor="componentName">Component Name</Label><Input id="componentName" value={newComponentName} onChange={(e) => setNewComponentName(e.target.value)} placeholder="e.g., Range Slider Filter" /></div>
+                                <BranchFields idPrefix="new-branch" rows={newBranches} onChange={setNewBranches} defaultBranch={newDefaultBranch} onDefaultBranchChange={setNewDefaultBranch} />
+                                <LabelFields idPrefix="new" collection={newCollection} onCollectionChange={setNewCollection} tags={newTags} onTagsChange={setNewTags} knownCollections={knownCollections} />
+                                <Button type="submit" className="w-full sm:w-auto">Add Component</Button>
+                            </form>
+                            {error && <p className="text-sm font-medium text-destructive mt-4">{error}</p>}
+                        </CardContent>
+                    </Card>}
+                    <ImportExport user={user} workspace={workspace} components={components} canEdit={canEditComponents} />
+                    <Card>
+                        <CardHeader><CardTitle>Managed Components</CardTitle></CardHeader>
+                        <CardContent>
+                            {isDataLoading ? (<p className="text-muted-foreground">Loading components...</p>) : 
+                            components.length === 0 ? (<p className="text-muted-foreground">{canEditComponents ? 'No components added yet. Add one using the form above.' : 'This workspace has no components yet.'}</p>) : 
+                            (<>
+                                <ComponentFilters filters={filters} onChange={setFilters} tags={getAllTags(components)} collections={knownCollections} shownCount={visibleComponents.length} totalCount={components.length} brokenCount={brokenCount} />
+                                {visibleComponents.length === 0 ? (<p className="text-muted-foreground">No components match these filters.</p>) : (
+                                    <div className="space-y-8">
+                                        {componentGroups.map((group) => (
+                                            <section key={group.collection || ''} className="space-y-4">
+                                                {filters.group && <h4 className="text-sm font-semibold text-muted-foreground">{group.collection || 'No collection'} ({group.components.length})</h4>}
+                                                {group.components.map(renderComponent)}
+                                            </section>
+                                        ))}
+                                    </div>
+                                )}
+                            </>)}
+                        </CardContent>
+                    </Card>
+                    <RecentlyDeleted user={user} workspace={workspace} canEdit={canEditComponents} />
+                    {isAdmin && <UnknownLinkReports user={user} />}
+                    {canEditComponents && <Webhooks user={user} workspace={workspace} components={components} />}
+                    <UsageDashboard workspace={workspace} components={components} showUnownedMisses={isAdmin} />
+                    {/* Members and API tokens live in Firestore only. */}
+                    {!isLocalStorage && (<>
+                        <WorkspacePanel user={user} workspace={workspace} onWorkspaceCreated={handleSelectWorkspace} />
+                        <ApiTokens user={user} workspace={workspace} role={role} />
+                    </>)}
+                </>)}
+                 <footer className="text-center mt-8 text-sm text-muted-foreground space-y-2"><p>Logged in as: <span className="font-mono">{user ? user.email : 'N/A'}</span></p><p><OpenInPreference /></p></footer>
             </div>
         </div>
     );
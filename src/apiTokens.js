@@ -0,0 +1,34 @@
+import { doc, setDoc, deleteDoc, serverTimestamp } from 'firebase/firestore';
+import { db } from './firebase';
+import { API_TOKEN_PREFIX } from './shared/apiTokens';
+
+// --- API tokens for the admin API ---
+// The plain token is shown once after creation. Firestore only stores its SHA-256 hash
+// (as the document ID), which is what api/_lib/apiTokens.js looks up.
+
+const toBase64Url = (bytes) => btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const sha256Hex = async (text) => {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest)).map((byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Creates a token that acts as the user within one workspace, and returns the plain token string.
+ */
+export const createApiToken = async (user, workspace, name, scope) => {
+    const token = API_TOKEN_PREFIX + toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+    await setDoc(doc(db, 'apiTokens', await sha256Hex(token)), {
+        uid: user.uid,
+        workspaceId: workspace.id,
+        name,
+        scope,
+        // Enough to recognise the token in the list without making it usable.
+        hint: `${token.slice(0, API_TOKEN_PREFIX.length + 4)}…`,
+        createdAt: serverTimestamp(),
+        lastUsedAt: null,
+    });
+    return token;
+};
+
+export const revokeApiToken = (tokenId) => deleteDoc(doc(db, 'apiTokens', tokenId));
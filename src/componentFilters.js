@@ -0,0 +1,118 @@
+import { getActiveBranches, getBranches } from './shared/branches';
+import { getComponentSlugs } from './shared/components';
+import { isBroken } from './shared/linkHealth';
+
+// --- Search, filters, sorting and grouping for the Managed Components list ---
+// The state lives in the page URL (e.g. ?q=slider&tag=forms&sort=popular&group=collection),
+// so a filtered view can be shared by copying the address.
+
+export const SORT_OPTIONS = {
+    name: 'Name',
+    updated: 'Last updated',
+    popular: 'Most used',
+};
+
+// Popularity counts /r/ hits over this many days.
+export const POPULARITY_DAYS = 30;
+
+export const DEFAULT_FILTERS = { q: '', tag: '', collection: '', sort: 'name', group: false, broken: false };
+
+export const readFiltersFromUrl = (search = window.location.search) => {
+    const params = new URLSearchParams(search);
+    const sort = params.get('sort');
+    return {
+        q: params.get('q') || '',
+        tag: params.get('tag') || '',
+        collection: params.get('collection') || '',
+        sort: Object.keys(SORT_OPTIONS).includes(sort) ? sort : DEFAULT_FILTERS.sort,
+        group: params.get('group') === 'collection',
+        broken: params.get('broken') === '1',
+    };
+};
+
+// Replaces the current history entry, so typing in the search box doesn't fill up the back button.
+// Defaults are left out of the URL and unrelated params are kept.
+export const writeFiltersToUrl = (filters) => {
+    const params = new URLSearchParams(window.location.search);
+    const values = {
+        q: filters.q.trim(),
+        tag: filters.tag,
+        collection: filters.collection,
+        sort: filters.sort === DEFAULT_FILTERS.sort ? '' : filters.sort,
+        group: filters.group ? 'collection' : '',
+        broken: filters.broken ? '1' : '',
+    };
+    Object.entries(values).forEach(([key, value]) => (value ? params.set(key, value) : params.delete(key)));
+    const search = params.toString();
+    window.history.replaceState(window.history.state, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
+};
+
+export const hasActiveFilters = (filters) => Boolean(filters.q.trim() || filters.tag || filters.collection || filters.broken);
+
+const sameLabel = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// Case-insensitive match against the name, every slug and alias, and every target URL.
+const matchesSearch = (component, text) => {
+    const needle = text.trim().toLowerCase();
+    if (!needle) return true;
+    const values = [
+        component.name,
+        ...getComponentSlugs(component.id, component),
+        ...Object.values(getBranches(component)),
+        ...Object.values(getActiveBranches(component)),
+    ];
+    return values.some((value) => String(value || '').toLowerCase().includes(needle));
+};
+
+export const filterComponents = (components, filters) => components.filter((component) => (
+    matchesSearch(component, filters.q)
+    && (!filters.tag || (component.tags || []).some((tag) => sameLabel(tag, filters.tag)))
+    && (!filters.collection || sameLabel(component.collection || '', filters.collection))
+    && (!filters.broken || isBroken(component))
+));
+
+const byName = (a, b) => String(a.name || a.id).localeCompare(String(b.name || b.id), undefined, { sensitivity: 'base' });
+
+/**
+ * Sorts by name, by `updatedAt` (newest first) or by hit count (most first). Ties are sorted by name.
+ * Components saved before `updatedAt` existed sort as the oldest.
+ */
+export const sortComponents = (components, sort, hitCounts = {}) => {
+    const compare = {
+        name: byName,
+        updated: (a, b) => (b.updatedAt || 0) - (a.updatedAt || 0) || byName(a, b),
+        popular: (a, b) => (hitCounts[b.id] || 0) - (hitCounts[a.id] || 0) || byName(a, b),
+    }[sort] || byName;
+    return [...components].sort(compare);
+};
+
+/**
+ * Splits an already sorted list into [{ collection, components }], collections in name order and
+ * components without a collection last (with `collection: null`). Order within a group is kept.
+ */
+export const groupByCollection = (components) => {
+    // Keyed ignoring case, like the filter; the first spelling names the group.
+    const groups = new Map();
+    components.forEach((component) => {
+        const key = component.collection ? component.collection.toLowerCase() : null;
+        if (!groups.has(key)) groups.set(key, { collection: component.collection || null, components: [] });
+        groups.get(key).components.push(component);
+    });
+    return [...groups.values()].sort((a, b) => (
+        (a.collection === null) - (b.collection === null)
+        || (a.collection || '').localeCompare(b.collection || '', undefined, { sensitivity: 'base' })
+    ));
+};
+
+// Every distinct label in the workspace, for the filter dropdowns and form suggestions.
+const collectLabels = (values) => {
+    const labels = new Map();
+    values.forEach((value) => {
+        if (value && !labels.has(value.toLowerCase())) labels.set(value.toLowerCase(), value);
+    });
+    return [...labels.values()].sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+};
+
+export const getAllTags = (components) => collectLabels(components.flatMap((component) => component.tags || []));
+
+export const getAllCollections = (components) => collectLabels(components.map((component) => component.collection));
@@ -0,0 +1,85 @@
+import {
+  DEFAULT_FILTERS,
+  readFiltersFromUrl,
+  writeFiltersToUrl,
+  filterComponents,
+  sortComponents,
+  groupByCollection,
+  getAllTags,
+} from './componentFilters';
+
+const FILE_URL = 'https://www.figma.com/design/abc123/Library';
+const REVIEW_URL = 'https://www.figma.com/design/abc123/branch/ghi789/Review';
+
+const slider = { id: 'range-slider', name: 'Range Slider', tags: ['Forms'], collection: 'Inputs', branches: { main: FILE_URL }, updatedAt: 3 };
+const button = {
+  id: 'button',
+  name: 'button',
+  aliases: ['btn'],
+  tags: ['forms', 'Actions'],
+  collection: 'inputs',
+  branches: { main: FILE_URL },
+  schedule: [{ id: 'review', type: 'override', branch: 'main', url: REVIEW_URL, startsAt: 0, endsAt: Number.MAX_SAFE_INTEGER }],
+  health: { branches: { main: { url: REVIEW_URL, status: 'unreachable' } } },
+  updatedAt: 1,
+};
+const card = { id: 'card', name: 'Card', branches: { main: FILE_URL } };
+const components = [slider, button, card];
+
+const ids = (list) => list.map((component) => component.id);
+const filter = (filters) => ids(filterComponents(components, { ...DEFAULT_FILTERS, ...filters }));
+
+describe('filters in the URL', () => {
+  it('reads known values and ignores unknown sorts', () => {
+    expect(readFiltersFromUrl('?q=slider&tag=forms&sort=popular&group=collection&broken=1')).toEqual({ q: 'slider', tag: 'forms', collection: '', sort: 'popular', group: true, broken: true });
+    expect(readFiltersFromUrl('?sort=random')).toEqual(DEFAULT_FILTERS);
+  });
+
+  it('writes only non-default values and keeps other params', () => {
+    window.history.replaceState(null, '', '/?workspace=ws_team&q=old');
+    writeFiltersToUrl({ ...DEFAULT_FILTERS, q: ' slider ', sort: 'updated' });
+    expect(window.location.search).toBe('?workspace=ws_team&q=slider&sort=updated');
+  });
+});
+
+describe('filterComponents', () => {
+  it('searches names, aliases and the URLs served right now, ignoring case', () => {
+    expect(filter({ q: 'SLIDER' })).toEqual(['range-slider']);
+    expect(filter({ q: 'btn' })).toEqual(['button']);
+    expect(filter({ q: 'ghi789' })).toEqual(['button']);
+  });
+
+  it('matches tags and collections ignoring case, and broken links', () => {
+    expect(filter({ tag: 'FORMS' })).toEqual(['range-slider', 'button']);
+    expect(filter({ collection: 'Inputs', q: 'button' })).toEqual(['button']);
+    expect(filter({ broken: true })).toEqual(['button']);
+  });
+});
+
+describe('sortComponents', () => {
+  it('sorts by name, newest update or hits, with ties by name', () => {
+    expect(ids(sortComponents(components, 'name'))).toEqual(['button', 'card', 'range-slider']);
+    expect(ids(sortComponents(components, 'updated'))).toEqual(['range-slider', 'button', 'card']);
+    expect(ids(sortComponents(components, 'popular', { card: 5, button: 2, 'range-slider': 2 }))).toEqual(['card', 'button', 'range-slider']);
+  });
+
+  it('does not change the list it is given', () => {
+    sortComponents(components, 'name');
+    expect(ids(components)).toEqual(['range-slider', 'button', 'card']);
+  });
+});
+
+describe('groupByCollection', () => {
+  it('groups ignoring case and puts components without a collection last', () => {
+    expect(groupByCollection(components).map((group) => [group.collection, ids(group.components)])).toEqual([
+      ['Inputs', ['range-slider', 'button']],
+      [null, ['card']],
+    ]);
+  });
+});
+
+describe('getAllTags', () => {
+  it('lists each tag once, in the first spelling used', () => {
+    expect(getAllTags(components)).toEqual(['Actions', 'Forms']);
+  });
+});
@@ -0,0 +1,95 @@
+import { repository } from './storage';
+import { getBranches, getDefaultBranch, getPendingSchedule, settleSchedule } from './shared/branches';
+import { DELETED_RETENTION_DAYS } from './shared/components';
+import { findTakenSlugs as findTakenSlugsIn } from './shared/storage/repository';
+
+// --- Component writes with change history ---
+// Every create, edit, delete and restore goes through the storage repository, which writes
+// it together with a 'componentHistory' entry, so the history can never drift from the data.
+
+export { DELETED_RETENTION_DAYS };
+
+export const getActor = (user) => ({ uid: user.uid, email: user.email || null });
+
+/**
+ * Returns true if a component already uses this slug as its ID, slug or an alias, including
+ * components in workspaces the user can't see.
+ */
+export const isSlugTaken = (slug) => repository.isSlugTaken(slug);
+
+/**
+ * Returns the slugs that saving `after` over `before` would take from other components.
+ */
+export const findTakenSlugs = (componentId, before, after) => findTakenSlugsIn(repository, componentId, before, after);
+
+export const createComponent = (user, componentId, data) => (
+    repository.saveComponents([{ id: componentId, action: 'create', before: null, after: data }], getActor(user))
+);
+
+// `after` is the full new document; it replaces `before` rather than being merged into it.
+export const updateComponent = (user, componentId, before, after) => (
+    repository.saveComponents([{ id: componentId, action: 'update', before, after }], getActor(user))
+);
+
+export const deleteComponent = (user, component) => repository.deleteComponent(component, getActor(user));
+
+const SLUG_FIELDS = ['slug', 'aliases', 'redirectAliases'];
+// Written by the server (health check) or on every save, so the current values are kept.
+const SERVER_FIELDS = ['health', 'version'];
+
+// Restores the state recorded in a history entry over the current document. The slug and aliases
+// are not rolled back, so links shared since that version keep working. The branches are the ones
+// that version served: switches that have taken effect since are dropped instead of applied again.
+export const restoreComponentVersion = (user, current, entry, now = Date.now()) => {
+    const kept = [...SLUG_FIELDS, ...SERVER_FIELDS];
+    const restored = Object.fromEntries(Object.entries(entry.after).filter(([field]) => !kept.includes(field)));
+    const settled = settleSchedule(restored, entry.timestamp ? entry.timestamp.getTime() : now);
+    const after = { ...settled, schedule: getPendingSchedule(settled.schedule, now) };
+    kept.filter((field) => field in current).forEach((field) => { after[field] = current[field]; });
+    return repository.saveComponents([{ id: current.id, action: 'restore', before: current, after }], getActor(user));
+};
+
+// Brings a deleted component back. The caller must check that its slugs are free.
+export const restoreDeletedComponent = (user, deleted) => repository.restoreDeletedComponent(deleted, getActor(user));
+
+/**
+ * Describes what changed between two component snapshots, one line per field or branch.
+ */
+export const describeChanges = (before, after) => {
+    if (!before && !after) return [];
+    if (!before) return Object.entries(getBranches(after)).map(([name, url]) => `${name}: ${url}`);
+    if (!after) return ['Component deleted'];
+
+    const changes = [];
+    if (before.name !== after.name) changes.push(`name: ${before.name} → ${after.name}`);
+    const beforeDefault = getDefaultBranch(before);
+    const afterDefault = getDefaultBranch(after);
+    if (beforeDefault !== afterDefault) changes.push(`default branch: ${beforeDefault} → ${afterDefault}`);
+    // A missing slug means the component still uses its original one (its ID).
+    if ((before.slug || '') !== (after.slug || '')) changes.push(`slug: ${before.slug || '(original)'} → ${after.slug || '(original)'}`);
+    const beforeAliases = (before.aliases || []).join(', ');
+    const afterAliases = (after.aliases || []).join(', ');
+    if (beforeAliases !== afterAliases) changes.push(`aliases: ${beforeAliases || 'none'} → ${afterAliases || 'none'}`);
+    if (Boolean(before.redirectAliases) !== Boolean(after.redirectAliases)) changes.push(`alias redirects: ${after.redirectAliases ? 'on' : 'off'}`);
+    if ((before.collection || '') !== (after.collection || '')) changes.push(`collection: ${before.collection || 'none'} → ${after.collection || 'none'}`);
+    const beforeTags = (before.tags || []).join(', ');
+    const afterTags = (after.tags || []).join(', ');
+    if (beforeTags !== afterTags) changes.push(`tags: ${beforeTags || 'none'} → ${afterTags || 'none'}`);
+    const beforeRules = (before.clientRules || []).length;
+    const afterRules = (after.clientRules || []).length;
+    if (JSON.stringify(before.clientRules || []) !== JSON.stringify(after.clientRules || [])) changes.push(`client rules: ${beforeRules} → ${afterRules}`);
+    if ((before.fallbackUrl || '') !== (after.fallbackUrl || '')) changes.push(`fallback URL: ${before.fallbackUrl || 'none'} → ${after.fallbackUrl || 'none'}`);
+
+    const beforeBranches = getBranches(before);
+    const afterBranches = getBranches(after);
+    const names = [...new Set([...Object.keys(beforeBranches), ...Object.keys(afterBranches)])];
+    names.forEach((name) => {
+        if (beforeBranches[name] === afterBranches[name]) return;
+        if (!afterBranches[name]) changes.push(`${name}: removed (was ${beforeBranches[name]})`);
+        else if (!beforeBranches[name]) changes.push(`${name}: added ${afterBranches[name]}`);
+        else changes.push(`${name}: ${beforeBranches[name]} → ${afterBranches[name]}`);
+    });
+    const scheduleIds = (data) => (data.schedule || []).map((entry) => entry.id).sort().join(',');
+    if (scheduleIds(before) !== scheduleIds(after)) changes.push(`scheduled changes: ${(before.schedule || []).length} → ${(after.schedule || []).length}`);
+    return changes;
+};
@@ -0,0 +1,45 @@
+import { repository } from './storage';
+import { restoreComponentVersion } from './componentHistory';
+
+jest.mock('./storage', () => ({ repository: require('./shared/storage/memoryRepository').createMemoryRepository() }));
+
+const FILE_URL = 'https://www.figma.com/design/abc123/Library';
+const RC_URL = 'https://www.figma.com/design/abc123/branch/def456/Library';
+const REVIEW_URL = 'https://www.figma.com/design/abc123/branch/ghi789/Library';
+const T0 = Date.UTC(2024, 4, 1, 9, 0);
+const HOUR = 60 * 60 * 1000;
+const USER = { uid: 'alice', email: 'alice@example.com' };
+
+describe('restoreComponentVersion', () => {
+  it('restores the branches that version served, without applying switches that happened since', async () => {
+    // Saved at T0 with `latest` switching to RC at T0 + 1h and a review override at T0 + 5h.
+    const version = {
+      workspaceId: 'ws_team',
+      name: 'Button',
+      branches: { main: FILE_URL, latest: FILE_URL },
+      schedule: [
+        { id: 'release', type: 'switch', branch: 'latest', url: RC_URL, startsAt: T0 + HOUR },
+        { id: 'review', type: 'override', branch: 'main', url: REVIEW_URL, startsAt: T0 + 5 * HOUR, endsAt: T0 + 6 * HOUR },
+      ],
+      health: { status: 'unreachable', checkedAt: T0, branches: {} },
+      version: 1,
+    };
+    const current = {
+      id: 'button',
+      workspaceId: 'ws_team',
+      name: 'Button (renamed)',
+      slug: 'cta',
+      branches: { main: FILE_URL, latest: RC_URL },
+      schedule: [],
+      health: { status: 'ok', checkedAt: T0 + 2 * HOUR, branches: {} },
+      version: 4,
+    };
+    await repository.saveComponents([{ id: 'button', action: 'create', before: null, after: current }], USER);
+
+    await restoreComponentVersion(USER, current, { after: version, timestamp: new Date(T0) }, T0 + 2 * HOUR);
+
+    const restored = await repository.getComponent('button');
+    expect(restored).toMatchObject({ name: 'Button', slug: 'cta', branches: { main: FILE_URL, latest: FILE_URL }, health: current.health, version: 5 });
+    expect(restored.schedule.map((entry) => entry.id)).toEqual(['review']);
+  });
+});
@@ -0,0 +1,97 @@
+import React, { useState, useEffect } from 'react';
+import { collection, query, where, onSnapshot } from 'firebase/firestore';
+import { db } from '../firebase';
+import { createApiToken, revokeApiToken } from '../apiTokens';
+import { API_TOKEN_SCOPES } from '../shared/apiTokens';
+import { canEdit } from '../shared/workspaces';
+import { Card, CardHeader, CardTitle, CardContent, Input, Button, Label } from './ui';
+
+const formatTimestamp = (timestamp) => (timestamp ? timestamp.toDate().toLocaleString() : 'Never');
+
+// --- API Tokens Card ---
+// Creates and revokes the tokens that CI pipelines use to call /api/components.
+// Tokens belong to the user and act within the active workspace with the user's role.
+const ApiTokens = ({ user, workspace, role }) => {
+    const [tokens, setTokens] = useState([]);
+    const [name, setName] = useState('');
+    const [scope, setScope] = useState('read');
+    const [createdToken, setCreatedToken] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const q = query(collection(db, 'apiTokens'), where('uid', '==', user.uid));
+        const unsubscribe = onSnapshot(q, (querySnapshot) => {
+            setTokens(querySnapshot.docs.map((snap) => ({ id: snap.id, ...snap.data() })).filter((token) => token.workspaceId === workspace.id));
+        }, (err) => {
+            console.error("Error fetching API tokens:", err);
+            setError("Failed to load API tokens.");
+        });
+        return () => unsubscribe();
+    }, [user.uid, workspace.id]);
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        if (!name.trim()) return;
+        setError(null);
+        try {
+            setCreatedToken(await createApiToken(user, workspace, name.trim(), scope));
+            setName('');
+            setScope('read');
+        } catch (err) {
+            console.error("Error creating API token:", err);
+            setError("Failed to create API token.");
+        }
+    };
+
+    const handleRevoke = async (tokenId) => {
+        setError(null);
+        try {
+            await revokeApiToken(tokenId);
+        } catch (err) {
+            console.error("Error revoking API token:", err);
+            setError("Failed to revoke API token.");
+        }
+    };
+
+    return (
+        <Card className="mt-8">
+            <CardHeader><CardTitle>API Tokens</CardTitle></CardHeader>
+            <CardContent className="space-y-4 text-sm">
+                <p className="text-muted-foreground">Tokens authenticate requests to <span className="font-mono">/api/components</span> for the <span className="font-medium">{workspace.name}</span> workspace, e.g. from a CI pipeline. Send them as <span className="font-mono">Authorization: Bearer &lt;token&gt;</span>.</p>
+                <form onSubmit={handleCreate} className="flex flex-col sm:flex-row sm:items-end gap-2">
+                    <div className="space-y-1 flex-grow"><Label htmlFor="tokenName">Token Name</Label><Input id="tokenName" value={name} onChange={(e) => setName(e.target.value)} placeholder="e.g., Figma-to-code pipeline" /></div>
+                    <div className="space-y-1">
+                        <Label htmlFor="tokenScope">Scope</Label>
+                        <select id="tokenScope" className="flex h-10 w-full rounded-md border border-input bg-background px-3 py-2" value={scope} onChange={(e) => setScope(e.target.value)}>
+                            {Object.entries(API_TOKEN_SCOPES).map(([value, label]) => (<option key={value} value={value} disabled={value !== 'read' && !canEdit(role)}>{label}</option>))}
+                        </select>
+                    </div>
+                    <Button type="submit">Create Token</Button>
+                </form>
+                {createdToken && (
+                    <div className="p-3 border rounded-md space-y-2">
+                        <p className="font-medium">Copy this token now. It won't be shown again.</p>
+                        <p className="font-mono break-all">{createdToken}</p>
+                        <Button size="sm" variant="outline" onClick={() => setCreatedToken(null)}>Done</Button>
+                    </div>
+                )}
+                {error && <p className="font-medium text-destructive">{error}</p>}
+                {tokens.length === 0 ? (<p className="text-muted-foreground">No API tokens yet.</p>) : (
+                    <div className="space-y-2">
+                        {tokens.map((token) => (
+                            <div key={token.id} className="flex items-center justify-between gap-4">
+                                <div className="min-w-0">
+                                    <p className="truncate"><span className="font-medium">{token.name}</span> <span className="font-mono text-muted-foreground">{token.hint}</span></p>
+                                    <p className="text-muted-foreground">{API_TOKEN_SCOPES[token.scope] || token.scope} · created {formatTimestamp(token.createdAt)} · last used {formatTimestamp(token.lastUsedAt)}</p>
+                                </div>
+                                <Button size="sm" variant="destructive" className="flex-shrink-0" onClick={() => handleRevoke(token.id)}>Revoke</Button>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+};
+
+export default ApiTokens;
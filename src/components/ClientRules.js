@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import {
+    CLIENT_TARGETS,
+    CLIENT_RULE_TYPES,
+    PREFERENCE_COOKIE,
+    PREFERENCES,
+    MAX_CLIENT_RULES,
+    parseCookies,
+    getClientTargetUrl,
+    resolveClientTarget
+} from '../shared/clientRules';
+import { Input, Button, Label } from './ui';
+
+const selectClassName = 'flex h-10 w-full rounded-md border border-input bg-background px-3 py-2';
+
+const PREFERENCE_MAX_AGE = 365 * 24 * 60 * 60;
+
+const getThisBrowser = () => ({ userAgent: navigator.userAgent, query: {}, cookies: parseCookies(document.cookie) });
+
+// --- Client Rule Fields ---
+// The rules and fallback URL in the edit form, with a preview of where each rule sends visitors
+// of the default pretty link. `webUrl` is what that link serves when no rule matches.
+const ClientRuleFields = ({ idPrefix, rules, onRulesChange, fallbackUrl, onFallbackUrlChange, webUrl }) => {
+    const updateRule = (index, field, value) => onRulesChange(rules.map((rule, i) => {
+        if (i !== index) return rule;
+        // Preference rules only compare with the known preferences, so switching to one picks the first.
+        if (field === 'type' && value === 'cookie') return { ...rule, type: value, value: Object.keys(PREFERENCES)[0] };
+        return { ...rule, [field]: value };
+    }));
+    const removeRule = (index) => onRulesChange(rules.filter((_, i) => i !== index));
+    const addRule = () => onRulesChange([...rules, { type: 'user-agent', value: '', target: 'app' }]);
+
+    const draft = { clientRules: rules, fallbackUrl: fallbackUrl.trim() };
+    const thisBrowser = webUrl ? resolveClientTarget(draft, webUrl, getThisBrowser()) : null;
+
+    return (
+        <div className="space-y-2">
+            <Label>Client Rules</Label>
+            <p className="text-xs text-muted-foreground">Rules are tried in order; the first one that matches picks where the pretty links send a visitor. Without a match they open Figma in the browser.</p>
+            {rules.map((rule, index) => (
+                <div key={index} className="flex flex-col sm:flex-row sm:items-center gap-2">
+                    <select aria-label="Rule type" className={`${selectClassName} sm:w-52`} value={rule.type} onChange={(e) => updateRule(index, 'type', e.target.value)}>
+                        {Object.entries(CLIENT_RULE_TYPES).map(([value, { label }]) => (<option key={value} value={value}>{label}</option>))}
+                    </select>
+                    {rule.type === 'cookie' ? (
+                        <select aria-label="Rule value" className={selectClassName} value={rule.value} onChange={(e) => updateRule(index, 'value', e.target.value)}>
+                            {Object.entries(PREFERENCES).map(([value, label]) => (<option key={value} value={value}>{label}</option>))}
+                        </select>
+                    ) : (
+                        <Input id={`${idPrefix}-rule-${index}`} aria-label="Rule value" value={rule.value} onChange={(e) => updateRule(index, 'value', e.target.value)} placeholder={CLIENT_RULE_TYPES[rule.type] ? CLIENT_RULE_TYPES[rule.type].placeholder : ''} />
+                    )}
+                    <select aria-label="Rule target" className={`${selectClassName} sm:w-48`} value={rule.target} onChange={(e) => updateRule(index, 'target', e.target.value)}>
+                        {Object.entries(CLIENT_TARGETS).map(([value, label]) => (<option key={value} value={value}>{label}</option>))}
+                    </select>
+                    <Button type="button" size="sm" variant="outline" onClick={() => removeRule(index)}>Remove</Button>
+                </div>
+            ))}
+            <Button type="button" size="sm" variant="outline" onClick={addRule} disabled={rules.length >= MAX_CLIENT_RULES}>Add Rule</Button>
+            <div className="space-y-2 pt-2">
+                <Label htmlFor={`${idPrefix}-fallback`}>Fallback URL</Label>
+                <Input id={`${idPrefix}-fallback`} type="url" value={fallbackUrl} onChange={(e) => onFallbackUrlChange(e.target.value)} placeholder="e.g., a read-only prototype or an exported image" />
+            </div>
+            {webUrl && (
+                <div className="rounded-md border p-3 space-y-1 text-xs">
+                    <p className="font-semibold">Preview</p>
+                    {rules.map((rule, index) => {
+                        const { target, url } = getClientTargetUrl(draft, rule.target, webUrl);
+                        return (
+                            <p key={index} className="truncate" title={url}>
+                                <span className="text-muted-foreground">Rule {index + 1} → {CLIENT_TARGETS[target]}{target !== rule.target ? ` (${CLIENT_TARGETS[rule.target] || rule.target} is not available)` : ''}: </span>
+                                <span className="font-mono">{url}</span>
+                            </p>
+                        );
+                    })}
+                    <p className="truncate" title={webUrl}><span className="text-muted-foreground">No rule matches → {CLIENT_TARGETS.web}: </span><span className="font-mono">{webUrl}</span></p>
+                    <p className="text-muted-foreground">This browser: {thisBrowser.ruleIndex === -1 ? 'no rule matches' : `rule ${thisBrowser.ruleIndex + 1} matches`}, so it opens {CLIENT_TARGETS[thisBrowser.target]}.</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- Open-In Preference ---
+// Sets the cookie that "Visitor prefers" rules check, for pretty links opened in this browser.
+export const OpenInPreference = () => {
+    const [preference, setPreference] = useState(() => parseCookies(document.cookie)[PREFERENCE_COOKIE] || '');
+
+    const handleChange = (value) => {
+        document.cookie = value
+            ? `${PREFERENCE_COOKIE}=${value}; path=/; max-age=${PREFERENCE_MAX_AGE}; SameSite=Lax`
+            : `${PREFERENCE_COOKIE}=; path=/; max-age=0; SameSite=Lax`;
+        setPreference(value);
+    };
+
+    return (
+        <label className="inline-flex items-center gap-2">
+            Open pretty links in:
+            <select className="h-8 rounded-md border border-input bg-background px-2" value={preference} onChange={(e) => handleChange(e.target.value)}>
+                <option value="">No preference</option>
+                {Object.entries(PREFERENCES).map(([value, label]) => (<option key={value} value={value}>{label}</option>))}
+            </select>
+        </label>
+    );
+};
+
+export default ClientRuleFields;
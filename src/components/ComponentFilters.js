@@ -0,0 +1,43 @@
+import React from 'react';
+import { DEFAULT_FILTERS, SORT_OPTIONS, POPULARITY_DAYS, hasActiveFilters } from '../componentFilters';
+import { Input, Button } from './ui';
+
+const selectClassName = 'flex h-10 rounded-md border border-input bg-background px-3 text-sm';
+
+// --- Component Filters Toolbar ---
+// Search, tag and collection filters, sorting and grouping for the Managed Components list.
+// The parent keeps the state in sync with the page URL (see src/componentFilters.js).
+const ComponentFilters = ({ filters, onChange, tags, collections, shownCount, totalCount, brokenCount }) => {
+    const update = (field, value) => onChange({ ...filters, [field]: value });
+    return (
+        <div className="space-y-3 mb-6">
+            <div className="flex flex-col sm:flex-row gap-2">
+                <Input type="search" aria-label="Search components" value={filters.q} onChange={(e) => update('q', e.target.value)} placeholder="Search by name, slug or URL" />
+                <select aria-label="Sort components" className={selectClassName} value={filters.sort} onChange={(e) => update('sort', e.target.value)}>
+                    {Object.entries(SORT_OPTIONS).map(([value, label]) => (<option key={value} value={value}>Sort: {label}{value === 'popular' ? ` (${POPULARITY_DAYS} days)` : ''}</option>))}
+                </select>
+            </div>
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+                <select aria-label="Filter by tag" className={selectClassName} value={filters.tag} onChange={(e) => update('tag', e.target.value)}>
+                    <option value="">All tags</option>
+                    {tags.map((tag) => (<option key={tag} value={tag}>{tag}</option>))}
+                    {filters.tag && !tags.includes(filters.tag) && <option value={filters.tag}>{filters.tag}</option>}
+                </select>
+                <select aria-label="Filter by collection" className={selectClassName} value={filters.collection} onChange={(e) => update('collection', e.target.value)}>
+                    <option value="">All collections</option>
+                    {collections.map((collection) => (<option key={collection} value={collection}>{collection}</option>))}
+                    {filters.collection && !collections.includes(filters.collection) && <option value={filters.collection}>{filters.collection}</option>}
+                </select>
+                <label className="flex items-center gap-2 font-medium"><input type="checkbox" checked={filters.group} onChange={(e) => update('group', e.target.checked)} />Group by collection</label>
+                <label className="flex items-center gap-2 font-medium"><input type="checkbox" checked={filters.broken} onChange={(e) => update('broken', e.target.checked)} />Broken only ({brokenCount})</label>
+                {filters.sort === 'popular' && <span className="text-muted-foreground">Most used counts hits that reached the server, not redirects answered from the edge cache.</span>}
+                {hasActiveFilters(filters) && (<>
+                    <span className="text-muted-foreground">Showing {shownCount} of {totalCount}</span>
+                    <Button size="sm" variant="outline" onClick={() => onChange({ ...DEFAULT_FILTERS, sort: filters.sort, group: filters.group })}>Clear filters</Button>
+                </>)}
+            </div>
+        </div>
+    );
+};
+
+export default ComponentFilters;
@@ -0,0 +1,62 @@
+import React, { useState, useEffect } from 'react';
+import { repository } from '../storage';
+import { describeChanges, restoreComponentVersion } from '../componentHistory';
+import { Button } from './ui';
+
+const ACTION_LABELS = { create: 'Created', update: 'Edited', delete: 'Deleted', restore: 'Restored' };
+
+const formatTimestamp = (timestamp) => (timestamp ? timestamp.toLocaleString() : 'Just now');
+
+// --- Component History Panel ---
+// Lists every recorded change to one component and lets the user restore any earlier version.
+const ComponentHistory = ({ user, component, canEdit }) => {
+    const [entries, setEntries] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        setIsLoading(true);
+        const unsubscribe = repository.subscribeHistory(component.workspaceId, component.id, (history) => {
+            setEntries(history);
+            setIsLoading(false);
+        }, (err) => {
+            console.error("Error fetching history:", err);
+            setError("Failed to load history.");
+            setIsLoading(false);
+        });
+        return () => unsubscribe();
+    }, [component.workspaceId, component.id]);
+
+    const handleRestore = async (entry) => {
+        setError(null);
+        try {
+            await restoreComponentVersion(user, component, entry);
+        } catch (err) {
+            console.error("Error restoring version:", err);
+            setError("Failed to restore this version.");
+        }
+    };
+
+    if (isLoading) return <p className="text-sm text-muted-foreground">Loading history...</p>;
+
+    return (
+        <div className="space-y-3 text-sm">
+            {error && <p className="font-medium text-destructive">{error}</p>}
+            {entries.length === 0 ? (<p className="text-muted-foreground">No recorded changes yet.</p>) :
+            entries.map((entry, index) => (
+                <div key={entry.id} className="flex flex-col sm:flex-row justify-between gap-2 pb-3 border-b last:border-b-0">
+                    <div className="min-w-0">
+                        <p><span className="font-medium">{ACTION_LABELS[entry.action] || entry.action}</span> <span className="text-muted-foreground">by {entry.actor.email || entry.actor.uid}{entry.actor.apiToken && ` (API token "${entry.actor.apiToken}")`} · {formatTimestamp(entry.timestamp)}</span></p>
+                        <ul className="mt-1 space-y-1 text-muted-foreground">
+                            {describeChanges(entry.before, entry.after).map((change) => (<li key={change} className="truncate" title={change}>{change}</li>))}
+                        </ul>
+                    </div>
+                    {/* The newest entry is the current state, so there is nothing to restore. */}
+                    {canEdit && entry.after && index > 0 && <Button size="sm" variant="outline" className="flex-shrink-0" onClick={() => handleRestore(entry)}>Restore</Button>}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default ComponentHistory;
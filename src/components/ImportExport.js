@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { exportToJson, exportToCsv, parseImportFile, buildImportPlan, applyImportPlan } from '../importExport';
+import { Card, CardHeader, CardTitle, CardContent, Button, Label } from './ui';
+
+const STATUS_LABELS = {
+    new: 'New',
+    changed: 'Changed',
+    unchanged: 'Unchanged',
+    collision: 'Slug collision',
+    invalid: 'Invalid',
+};
+const STATUS_ORDER = ['invalid', 'collision', 'new', 'changed', 'unchanged'];
+
+const downloadFile = (content, fileName, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // Some browsers start the download after click() returns, so the URL must outlive it.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const formatRows = (rows) => `${rows.length > 1 ? 'Rows' : 'Row'} ${rows.join(', ')}`;
+
+// --- Import / Export Card ---
+// Exports the user's components and imports them back after showing a preview of every change.
+const ImportExport = ({ user, workspace, components, canEdit }) => {
+    const [plan, setPlan] = useState(null);
+    const [fileName, setFileName] = useState('');
+    const [results, setResults] = useState(null);
+    const [progress, setProgress] = useState(null);
+    const [error, setError] = useState(null);
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        setError(null);
+        setResults(null);
+        setPlan(null);
+        setFileName(file.name);
+        try {
+            const records = parseImportFile(await file.text(), file.name);
+            setPlan(await buildImportPlan(records, components, user, workspace));
+        } catch (err) {
+            console.error("Error reading import file:", err);
+            setError(err.message || "Failed to read the import file.");
+        }
+    };
+
+    const handleApply = async () => {
+        setError(null);
+        setProgress({ done: 0, total: 0 });
+        try {
+            setResults(await applyImportPlan(user, plan, (done, total) => setProgress({ done, total })));
+            setPlan(null);
+        } catch (err) {
+            console.error("Error applying import:", err);
+            setError("Failed to apply the import.");
+        } finally {
+            setProgress(null);
+        }
+    };
+
+    const today = new Date().toISOString().slice(0, 10);
+    const applicableCount = plan ? plan.filter((item) => item.status === 'new' || item.status === 'changed').length : 0;
+    const failures = results ? results.filter((result) => !result.ok) : [];
+
+    return (
+        <Card className="mb-8">
+            <CardHeader><CardTitle>Import &amp; Export</CardTitle></CardHeader>
+            <CardContent className="space-y-4">
+                <div className="flex flex-wrap items-center gap-2">
+                    <Button size="sm" variant="outline" disabled={components.length === 0} onClick={() => downloadFile(exportToJson(components), `components-${today}.json`, 'application/json')}>Export JSON</Button>
+                    <Button size="sm" variant="outline" disabled={components.length === 0} onClick={() => downloadFile(exportToCsv(components), `components-${today}.csv`, 'text/csv')}>Export CSV</Button>
+                    {canEdit && <Label htmlFor="importFile" className="ml-auto inline-flex items-center justify-center rounded-md text-sm font-medium h-9 px-3 border border-input bg-background hover:bg-accent hover:text-accent-foreground cursor-pointer">Import CSV or JSON…</Label>}
+                    {canEdit && <input id="importFile" type="file" accept=".csv,.json,text/csv,application/json" className="hidden" onChange={handleFileChange} />}
+                </div>
+                {error && <p className="text-sm font-medium text-destructive">{error}</p>}
+                {plan && (
+                    <div className="space-y-3 text-sm">
+                        <p className="font-semibold">Preview of {fileName}</p>
+                        {STATUS_ORDER.map((status) => {
+                            const items = plan.filter((item) => item.status === status);
+                            if (items.length === 0) return null;
+                            return (
+                                <details key={status} open={status !== 'unchanged'} className="border rounded-md p-3">
+                                    <summary className="cursor-pointer font-medium">{STATUS_LABELS[status]} ({items.length})</summary>
+                                    <ul className="mt-2 space-y-2">
+                                        {items.map((item) => (
+                                            <li key={`${item.rows.join('-')}-${item.id}`}>
+                                                <p><span className="text-muted-foreground">{formatRows(item.rows)}:</span> {item.name || <em>unnamed</em>} <span className="font-mono text-muted-foreground">{item.id && `/r/${item.id}`}</span></p>
+                                                {[...item.messages, ...item.changes].map((line) => (<p key={line} className={`pl-4 truncate ${item.messages.includes(line) ? 'text-destructive' : 'text-muted-foreground'}`} title={line}>{line}</p>))}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </details>
+                            );
+                        })}
+                        <div className="flex items-center gap-2">
+                            <Button size="sm" onClick={handleApply} disabled={applicableCount === 0 || !!progress}>{progress ? `Applying ${progress.done}/${progress.total}...` : `Apply ${applicableCount} change${applicableCount === 1 ? '' : 's'}`}</Button>
+                            <Button size="sm" variant="outline" onClick={() => setPlan(null)} disabled={!!progress}>Cancel</Button>
+                        </div>
+                    </div>
+                )}
+                {results && (
+                    <div className="space-y-1 text-sm">
+                        <p className="font-medium">Imported {results.length - failures.length} of {results.length} components.</p>
+                        {failures.map((failure) => (<p key={failure.id} className="text-destructive">{formatRows(failure.rows)} ({failure.id}): {failure.error}</p>))}
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+};
+
+export default ImportExport;
@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import { requestHealthCheck } from '../linkHealth';
+import { HEALTH_STATUSES, getBranchHealth, getHealthStatus } from '../shared/linkHealth';
+import { Button } from './ui';
+
+const BADGE_STYLES = {
+    ok: 'bg-green-100 text-green-800',
+    unverified: 'bg-slate-100 text-slate-800',
+    redirected: 'bg-amber-100 text-amber-800',
+    unreachable: 'bg-red-100 text-red-800',
+    malformed: 'bg-red-100 text-red-800',
+};
+
+// --- Link Health Row ---
+// Shows the latest scheduled check for one component, which branches failed and why, and a
+// button to re-check now. Any workspace member may re-check; it only reads the targets.
+const LinkHealth = ({ component }) => {
+    const [isChecking, setIsChecking] = useState(false);
+    const [error, setError] = useState(null);
+
+    const status = getHealthStatus(component);
+    const problems = Object.entries(getBranchHealth(component)).filter(([, result]) => result && result.status !== 'ok');
+    const checkedAt = component.health && component.health.checkedAt;
+
+    const handleRecheck = async () => {
+        setIsChecking(true);
+        setError(null);
+        try {
+            await requestHealthCheck(component.id);
+        } catch (err) {
+            console.error("Error checking link health:", err);
+            setError("Failed to re-check links.");
+        }
+        setIsChecking(false);
+    };
+
+    return (
+        <div className="space-y-2 text-sm">
+            <div className="flex flex-wrap items-center gap-2">
+                <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${status ? BADGE_STYLES[status] : 'bg-muted text-muted-foreground'}`} title={status ? HEALTH_STATUSES[status].description : 'No check has run against the current targets.'}>
+                    {status ? HEALTH_STATUSES[status].label : 'Not checked'}
+                </span>
+                <span className="text-muted-foreground">{checkedAt ? `Checked ${new Date(checkedAt).toLocaleString()}` : 'Targets are checked every few hours.'}</span>
+                <Button size="sm" variant="outline" disabled={isChecking} onClick={handleRecheck}>{isChecking ? 'Checking...' : 'Re-check'}</Button>
+            </div>
+            {problems.map(([name, result]) => (
+                <p key={name} className="break-words"><span className="font-medium">{name}:</span> <span className="text-muted-foreground">{HEALTH_STATUSES[result.status].label}{result.message ? ` · ${result.message}` : ''}</span></p>
+            ))}
+            {error && <p className="font-medium text-destructive">{error}</p>}
+        </div>
+    );
+};
+
+export default LinkHealth;
@@ -0,0 +1,69 @@
+import React, { useState, useEffect } from 'react';
+import { repository } from '../storage';
+import { getActor } from '../componentHistory';
+import { MISS_REASONS } from '../shared/linkReports';
+import { Card, CardHeader, CardTitle, CardContent, Button } from './ui';
+
+// --- Link Reports Panel ---
+// Broken-link reports sent from the public "link not found" page. Editors dismiss a report
+// once the link is fixed; dismissed reports are kept but no longer shown.
+const LinkReports = ({ user, reports, canEdit }) => {
+    const [error, setError] = useState(null);
+
+    const handleResolve = async (report) => {
+        setError(null);
+        try {
+            await repository.resolveLinkReport(report.id, getActor(user));
+        } catch (err) {
+            console.error("Error resolving report:", err);
+            setError("Failed to dismiss report.");
+        }
+    };
+
+    return (
+        <div className="space-y-3 text-sm">
+            {error && <p className="font-medium text-destructive">{error}</p>}
+            {reports.map((report) => (
+                <div key={report.id} className="flex flex-col sm:flex-row justify-between gap-2 pb-3 border-b last:border-b-0">
+                    <div className="min-w-0">
+                        <p><span className="font-mono">{report.path}</span> <span className="text-muted-foreground">· {(MISS_REASONS[report.reason] || {}).label || report.reason} · {report.createdAt ? report.createdAt.toLocaleString() : 'Just now'}</span></p>
+                        {report.message && <p className="mt-1 break-words">"{report.message}"</p>}
+                        {report.referrer && <p className="mt-1 text-muted-foreground truncate" title={report.referrer}>Found on {report.referrer}</p>}
+                    </div>
+                    {canEdit && <Button size="sm" variant="outline" className="flex-shrink-0" onClick={() => handleResolve(report)}>Dismiss</Button>}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+// --- Unknown Link Reports Card ---
+// Reports for slugs that match no component belong to no workspace. They may mention any tenant's
+// links, so only admins see and dismiss them.
+export const UnknownLinkReports = ({ user }) => {
+    const [reports, setReports] = useState([]);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const unsubscribe = repository.subscribeLinkReports(null, setReports, (err) => {
+            console.error("Error fetching link reports:", err);
+            setError("Failed to load reports for unknown links.");
+        });
+        return () => unsubscribe();
+    }, []);
+
+    if (reports.length === 0 && !error) return null;
+
+    return (
+        <Card className="mt-8">
+            <CardHeader><CardTitle>Reports for Unknown Links</CardTitle></CardHeader>
+            <CardContent>
+                <p className="text-sm text-muted-foreground mb-4">People reported these pretty links as broken, but no component uses them. Add a component with that slug, or dismiss the report.</p>
+                {error && <p className="text-sm font-medium text-destructive mb-4">{error}</p>}
+                <LinkReports user={user} reports={reports} canEdit />
+            </CardContent>
+        </Card>
+    );
+};
+
+export default LinkReports;
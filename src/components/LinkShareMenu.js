@@ -0,0 +1,80 @@
+import React, { useState, useEffect } from 'react';
+import { COPY_FORMATS, copyText, getQrCodePng, getQrCodeSvg, downloadUrl } from '../linkSharing';
+import { Button } from './ui';
+
+// --- Link Share Menu ---
+// The copy button next to each pretty link: copies it as a plain link, Markdown, HTML, a Slack
+// link or a Markdown badge, and shows a QR code that can be downloaded as SVG or PNG.
+const LinkShareMenu = ({ title, link, badgeUrl, fileName }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [qrPng, setQrPng] = useState(null);
+    const [copiedFormat, setCopiedFormat] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!isOpen) return undefined;
+        let isCurrent = true;
+        getQrCodePng(link)
+            .then((png) => { if (isCurrent) setQrPng(png); })
+            .catch((err) => {
+                console.error("Error creating QR code:", err);
+                if (isCurrent) setError("Failed to create QR code.");
+            });
+        return () => { isCurrent = false; };
+    }, [isOpen, link]);
+
+    useEffect(() => {
+        if (!copiedFormat) return undefined;
+        const timeout = setTimeout(() => setCopiedFormat(null), 2000);
+        return () => clearTimeout(timeout);
+    }, [copiedFormat]);
+
+    const handleCopy = async (key) => {
+        setError(null);
+        const { format, html } = COPY_FORMATS[key];
+        try {
+            await copyText(format({ title, link, badgeUrl }), { html });
+            setCopiedFormat(key);
+            setIsOpen(false);
+        } catch (err) {
+            console.error("Error copying link:", err);
+            setError("Failed to copy link.");
+        }
+    };
+
+    const handleDownloadSvg = async () => {
+        setError(null);
+        try {
+            const url = URL.createObjectURL(new Blob([await getQrCodeSvg(link)], { type: 'image/svg+xml' }));
+            downloadUrl(url, `${fileName}.svg`);
+            // Some browsers start the download after click() returns, so the URL must outlive it.
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (err) {
+            console.error("Error creating QR code:", err);
+            setError("Failed to create QR code.");
+        }
+    };
+
+    return (
+        <div className="relative flex-shrink-0">
+            <button type="button" aria-label="Copy link or get a QR code" aria-expanded={isOpen} onClick={() => setIsOpen(!isOpen)} className={`${isOpen || copiedFormat ? '' : 'opacity-0'} group-hover:opacity-100 transition-opacity`}>{copiedFormat ? '✅' : '📋'}</button>
+            {isOpen && (
+                <div className="absolute left-0 z-10 mt-1 w-56 rounded-md border bg-background p-2 shadow-md space-y-1 text-sm">
+                    {Object.entries(COPY_FORMATS).map(([key, { label }]) => (
+                        <button key={key} type="button" className="block w-full rounded px-2 py-1 text-left hover:bg-accent" onClick={() => handleCopy(key)}>Copy as {label}</button>
+                    ))}
+                    <div className="border-t pt-2 mt-1 space-y-2">
+                        {qrPng ? <img src={qrPng} alt={`QR code for ${link}`} className="mx-auto h-32 w-32" /> : <p className="text-xs text-muted-foreground">Creating QR code...</p>}
+                        <div className="flex gap-2">
+                            <Button type="button" size="sm" variant="outline" className="flex-1" onClick={handleDownloadSvg}>SVG</Button>
+                            <Button type="button" size="sm" variant="outline" className="flex-1" disabled={!qrPng} onClick={() => downloadUrl(qrPng, `${fileName}.png`)}>PNG</Button>
+                        </div>
+                    </div>
+                    {error && <p className="text-xs font-medium text-destructive">{error}</p>}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default LinkShareMenu;
@@ -0,0 +1,61 @@
+import React, { useState, useEffect } from 'react';
+import { repository } from '../storage';
+import { DELETED_RETENTION_DAYS, findTakenSlugs, restoreDeletedComponent } from '../componentHistory';
+import { getDeletedComponentId } from '../shared/storage/repository';
+import { Card, CardHeader, CardTitle, CardContent, Button } from './ui';
+
+// --- Recently Deleted Card ---
+// Deleted components stay recoverable until their `expiresAt` time, after which they are purged.
+const RecentlyDeleted = ({ user, workspace, canEdit }) => {
+    const [deleted, setDeleted] = useState([]);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        // The repository already leaves out entries past their `expiresAt`.
+        const unsubscribe = repository.subscribeDeleted(workspace.id, setDeleted, (err) => {
+            console.error("Error fetching deleted components:", err);
+            setError("Failed to load deleted components.");
+        });
+        return () => unsubscribe();
+    }, [workspace.id]);
+
+    const handleRestore = async (entry) => {
+        setError(null);
+        try {
+            const taken = await findTakenSlugs(getDeletedComponentId(entry), null, entry.data);
+            if (taken.length) {
+                setError(`Another component now uses ${taken.map((slug) => `'${slug}'`).join(', ')}, so '${entry.data.name}' can't be restored.`);
+                return;
+            }
+            await restoreDeletedComponent(user, entry);
+        } catch (err) {
+            console.error("Error restoring component:", err);
+            setError("Failed to restore component.");
+        }
+    };
+
+    if (deleted.length === 0 && !error) return null;
+
+    return (
+        <Card className="mt-8">
+            <CardHeader><CardTitle>Recently Deleted</CardTitle></CardHeader>
+            <CardContent>
+                <p className="text-sm text-muted-foreground mb-4">Deleted components can be restored for {DELETED_RETENTION_DAYS} days.</p>
+                {error && <p className="text-sm font-medium text-destructive mb-4">{error}</p>}
+                <div className="space-y-2">
+                    {deleted.map((entry) => (
+                        <div key={entry.id} className="flex items-center justify-between gap-4 text-sm">
+                            <div className="min-w-0">
+                                <p className="font-medium truncate">{entry.data.name}</p>
+                                <p className="text-muted-foreground truncate">Deleted by {entry.deletedBy.email || entry.deletedBy.uid}{entry.deletedBy.apiToken && ` (API token "${entry.deletedBy.apiToken}")`}{entry.expiresAt && ` · purged ${entry.expiresAt.toLocaleDateString()}`}</p>
+                            </div>
+                            {canEdit && <Button size="sm" variant="outline" className="flex-shrink-0" onClick={() => handleRestore(entry)}>Restore</Button>}
+                        </div>
+                    ))}
+                </div>
+            </CardContent>
+        </Card>
+    );
+};
+
+export default RecentlyDeleted;
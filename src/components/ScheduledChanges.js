@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { updateComponent } from '../componentHistory';
+import {
+    getBranches,
+    getPendingSchedule,
+    normalizeBranchName,
+    settleSchedule,
+    toMillis,
+    validateScheduleEntry
+} from '../shared/branches';
+import { normalizeFigmaUrl } from '../shared/figmaUrls';
+import { Input, Button, Label } from './ui';
+
+const emptyEntry = () => ({ type: 'switch', branch: 'latest', url: '', startsAt: '', endsAt: '' });
+
+// <input type="datetime-local"> values are in local time without a zone, which `new Date()` parses as local.
+const fromLocalInput = (value) => (value ? new Date(value).getTime() : null);
+
+const formatTime = (value) => new Date(toMillis(value)).toLocaleString();
+
+const createEntryId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// --- Scheduled Changes Panel ---
+// Lists upcoming switches and active overrides for one component, and lets the user add or cancel them.
+const ScheduledChanges = ({ user, component, canEdit }) => {
+    const [isAdding, setIsAdding] = useState(false);
+    const [entry, setEntry] = useState(emptyEntry);
+    const [error, setError] = useState(null);
+
+    const now = Date.now();
+    const pending = getPendingSchedule(component.schedule, now);
+    const branchNames = Object.keys(getBranches(component));
+
+    const saveSchedule = async (schedule) => {
+        const { id, ...data } = component;
+        await updateComponent(user, component.id, component, { ...settleSchedule(data), schedule });
+    };
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        setError(null);
+        const newEntry = {
+            id: createEntryId(),
+            type: entry.type,
+            branch: normalizeBranchName(entry.branch),
+            url: normalizeFigmaUrl(entry.url),
+            startsAt: fromLocalInput(entry.startsAt),
+            endsAt: entry.type === 'override' ? fromLocalInput(entry.endsAt) : null,
+        };
+        const entryError = validateScheduleEntry(newEntry, Date.now());
+        if (entryError) {
+            setError(entryError);
+            return;
+        }
+        try {
+            await saveSchedule([...pending, newEntry]);
+            setEntry(emptyEntry());
+            setIsAdding(false);
+        } catch (err) {
+            console.error("Error scheduling change:", err);
+            setError("Failed to schedule change.");
+        }
+    };
+
+    const handleCancelEntry = async (entryId) => {
+        setError(null);
+        try {
+            await saveSchedule(pending.filter((item) => item.id !== entryId));
+        } catch (err) {
+            console.error("Error cancelling scheduled change:", err);
+            setError("Failed to cancel scheduled change.");
+        }
+    };
+
+    const updateField = (field, value) => setEntry({ ...entry, [field]: value });
+
+    return (
+        <div className="space-y-2 text-sm">
+            <div className="flex items-center justify-between gap-2">
+                <p className="font-semibold">Scheduled Changes</p>
+                {canEdit && !isAdding && <Button size="sm" variant="outline" onClick={() => setIsAdding(true)}>Schedule Change</Button>}
+            </div>
+            {pending.length === 0 && !isAdding && <p className="text-muted-foreground">No upcoming changes.</p>}
+            {pending.map((item) => {
+                const isActive = item.type === 'override' && toMillis(item.startsAt) <= now;
+                return (
+                    <div key={item.id} className="flex items-center justify-between gap-4">
+                        <div className="min-w-0">
+                            <p className="truncate"><span className="font-medium">{item.branch}</span> → <a href={item.url} target="_blank" rel="noopener noreferrer" className="text-primary hover:underline">{item.url}</a></p>
+                            <p className="text-muted-foreground">
+                                {item.type === 'switch' ? `Switches ${formatTime(item.startsAt)}` : `${isActive ? 'Active' : `Override from ${formatTime(item.startsAt)}`} until ${formatTime(item.endsAt)}`}
+                            </p>
+                        </div>
+                        {canEdit && <Button size="sm" variant="outline" className="flex-shrink-0" onClick={() => handleCancelEntry(item.id)}>Cancel</Button>}
+                    </div>
+                );
+            })}
+            {isAdding && (
+                <form onSubmit={handleAdd} className="space-y-3 p-3 border rounded-md">
+                    <div className="flex flex-col sm:flex-row gap-2">
+                        <div className="space-y-1 sm:w-40">
+                            <Label htmlFor={`schedule-type-${component.id}`}>Type</Label>
+                            <select id={`schedule-type-${component.id}`} className="flex h-10 w-full rounded-md border border-input bg-background px-3 py-2" value={entry.type} onChange={(e) => updateField('type', e.target.value)}>
+                                <option value="switch">Switch</option>
+                                <option value="override">Time-boxed override</option>
+                            </select>
+                        </div>
+                        <div className="space-y-1 sm:w-40">
+                            <Label htmlFor={`schedule-branch-${component.id}`}>Branch</Label>
+                            <Input id={`schedule-branch-${component.id}`} list={`schedule-branches-${component.id}`} value={entry.branch} onChange={(e) => updateField('branch', e.target.value)} />
+                            <datalist id={`schedule-branches-${component.id}`}>{branchNames.map((name) => <option key={name} value={name} />)}</datalist>
+                        </div>
+                        <div className="space-y-1 flex-grow">
+                            <Label htmlFor={`schedule-url-${component.id}`}>Target URL</Label>
+                            <Input id={`schedule-url-${component.id}`} type="url" value={entry.url} onChange={(e) => updateField('url', e.target.value)} placeholder="https://figma.com/design/..." />
+                        </div>
+                    </div>
+                    <div className="flex flex-col sm:flex-row gap-2">
+                        <div className="space-y-1">
+                            <Label htmlFor={`schedule-start-${component.id}`}>{entry.type === 'switch' ? 'Switch at' : 'Starts at'}</Label>
+                            <Input id={`schedule-start-${component.id}`} type="datetime-local" value={entry.startsAt} onChange={(e) => updateField('startsAt', e.target.value)} />
+                        </div>
+                        {entry.type === 'override' && (
+                            <div className="space-y-1">
+                                <Label htmlFor={`schedule-end-${component.id}`}>Ends at</Label>
+                                <Input id={`schedule-end-${component.id}`} type="datetime-local" value={entry.endsAt} onChange={(e) => updateField('endsAt', e.target.value)} />
+                            </div>
+                        )}
+                    </div>
+                    <div className="flex items-center gap-2"><Button type="submit" size="sm">Save</Button><Button type="button" size="sm" variant="outline" onClick={() => { setIsAdding(false); setEntry(emptyEntry()); setError(null); }}>Cancel</Button></div>
+                </form>
+            )}
+            {error && <p className="font-medium text-destructive">{error}</p>}
+        </div>
+    );
+};
+
+export default ScheduledChanges;
@@ -0,0 +1,139 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { repository } from '../storage';
+import { MISS_REASONS, getLinkPath } from '../shared/linkReports';
+import { DAY_MS, toUsageDay } from '../shared/usage';
+import { Card, CardHeader, CardTitle, CardContent, Button } from './ui';
+
+const RANGES = [7, 30, 90];
+
+// Counters are per UTC day, so the chart's days are too.
+const getDayKeys = (days) => {
+    const keys = [];
+    const now = Date.now();
+    for (let i = days - 1; i >= 0; i--) keys.push(toUsageDay(now - i * DAY_MS));
+    return keys;
+};
+
+// Groups hit counters into one daily series per component/branch pair.
+const buildHitSeries = (counts, dayKeys) => {
+    const series = {};
+    counts.forEach((count) => {
+        const key = `${count.componentId}/${count.branch}`;
+        if (!series[key]) {
+            series[key] = { key, componentId: count.componentId, branch: count.branch, total: 0, days: Object.fromEntries(dayKeys.map((day) => [day, 0])) };
+        }
+        if (count.day in series[key].days) series[key].days[count.day] += count.count;
+        series[key].total += count.count;
+    });
+    return Object.values(series).sort((a, b) => b.total - a.total);
+};
+
+// Groups miss counters by requested path so repeatedly requested dead slugs rise to the top.
+const buildDeadSlugs = (counts) => {
+    const slugs = {};
+    counts.forEach((count) => {
+        const path = getLinkPath(count.componentId, count.branch);
+        if (!slugs[path]) slugs[path] = { path, reason: count.reason, count: 0, lastSeen: new Date(count.lastSeenAt) };
+        slugs[path].count += count.count;
+        if (count.lastSeenAt > slugs[path].lastSeen.getTime()) slugs[path].lastSeen = new Date(count.lastSeenAt);
+    });
+    return Object.values(slugs).sort((a, b) => b.count - a.count);
+};
+
+const Sparkline = ({ days }) => {
+    const values = Object.values(days);
+    const max = Math.max(1, ...values);
+    return (
+        <div className="flex items-end gap-px h-8 flex-grow min-w-0">
+            {Object.entries(days).map(([day, count]) => (
+                <div key={day} title={`${day}: ${count}`} className="flex-1 bg-primary/70 rounded-sm" style={{ height: `${Math.max(count ? 8 : 2, (count / max) * 100)}%` }} />
+            ))}
+        </div>
+    );
+};
+
+// --- Usage Dashboard Component ---
+// Shows redirect hits per component and branch, plus pretty links that keep failing.
+const UsageDashboard = ({ workspace, components, showUnownedMisses }) => {
+    const [rangeDays, setRangeDays] = useState(30);
+    const [hitCounts, setHitCounts] = useState([]);
+    const [missCounts, setMissCounts] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const loadCounts = useCallback(async () => {
+        setIsLoading(true);
+        setError(null);
+        // Today counts as one of the days, so the range starts rangeDays - 1 days back.
+        const since = Date.now() - (rangeDays - 1) * DAY_MS;
+        try {
+            // Unknown-branch misses belong to the component's workspace; misses for missing
+            // components belong to no workspace and are only shown to admins.
+            const [workspaceCounts, unownedCounts] = await Promise.all([
+                repository.listUsageCounts(workspace.id, since),
+                showUnownedMisses ? repository.listUsageCounts(null, since) : [],
+            ]);
+            setHitCounts(workspaceCounts.filter((count) => count.outcome === 'hit'));
+            setMissCounts([...workspaceCounts.filter((count) => count.outcome === 'miss'), ...unownedCounts]);
+        } catch (err) {
+            console.error("Error fetching usage data:", err);
+            setError("Failed to load usage data.");
+        } finally {
+            setIsLoading(false);
+        }
+    }, [workspace.id, rangeDays, showUnownedMisses]);
+
+    useEffect(() => { loadCounts(); }, [loadCounts]);
+
+    const dayKeys = getDayKeys(rangeDays);
+    const hitSeries = buildHitSeries(hitCounts, dayKeys);
+    const deadSlugs = buildDeadSlugs(missCounts);
+    const componentNames = Object.fromEntries(components.map((comp) => [comp.id, comp.name]));
+
+    return (
+        <Card className="mt-8">
+            <CardHeader>
+                <div className="flex flex-col sm:flex-row justify-between sm:items-center gap-2">
+                    <CardTitle>Usage</CardTitle>
+                    <div className="flex items-center gap-2">
+                        {RANGES.map((days) => (<Button key={days} size="sm" variant={days === rangeDays ? 'default' : 'outline'} onClick={() => setRangeDays(days)}>{days}d</Button>))}
+                        <Button size="sm" variant="outline" onClick={loadCounts} disabled={isLoading}>Refresh</Button>
+                    </div>
+                </div>
+            </CardHeader>
+            <CardContent>
+                {error && <p className="text-sm font-medium text-destructive mb-4">{error}</p>}
+                {isLoading ? (<p className="text-muted-foreground">Loading usage...</p>) : (
+                    <div className="space-y-6">
+                        <div className="space-y-2">
+                            <p className="font-semibold text-sm">Hits by component and branch</p>
+                            <p className="text-xs text-muted-foreground">Redirects answered from the edge cache don't reach the server and aren't counted, so busy links get more hits than shown.</p>
+                            {hitSeries.length === 0 ? (<p className="text-sm text-muted-foreground">No pretty link hits in the last {rangeDays} days.</p>) :
+                            hitSeries.map((series) => (
+                                <div key={series.key} className="flex items-center gap-4 text-sm">
+                                    <span className="w-48 flex-shrink-0 truncate" title={series.key}>{componentNames[series.componentId] || series.componentId} <span className="text-muted-foreground">/ {series.branch}</span></span>
+                                    <Sparkline days={series.days} />
+                                    <span className="w-12 text-right font-mono flex-shrink-0">{series.total}</span>
+                                </div>
+                            ))}
+                        </div>
+                        <div className="space-y-2 pt-4 border-t">
+                            <p className="font-semibold text-sm">Dead links</p>
+                            {deadSlugs.length === 0 ? (<p className="text-sm text-muted-foreground">No failed pretty link requests in the last {rangeDays} days.</p>) :
+                            deadSlugs.map((slug) => (
+                                <div key={slug.path} className="flex items-center gap-4 text-sm">
+                                    <span className="font-mono truncate flex-grow min-w-0">{slug.path}</span>
+                                    <span className="text-muted-foreground flex-shrink-0">{(MISS_REASONS[slug.reason] || MISS_REASONS['component-not-found']).label}</span>
+                                    <span className="text-muted-foreground flex-shrink-0">last {slug.lastSeen.toLocaleDateString()}</span>
+                                    <span className="w-12 text-right font-mono flex-shrink-0">{slug.count}</span>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+};
+
+export default UsageDashboard;
@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import { repository } from '../storage';
+import { createWebhookSecret, sendTestWebhook, retryWebhookDelivery } from '../webhooks';
+import { WEBHOOK_FORMATS, WEBHOOK_EVENTS, WEBHOOK_DELIVERY_STATUSES, validateWebhook } from '../shared/webhooks';
+import { Card, CardHeader, CardTitle, CardContent, Input, Button, Label } from './ui';
+
+const selectClassName = 'flex h-10 w-full rounded-md border border-input bg-background px-3 py-2';
+
+const STATUS_STYLES = {
+    pending: 'bg-amber-100 text-amber-800',
+    delivered: 'bg-green-100 text-green-800',
+    failed: 'bg-red-100 text-red-800',
+};
+
+const EVENT_LABELS = { ...WEBHOOK_EVENTS, test: 'Test' };
+
+const formatTime = (millis) => (millis ? new Date(millis).toLocaleString() : '');
+
+// --- Webhooks Card ---
+// Editors register URLs that are told about component changes, for the whole workspace or one
+// component, and see the latest deliveries. Each webhook's secret signs its deliveries.
+const Webhooks = ({ user, workspace, components }) => {
+    const [webhooks, setWebhooks] = useState([]);
+    const [deliveries, setDeliveries] = useState([]);
+    const [url, setUrl] = useState('');
+    const [format, setFormat] = useState('json');
+    const [componentId, setComponentId] = useState('');
+    const [events, setEvents] = useState(Object.keys(WEBHOOK_EVENTS));
+    const [shownSecretId, setShownSecretId] = useState(null);
+    const [busyId, setBusyId] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const onError = (err) => {
+            console.error("Error fetching webhooks:", err);
+            setError("Failed to load webhooks.");
+        };
+        const unsubscribeWebhooks = repository.subscribeWebhooks(workspace.id, setWebhooks, onError);
+        const unsubscribeDeliveries = repository.subscribeWebhookDeliveries(workspace.id, setDeliveries, onError);
+        return () => {
+            unsubscribeWebhooks();
+            unsubscribeDeliveries();
+        };
+    }, [workspace.id]);
+
+    const componentNames = Object.fromEntries(components.map((comp) => [comp.id, comp.name]));
+    const webhookUrls = Object.fromEntries(webhooks.map((webhook) => [webhook.id, webhook.url]));
+
+    const toggleEvent = (event, checked) => setEvents(checked ? [...events, event] : events.filter((value) => value !== event));
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setError(null);
+        const fields = { url: url.trim(), format, events };
+        const validationError = validateWebhook(fields);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+        try {
+            await repository.saveWebhook({
+                ...fields,
+                workspaceId: workspace.id,
+                componentId: componentId || null,
+                secret: createWebhookSecret(),
+                enabled: true,
+                createdBy: user.uid,
+                createdAt: Date.now(),
+            });
+            setUrl('');
+            setComponentId('');
+        } catch (err) {
+            console.error("Error creating webhook:", err);
+            setError("Failed to create webhook.");
+        }
+    };
+
+    const handleToggle = async (webhook) => {
+        setError(null);
+        try {
+            await repository.saveWebhook({ ...webhook, enabled: webhook.enabled === false });
+        } catch (err) {
+            console.error("Error updating webhook:", err);
+            setError("Failed to update webhook.");
+        }
+    };
+
+    const handleDelete = async (webhook) => {
+        setError(null);
+        try {
+            await repository.deleteWebhook(webhook.id);
+        } catch (err) {
+            console.error("Error deleting webhook:", err);
+            setError("Failed to delete webhook.");
+        }
+    };
+
+    // Tests and retries run on the server at once; their outcome shows up in the delivery log.
+    const runAction = async (id, action, failureMessage) => {
+        setBusyId(id);
+        setError(null);
+        try {
+            await action(id);
+        } catch (err) {
+            console.error(`${failureMessage}:`, err);
+            setError(`${failureMessage}.`);
+        }
+        setBusyId(null);
+    };
+
+    return (
+        <Card className="mt-8">
+            <CardHeader><CardTitle>Webhooks</CardTitle></CardHeader>
+            <CardContent className="space-y-4 text-sm">
+                <p className="text-muted-foreground">Webhooks tell other tools, like Slack or a CI pipeline, when a component in <span className="font-medium">{workspace.name}</span> is created, updated or deleted. Each delivery is a signed JSON <span className="font-mono">POST</span> with the old and new targets. Failed deliveries are retried with increasing delays.</p>
+                <form onSubmit={handleCreate} className="space-y-3">
+                    <div className="grid gap-2 sm:grid-cols-[1fr_auto_auto] sm:items-end">
+                        <div className="space-y-1"><Label htmlFor="webhookUrl">Payload URL</Label><Input id="webhookUrl" value={url} onChange={(e) => setUrl(e.target.value)} placeholder="https://hooks.slack.com/services/..." /></div>
+                        <div className="space-y-1">
+                            <Label htmlFor="webhookFormat">Format</Label>
+                            <select id="webhookFormat" className={selectClassName} value={format} onChange={(e) => setFormat(e.target.value)}>
+                                {Object.entries(WEBHOOK_FORMATS).map(([value, label]) => (<option key={value} value={value}>{label}</option>))}
+                            </select>
+                        </div>
+                        <div className="space-y-1">
+                            <Label htmlFor="webhookComponent">Components</Label>
+                            <select id="webhookComponent" className={selectClassName} value={componentId} onChange={(e) => setComponentId(e.target.value)}>
+                                <option value="">All components</option>
+                                {components.map((comp) => (<option key={comp.id} value={comp.id}>{comp.name}</option>))}
+                            </select>
+                        </div>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-4">
+                        {Object.entries(WEBHOOK_EVENTS).map(([event, label]) => (
+                            <label key={event} className="flex items-center gap-2 font-medium"><input type="checkbox" checked={events.includes(event)} onChange={(e) => toggleEvent(event, e.target.checked)} />{label}</label>
+                        ))}
+                        <Button type="submit" className="sm:ml-auto">Add Webhook</Button>
+                    </div>
+                </form>
+                {error && <p className="font-medium text-destructive">{error}</p>}
+                {webhooks.length === 0 ? (<p className="text-muted-foreground">No webhooks yet.</p>) : (
+                    <div className="space-y-3">
+                        {webhooks.map((webhook) => (
+                            <div key={webhook.id} className="flex flex-col sm:flex-row justify-between gap-2 pb-3 border-b last:border-b-0">
+                                <div className="min-w-0">
+                                    <p className="font-mono truncate" title={webhook.url}>{webhook.url}</p>
+                                    <p className="text-muted-foreground">
+                                        {WEBHOOK_FORMATS[webhook.format] || webhook.format} · {webhook.componentId ? (componentNames[webhook.componentId] || webhook.componentId) : 'All components'} · {(webhook.events || []).map((event) => WEBHOOK_EVENTS[event] || event).join(', ')}
+                                        {webhook.enabled === false && <span className="font-medium"> · Off</span>}
+                                    </p>
+                                    {shownSecretId === webhook.id && <p className="font-mono break-all">{webhook.secret}</p>}
+                                </div>
+                                <div className="flex flex-wrap gap-2 flex-shrink-0">
+                                    <Button size="sm" variant="outline" onClick={() => setShownSecretId(shownSecretId === webhook.id ? null : webhook.id)}>{shownSecretId === webhook.id ? 'Hide Secret' : 'Show Secret'}</Button>
+                                    <Button size="sm" variant="outline" disabled={busyId === webhook.id || webhook.enabled === false} onClick={() => runAction(webhook.id, sendTestWebhook, 'Failed to send test delivery')}>{busyId === webhook.id ? 'Sending...' : 'Send Test'}</Button>
+                                    <Button size="sm" variant="outline" onClick={() => handleToggle(webhook)}>{webhook.enabled === false ? 'Turn On' : 'Turn Off'}</Button>
+                                    <Button size="sm" variant="destructive" onClick={() => handleDelete(webhook)}>Delete</Button>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+                <h4 className="font-semibold pt-2">Recent Deliveries</h4>
+                {deliveries.length === 0 ? (<p className="text-muted-foreground">Nothing has been delivered yet.</p>) : (
+                    <div className="space-y-2">
+                        {deliveries.map((delivery) => (
+                            <div key={delivery.id} className="flex flex-col sm:flex-row justify-between gap-2 pb-2 border-b last:border-b-0">
+                                <div className="min-w-0">
+                                    <p className="flex flex-wrap items-center gap-2">
+                                        <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${STATUS_STYLES[delivery.status] || 'bg-muted text-muted-foreground'}`}>{WEBHOOK_DELIVERY_STATUSES[delivery.status] || delivery.status}</span>
+                                        <span className="font-medium">{EVENT_LABELS[delivery.event] || delivery.event}</span>
+                                        {delivery.componentId && <span>{componentNames[delivery.componentId] || delivery.componentId}</span>}
+                                        <span className="text-muted-foreground">· {formatTime(delivery.createdAt)}</span>
+                                    </p>
+                                    <p className="text-muted-foreground truncate" title={webhookUrls[delivery.webhookId]}>
+                                        {webhookUrls[delivery.webhookId] || 'Deleted webhook'} · {delivery.attempts || 0} {delivery.attempts === 1 ? 'attempt' : 'attempts'}
+                                        {delivery.error ? ` · ${delivery.error}` : (delivery.responseStatus ? ` · HTTP ${delivery.responseStatus}` : '')}
+                                        {delivery.status === 'pending' && delivery.nextAttemptAt ? ` · next attempt ${formatTime(delivery.nextAttemptAt)}` : ''}
+                                    </p>
+                                </div>
+                                {delivery.status !== 'delivered' && webhookUrls[delivery.webhookId] && (
+                                    <Button size="sm" variant="outline" className="flex-shrink-0" disabled={busyId === delivery.id} onClick={() => runAction(delivery.id, retryWebhookDelivery, 'Failed to retry delivery')}>{busyId === delivery.id ? 'Retrying...' : 'Retry Now'}</Button>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+};
+
+export default Webhooks;
@@ -0,0 +1,186 @@
+import React, { useState, useEffect } from 'react';
+import { collection, query, where, onSnapshot } from 'firebase/firestore';
+import { db } from '../firebase';
+import {
+    createWorkspace,
+    inviteMember,
+    deleteInvite,
+    acceptInvite,
+    updateMemberRole,
+    removeMember
+} from '../workspaces';
+import { ROLES, canManageMembers, getMemberRole } from '../shared/workspaces';
+import { Card, CardHeader, CardTitle, CardContent, Input, Button, Label } from './ui';
+
+const selectClassName = 'flex h-9 rounded-md border border-input bg-background px-3';
+
+// --- Pending Invites Banner ---
+// Shows invitations sent to the signed-in user's email, from any workspace.
+export const PendingInvites = ({ user, onAccepted }) => {
+    const [invites, setInvites] = useState([]);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        // firestore.rules only shows invites to verified emails.
+        if (!user.email || !user.emailVerified) return undefined;
+        const q = query(collection(db, 'workspaceInvites'), where('email', '==', user.email.toLowerCase()));
+        const unsubscribe = onSnapshot(q, (querySnapshot) => {
+            setInvites(querySnapshot.docs.map((snap) => ({ id: snap.id, ...snap.data() })));
+        }, (err) => {
+            console.error("Error fetching invites:", err);
+        });
+        return () => unsubscribe();
+    }, [user.email, user.emailVerified]);
+
+    const handleAccept = async (invite) => {
+        setError(null);
+        try {
+            await acceptInvite(user, invite);
+            onAccepted(invite.workspaceId);
+        } catch (err) {
+            console.error("Error accepting invite:", err);
+            setError("Failed to accept the invitation.");
+        }
+    };
+
+    const handleDecline = async (invite) => {
+        setError(null);
+        try {
+            await deleteInvite(invite.id);
+        } catch (err) {
+            console.error("Error declining invite:", err);
+            setError("Failed to decline the invitation.");
+        }
+    };
+
+    if (invites.length === 0) return null;
+
+    return (
+        <Card className="mb-8">
+            <CardContent className="pt-6 space-y-2 text-sm">
+                {invites.map((invite) => (
+                    <div key={invite.id} className="flex items-center justify-between gap-4">
+                        <p><span className="font-medium">{invite.invitedBy}</span> invited you to <span className="font-medium">{invite.workspaceName}</span> as {ROLES[invite.role] || invite.role}.</p>
+                        <div className="flex gap-2 flex-shrink-0"><Button size="sm" onClick={() => handleAccept(invite)}>Accept</Button><Button size="sm" variant="outline" onClick={() => handleDecline(invite)}>Decline</Button></div>
+                    </div>
+                ))}
+                {error && <p className="font-medium text-destructive">{error}</p>}
+            </CardContent>
+        </Card>
+    );
+};
+
+// --- Workspace Card ---
+// Lists the active workspace's members. Owners invite, re-role and remove members;
+// everyone else can leave. Also creates new workspaces.
+const WorkspacePanel = ({ user, workspace, onWorkspaceCreated }) => {
+    const [invites, setInvites] = useState([]);
+    const [inviteEmail, setInviteEmail] = useState('');
+    const [inviteRole, setInviteRole] = useState('editor');
+    const [newWorkspaceName, setNewWorkspaceName] = useState('');
+    const [error, setError] = useState(null);
+
+    const role = getMemberRole(workspace, user.uid);
+    const isOwner = canManageMembers(role);
+    const ownerCount = Object.values(workspace.members).filter((memberRole) => memberRole === 'owner').length;
+
+    useEffect(() => {
+        setInvites([]);
+        if (!isOwner) return undefined;
+        const q = query(collection(db, 'workspaceInvites'), where('workspaceId', '==', workspace.id));
+        const unsubscribe = onSnapshot(q, (querySnapshot) => {
+            setInvites(querySnapshot.docs.map((snap) => ({ id: snap.id, ...snap.data() })));
+        }, (err) => {
+            console.error("Error fetching workspace invites:", err);
+        });
+        return () => unsubscribe();
+    }, [workspace.id, isOwner]);
+
+    // Runs a write and shows `message` if it fails.
+    const run = async (action, message) => {
+        setError(null);
+        try {
+            await action();
+            return true;
+        } catch (err) {
+            console.error(message, err);
+            setError(message);
+            return false;
+        }
+    };
+
+    const handleInvite = async (e) => {
+        e.preventDefault();
+        if (!inviteEmail.trim()) return;
+        if (await run(() => inviteMember(user, workspace, inviteEmail, inviteRole), "Failed to send the invitation.")) setInviteEmail('');
+    };
+
+    const handleCreateWorkspace = async (e) => {
+        e.preventDefault();
+        if (!newWorkspaceName.trim()) return;
+        let workspaceId;
+        if (await run(async () => { workspaceId = await createWorkspace(user, newWorkspaceName.trim()); }, "Failed to create the workspace.")) {
+            setNewWorkspaceName('');
+            onWorkspaceCreated(workspaceId);
+        }
+    };
+
+    return (
+        <Card className="mt-8">
+            <CardHeader><CardTitle>Workspace: {workspace.name}</CardTitle></CardHeader>
+            <CardContent className="space-y-6 text-sm">
+                <div className="space-y-2">
+                    <p className="font-semibold">Members</p>
+                    {Object.entries(workspace.members).map(([uid, memberRole]) => {
+                        const isSelf = uid === user.uid;
+                        // Never let the last owner leave or step down.
+                        const isLastOwner = memberRole === 'owner' && ownerCount === 1;
+                        return (
+                            <div key={uid} className="flex items-center justify-between gap-4">
+                                <span className="truncate">{(workspace.memberEmails && workspace.memberEmails[uid]) || uid}{isSelf && ' (you)'}</span>
+                                <div className="flex items-center gap-2 flex-shrink-0">
+                                    {isOwner && !isLastOwner ? (
+                                        <select aria-label="Role" className={selectClassName} value={memberRole} onChange={(e) => run(() => updateMemberRole(workspace.id, uid, e.target.value), "Failed to change the role.")}>
+                                            {Object.entries(ROLES).map(([value, label]) => (<option key={value} value={value}>{label}</option>))}
+                                        </select>
+                                    ) : (<span className="text-muted-foreground">{ROLES[memberRole] || memberRole}</span>)}
+                                    {(isOwner || isSelf) && !isLastOwner && (
+                                        <Button size="sm" variant="outline" onClick={() => run(() => removeMember(workspace.id, uid), isSelf ? "Failed to leave the workspace." : "Failed to remove the member.")}>{isSelf ? 'Leave' : 'Remove'}</Button>
+                                    )}
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+                {isOwner && (
+                    <div className="space-y-2">
+                        <p className="font-semibold">Invite Members</p>
+                        <form onSubmit={handleInvite} className="flex flex-col sm:flex-row gap-2">
+                            <Input type="email" aria-label="Email" value={inviteEmail} onChange={(e) => setInviteEmail(e.target.value)} placeholder="designer@example.com" />
+                            <select aria-label="Invite role" className={`${selectClassName} h-10`} value={inviteRole} onChange={(e) => setInviteRole(e.target.value)}>
+                                {Object.entries(ROLES).map(([value, label]) => (<option key={value} value={value}>{label}</option>))}
+                            </select>
+                            <Button type="submit">Invite</Button>
+                        </form>
+                        {invites.map((invite) => (
+                            <div key={invite.id} className="flex items-center justify-between gap-4 text-muted-foreground">
+                                <span className="truncate">{invite.email} · {ROLES[invite.role] || invite.role} · pending</span>
+                                <Button size="sm" variant="outline" onClick={() => run(() => deleteInvite(invite.id), "Failed to revoke the invitation.")}>Revoke</Button>
+                            </div>
+                        ))}
+                    </div>
+                )}
+                <form onSubmit={handleCreateWorkspace} className="space-y-2">
+                    <Label htmlFor="newWorkspaceName">New Workspace</Label>
+                    <div className="flex flex-col sm:flex-row gap-2">
+                        <Input id="newWorkspaceName" value={newWorkspaceName} onChange={(e) => setNewWorkspaceName(e.target.value)} placeholder="e.g., Design System" />
+                        <Button type="submit" variant="outline">Create</Button>
+                    </div>
+                </form>
+                {error && <p className="font-medium text-destructive">{error}</p>}
+            </CardContent>
+        </Card>
+    );
+};
+
+export default WorkspacePanel;
@@ -0,0 +1,25 @@
+import React from 'react';
+
+// --- Shadcn UI-style Components ---
+export const Card = ({ className, ...props }) => <div className={`rounded-xl border bg-card text-card-foreground shadow-sm ${className}`} {...props} />;
+export const CardHeader = ({ className, ...props }) => <div className={`flex flex-col space-y-1.5 p-6 ${className}`} {...props} />;
+
+// FIX: Rewrote CardTitle to be more explicit for the linter to prevent jsx-a11y error
+export const CardTitle = ({ className, children, ...props }) => (
+    <h3 className={`text-2xl font-semibold leading-none tracking-tight ${className}`} {...props}>
+        {children}
+    </h3>
+);
+
+export const CardContent = ({ className, ...props }) => <div className={`p-6 pt-0 ${className}`} {...props} />;
+export const Input = React.forwardRef(({ className, ...props }, ref) => <input className={`flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-base ring-offset-background file:border-0 file:bg-transparent file:text-sm file:font-medium placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50 ${className}`} ref={ref} {...props} />);
+export const Button = ({ className, variant = 'default', size = 'default', ...props }) => {
+    const variants = {
+        default: 'bg-primary text-primary-foreground hover:bg-primary/90',
+        destructive: 'bg-destructive text-destructive-foreground hover:bg-destructive/90',
+        outline: 'border border-input bg-background hover:bg-accent hover:text-accent-foreground',
+    };
+    const sizes = { default: 'h-10 px-4 py-2', sm: 'h-9 rounded-md px-3' };
+    return <button className={`inline-flex items-center justify-center rounded-md text-sm font-medium ring-offset-background transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:pointer-events-none disabled:opacity-50 ${variants[variant]} ${sizes[size]} ${className}`} {...props} />;
+};
+export const Label = ({ className, ...props }) => <label className={`text-sm font-medium leading-none peer-disabled:cursor-not-allowed peer-disabled:opacity-70 ${className}`} {...props} />;
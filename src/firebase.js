@@ -0,0 +1,26 @@
+import { initializeApp } from 'firebase/app';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
+
+// --- Firebase Configuration ---
+// It's recommended to use environment variables for security
+const firebaseConfig = process.env.REACT_APP_FIREBASE_CONFIG
+    ? JSON.parse(process.env.REACT_APP_FIREBASE_CONFIG)
+    : {};
+
+// With REACT_APP_STORAGE_BACKEND=local the app runs without a Firebase project
+// (see src/storage), so Firebase is never initialized and `auth`/`db` are null.
+const isFirebaseEnabled = process.env.REACT_APP_STORAGE_BACKEND !== 'local';
+
+// Initialize Firebase
+const app = isFirebaseEnabled ? initializeApp(firebaseConfig) : null;
+const auth = app && getAuth(app);
+const db = app && getFirestore(app); // Initialize Firestore
+
+// Use the local emulators (see firebase.json) to run against test data and the security rules.
+if (app && process.env.REACT_APP_USE_FIREBASE_EMULATORS === 'true') {
+    connectAuthEmulator(auth, 'http://localhost:9099', { disableWarnings: true });
+    connectFirestoreEmulator(db, 'localhost', 8080);
+}
+
+export { app, auth, db, isFirebaseEnabled };
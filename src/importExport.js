@@ -0,0 +1,215 @@
+import { repository } from './storage';
+import { describeChanges, getActor, isSlugTaken } from './componentHistory';
+import {
+    getDefaultBranch,
+    normalizeBranchName,
+    validateBranchRows,
+    branchRowsToMap,
+    branchMapToRows,
+    settleSchedule
+} from './shared/branches';
+import { generateComponentId, validateComponentName } from './shared/components';
+
+// --- Bulk import and export of components ---
+// JSON files hold an array of { id, name, defaultBranch, branches: { name: url } }.
+// CSV files hold one row per branch: id,name,defaultBranch,branch,url.
+// The `id` column is optional on import; it defaults to generateComponentId(name).
+
+export const CSV_COLUMNS = ['id', 'name', 'defaultBranch', 'branch', 'url'];
+
+// Each component costs two writes (document + history entry); Firestore allows 500 per batch.
+const COMPONENTS_PER_BATCH = 200;
+
+const toExportRecord = (component) => ({
+    id: component.id,
+    name: component.name,
+    defaultBranch: getDefaultBranch(component),
+    branches: Object.fromEntries(branchMapToRows(component).map(({ name, url }) => [name, url])),
+});
+
+export const exportToJson = (components) => JSON.stringify(components.map(toExportRecord), null, 2);
+
+// Spreadsheets run cells that start with one of these as formulas, so exported names and URLs
+// could run code when the file is opened. Such cells are exported with a leading ' instead.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvValue = (value) => {
+    const raw = String(value === null || value === undefined ? '' : value);
+    const text = FORMULA_PREFIX.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Removes the ' that escapeCsvValue adds, so exported files import unchanged.
+const unescapeCsvValue = (text) => (text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text);
+
+export const exportToCsv = (components) => {
+    const lines = [CSV_COLUMNS.join(',')];
+    components.map(toExportRecord).forEach((record) => {
+        Object.entries(record.branches).forEach(([branch, url]) => {
+            lines.push([record.id, record.name, record.defaultBranch, branch, url].map(escapeCsvValue).join(','));
+        });
+    });
+    return lines.join('\n') + '\n';
+};
+
+/**
+ * Parses CSV text into an array of rows (arrays of strings). Handles quoted fields,
+ * escaped quotes and newlines inside quotes.
+ */
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else field += char;
+        } else if (char === '"') inQuotes = true;
+        else if (char === ',') { row.push(field); field = ''; }
+        else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else field += char;
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter((cells) => cells.some((cell) => cell.trim()));
+};
+
+/**
+ * Parses an import file into component records with the source row numbers they came from.
+ * Throws an Error with a readable message if the file can't be read at all.
+ */
+export const parseImportFile = (text, fileName) => {
+    if (/\.json$/i.test(fileName)) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new Error(`The file is not valid JSON: ${err.message}`);
+        }
+        if (!Array.isArray(data)) throw new Error('A JSON import must be an array of components.');
+        return data.map((item, index) => ({
+            rows: [index + 1],
+            id: item && item.id,
+            name: item && item.name,
+            defaultBranch: item && item.defaultBranch,
+            branchRows: Object.entries((item && item.branches) || {}).map(([name, url]) => ({ name, url: String(url || '') })),
+        }));
+    }
+
+    const [header, ...rows] = parseCsv(text);
+    if (!header) throw new Error('The CSV file is empty.');
+    const columns = header.map((cell) => cell.trim());
+    const missing = ['name', 'branch', 'url'].filter((column) => !columns.includes(column));
+    if (missing.length) throw new Error(`The CSV file is missing the column(s): ${missing.join(', ')}.`);
+
+    // Group branch rows by component; row numbers are 1-based and count the header.
+    const records = new Map();
+    rows.forEach((cells, index) => {
+        const value = (column) => unescapeCsvValue(cells[columns.indexOf(column)] || '').trim();
+        const key = value('id') || generateComponentId(value('name')) || `row-${index}`;
+        if (!records.has(key)) records.set(key, { rows: [], id: value('id'), name: value('name'), defaultBranch: value('defaultBranch'), branchRows: [] });
+        const record = records.get(key);
+        record.rows.push(index + 2);
+        if (!record.defaultBranch && value('defaultBranch')) record.defaultBranch = value('defaultBranch');
+        record.branchRows.push({ name: value('branch'), url: value('url') });
+    });
+    return [...records.values()];
+};
+
+/**
+ * Compares parsed records with the workspace's components and classifies each one as
+ * 'new', 'changed', 'unchanged', 'collision' or 'invalid'. Slugs that aren't among the
+ * workspace's components are looked up in Firestore to catch components in other workspaces.
+ */
+export const buildImportPlan = async (records, components, user, workspace) => {
+    const existing = new Map(components.map((component) => [component.id, component]));
+    const items = records.map((record) => {
+        const name = String(record.name || '').trim();
+        const id = generateComponentId(String(record.id || '').trim()) || generateComponentId(name);
+        const item = { rows: record.rows, id, name, status: 'new', messages: [], changes: [] };
+
+        const nameError = validateComponentName(name);
+        if (nameError) item.messages.push(nameError);
+        const branchError = validateBranchRows(record.branchRows);
+        if (branchError) item.messages.push(branchError);
+        if (item.messages.length) return { ...item, status: 'invalid' };
+
+        const branches = branchRowsToMap(record.branchRows);
+        item.data = { workspaceId: workspace.id, createdBy: user.uid, name, branches, defaultBranch: getDefaultBranch({ branches, defaultBranch: normalizeBranchName(record.defaultBranch) }) };
+        return item;
+    });
+
+    // Different names in the same file that map to the same slug.
+    const byId = new Map();
+    items.filter((item) => item.id).forEach((item) => byId.set(item.id, [...(byId.get(item.id) || []), item]));
+    byId.forEach((group, id) => {
+        if (group.length < 2) return;
+        group.forEach((item) => {
+            item.status = 'collision';
+            item.messages.push(`Rows ${group.map((other) => other.rows.join(', ')).join(' and ')} all map to the slug '${id}'.`);
+        });
+    });
+
+    const toLookup = items.filter((item) => item.status === 'new' && !existing.has(item.id));
+    const taken = await Promise.all(toLookup.map((item) => isSlugTaken(item.id)));
+    taken.forEach((isTaken, index) => {
+        if (!isTaken) return;
+        toLookup[index].status = 'collision';
+        toLookup[index].messages.push(`The slug '${toLookup[index].id}' is already taken, by a component in another workspace or by an alias.`);
+    });
+
+    items.filter((item) => item.status === 'new' && existing.has(item.id)).forEach((item) => {
+        const current = existing.get(item.id);
+        const { id, ...currentData } = current;
+        item.before = current;
+        item.data = { ...settleSchedule(currentData), name: item.name, branches: item.data.branches, defaultBranch: item.data.defaultBranch };
+        item.changes = describeChanges(settleSchedule(currentData), item.data);
+        item.status = item.changes.length ? 'changed' : 'unchanged';
+    });
+    return items;
+};
+
+const commitItems = (user, items) => repository.saveComponents(items.map((item) => (
+    item.status === 'new'
+        ? { id: item.id, action: 'create', before: null, after: item.data }
+        : { id: item.id, action: 'update', before: item.before, after: item.data }
+)), getActor(user));
+
+/**
+ * Writes every 'new' and 'changed' item in batches. If a batch fails, its items are
+ * retried one by one so failures can be reported per row.
+ * Returns [{ rows, id, ok, error }] for each applied item.
+ */
+export const applyImportPlan = async (user, items, onProgress = () => {}) => {
+    const toApply = items.filter((item) => item.status === 'new' || item.status === 'changed');
+    const results = [];
+    for (let start = 0; start < toApply.length; start += COMPONENTS_PER_BATCH) {
+        const chunk = toApply.slice(start, start + COMPONENTS_PER_BATCH);
+        try {
+            await commitItems(user, chunk);
+            chunk.forEach((item) => results.push({ rows: item.rows, id: item.id, ok: true }));
+        } catch (batchError) {
+            console.error("Import batch failed, retrying row by row:", batchError);
+            for (const item of chunk) {
+                try {
+                    await commitItems(user, [item]);
+                    results.push({ rows: item.rows, id: item.id, ok: true });
+                } catch (err) {
+                    results.push({ rows: item.rows, id: item.id, ok: false, error: err.message });
+                }
+            }
+        }
+        onProgress(Math.min(start + chunk.length, toApply.length), toApply.length);
+    }
+    return results;
+};
@@ -0,0 +1,38 @@
+import { exportToCsv, parseCsv, parseImportFile } from './importExport';
+
+const FILE_URL = 'https://www.figma.com/design/abc123/Library';
+
+describe('exportToCsv', () => {
+  it('quotes commas, quotes and newlines', () => {
+    const csv = exportToCsv([{ id: 'button', name: 'Button, "Primary"', branches: { main: FILE_URL } }]);
+    expect(parseCsv(csv)).toEqual([
+      ['id', 'name', 'defaultBranch', 'branch', 'url'],
+      ['button', 'Button, "Primary"', 'main', 'main', FILE_URL],
+    ]);
+  });
+
+  it('keeps spreadsheets from running cells as formulas', () => {
+    const names = ['=HYPERLINK("https://evil.example.com")', '+1', '-1', '@SUM(A1)', '\tTab', '\rReturn'];
+    const [, ...rows] = parseCsv(exportToCsv(names.map((name, index) => ({ id: `c${index}`, name, branches: { main: FILE_URL } }))));
+    expect(rows.map((row) => row[1])).toEqual(names.map((name) => `'${name}`));
+  });
+});
+
+describe('parseImportFile', () => {
+  it('reads back what was exported, formula escapes included', () => {
+    const components = [
+      { id: 'button', name: '=Button', defaultBranch: 'latest', branches: { main: FILE_URL, latest: FILE_URL } },
+      { id: 'card', name: "'Quoted' card", branches: { main: FILE_URL } },
+    ];
+    expect(parseImportFile(exportToCsv(components), 'components.csv')).toEqual([
+      { rows: [2, 3], id: 'button', name: '=Button', defaultBranch: 'latest', branchRows: [{ name: 'main', url: FILE_URL }, { name: 'latest', url: FILE_URL }] },
+      { rows: [4], id: 'card', name: "'Quoted' card", defaultBranch: 'main', branchRows: [{ name: 'main', url: FILE_URL }] },
+    ]);
+  });
+
+  it('explains files it cannot read', () => {
+    expect(() => parseImportFile('', 'components.csv')).toThrow('The CSV file is empty.');
+    expect(() => parseImportFile('id,name\n', 'components.csv')).toThrow('The CSV file is missing the column(s): branch, url.');
+    expect(() => parseImportFile('{', 'components.json')).toThrow(/^The file is not valid JSON/);
+  });
+});
@@ -0,0 +1,21 @@
+import { auth } from './firebase';
+
+// --- Manual link health re-checks ---
+// The check itself runs in api/health.js; its result is written to the component, so the
+// dashboard picks it up through the normal component subscription.
+
+/**
+ * Re-checks every branch of one component now. Resolves with the run summary from api/health.js.
+ */
+export const requestHealthCheck = async (componentId) => {
+    const headers = {};
+    // Local storage mode has no Firebase Auth; the dev server checks without a token.
+    if (auth && auth.currentUser) headers.Authorization = `Bearer ${await auth.currentUser.getIdToken()}`;
+
+    const response = await fetch(`/api/health?id=${encodeURIComponent(componentId)}`, { method: 'POST', headers });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error((body.error && body.error.message) || `Health check failed with status ${response.status}.`);
+    }
+    return body;
+};
@@ -0,0 +1,69 @@
+import QRCode from 'qrcode';
+
+// --- Sharing pretty links ---
+// Copy formats for docs, chat and slides, and QR codes for printed review sheets.
+// Badges are served by the /r/ function (see src/shared/badges.js).
+
+const QR_OPTIONS = { errorCorrectionLevel: 'M', margin: 2 };
+const QR_PNG_WIDTH = 512;
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const escapeMarkdown = (value) => String(value).replace(/([\\[\]])/g, '\\$1');
+
+// Slack's mrkdwn only needs &, < and > escaped; a | would end the URL part of a link.
+const escapeSlack = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * The ways a pretty link can be copied. Each format turns { title, link, badgeUrl } into text;
+ * `html` formats are also copied as rich text, so they paste as a link into docs and slides.
+ */
+export const COPY_FORMATS = {
+    link: { label: 'Link', format: ({ link }) => link },
+    markdown: { label: 'Markdown', format: ({ title, link }) => `[${escapeMarkdown(title)}](${link})` },
+    html: { label: 'HTML', html: true, format: ({ title, link }) => `<a href="${escapeHtml(link)}">${escapeHtml(title)}</a>` },
+    slack: { label: 'Slack', format: ({ title, link }) => `<${link.replace(/\|/g, '%7C')}|${escapeSlack(title)}>` },
+    badge: { label: 'Badge (Markdown)', format: ({ title, link, badgeUrl }) => `[![${escapeMarkdown(title)}](${badgeUrl})](${link})` },
+};
+
+/**
+ * Copies text with the Clipboard API. With `html`, the text is copied as rich text too, where the
+ * browser supports it.
+ */
+export const copyText = async (text, { html = false } = {}) => {
+    if (!navigator.clipboard) throw new Error('The Clipboard API is not available in this browser.');
+    if (html && window.ClipboardItem && navigator.clipboard.write) {
+        await navigator.clipboard.write([new window.ClipboardItem({
+            'text/html': new Blob([text], { type: 'text/html' }),
+            'text/plain': new Blob([text], { type: 'text/plain' }),
+        })]);
+        return;
+    }
+    await navigator.clipboard.writeText(text);
+};
+
+/**
+ * A QR code for the link as a PNG data URL, for previews and downloads.
+ */
+export const getQrCodePng = (link) => QRCode.toDataURL(link, { ...QR_OPTIONS, width: QR_PNG_WIDTH });
+
+/**
+ * A QR code for the link as SVG markup, which prints sharply at any size.
+ */
+export const getQrCodeSvg = (link) => QRCode.toString(link, { ...QR_OPTIONS, type: 'svg' });
+
+/**
+ * Saves `href` (a data or object URL) as a file.
+ */
+export const downloadUrl = (href, fileName) => {
+    const link = document.createElement('a');
+    link.href = href;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+};
@@ -0,0 +1,100 @@
+// Hooks for the local dev server. react-scripts loads this file itself when running
+// `npm start`; it is never part of the browser bundle.
+//
+// With REACT_APP_STORAGE_BACKEND=local it serves what Vercel serves in production, so the
+// whole app runs offline on top of one JSON file:
+//   GET  /r/*                      the redirect function (api/r/[...slug].js)
+//   POST /api/reports              broken-link reports from the "link not found" page (api/reports.js)
+//   POST /api/health?id=<id>       link health re-checks (like api/health.js, but without sign-in)
+//   POST /api/webhooks             webhook tests and retries (like api/webhooks.js, but without sign-in)
+//   POST /__local/storage/:method  the storage endpoint used by src/storage/httpRepository.js
+const { REPOSITORY_METHODS } = require('./shared/storage/repository');
+
+// Storage methods that write a history entry; webhooks are run right after them.
+const CHANGE_METHODS = ['saveComponents', 'deleteComponent', 'restoreDeletedComponent'];
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(body ? JSON.parse(body) : []);
+    } catch (error) {
+      reject(error);
+    }
+  });
+  req.on('error', reject);
+});
+
+module.exports = function setupProxy(app) {
+  if (process.env.REACT_APP_STORAGE_BACKEND !== 'local') return;
+
+  // The functions pick their backend from STORAGE_BACKEND; default to the JSON file.
+  process.env.STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'file';
+  const { getComponentRepository } = require('../api/_lib/storage');
+  const redirectHandler = require('../api/r/[...slug]');
+  const reportsHandler = require('../api/reports');
+  const { runHealthCheck } = require('../api/_lib/linkHealth');
+  const { runWebhooks, sendTestDelivery, retryDelivery } = require('../api/_lib/webhooks');
+
+  // Stands in for the webhook cron job, so retries go out while nothing else happens.
+  const runLocalWebhooks = () => runWebhooks(getComponentRepository(), { baseUrl: `http://localhost:${process.env.PORT || 3000}` })
+    .catch((error) => console.error('Local webhook run failed:', error));
+
+  app.post('/__local/storage/:method', async (req, res) => {
+    const { method } = req.params;
+    if (!REPOSITORY_METHODS.includes(method)) {
+      return res.status(404).json({ error: `Unknown storage method '${method}'.` });
+    }
+    try {
+      const args = await readJsonBody(req);
+      const result = await getComponentRepository()[method](...args);
+      if (CHANGE_METHODS.includes(method)) runLocalWebhooks();
+      return res.json({ result: result === undefined ? null : result });
+    } catch (error) {
+      console.error(`Local storage method '${method}' failed:`, error);
+      return res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.post('/api/reports', reportsHandler);
+
+  // There is no cron job locally; POST without ?id to check everything.
+  app.post('/api/health', async (req, res) => {
+    try {
+      const ids = req.query.id ? [String(req.query.id)] : undefined;
+      return res.json(await runHealthCheck(getComponentRepository(), { ids }));
+    } catch (error) {
+      console.error('Local health check failed:', error);
+      return res.status(500).json({ error: { code: 'internal_error', message: error.message } });
+    }
+  });
+
+  setInterval(runLocalWebhooks, 60 * 1000).unref();
+
+  app.post('/api/webhooks', async (req, res) => {
+    const repository = getComponentRepository();
+    const options = { baseUrl: `${req.protocol}://${req.get('host')}` };
+    const notFound = (what, id) => res.status(404).json({ error: { code: 'not_found', message: `${what} '${id}' was not found.` } });
+    try {
+      if (req.query.test) {
+        const webhook = await repository.getWebhook(String(req.query.test));
+        return webhook ? res.json({ status: await sendTestDelivery(repository, webhook, options) }) : notFound('Webhook', req.query.test);
+      }
+      if (req.query.retry) {
+        const delivery = await repository.getWebhookDelivery(String(req.query.retry));
+        return delivery ? res.json({ status: await retryDelivery(repository, delivery, options) }) : notFound('Delivery', req.query.retry);
+      }
+      return res.status(400).json({ error: { code: 'missing_id', message: 'Pass ?test=<webhook-id> or ?retry=<delivery-id>.' } });
+    } catch (error) {
+      console.error('Local webhook run failed:', error);
+      return res.status(500).json({ error: { code: 'internal_error', message: error.message } });
+    }
+  });
+
+  // Vercel passes the path segments after /r/ to the function as `req.query.slug`.
+  app.get('/r/*', (req, res) => {
+    req.query.slug = req.params[0].split('/').filter(Boolean);
+    return redirectHandler(req, res);
+  });
+};
@@ -0,0 +1,12 @@
+// API token constants shared by the dashboard and the admin API.
+
+// Tokens look like "frm_<43 base64url characters>". Only a SHA-256 hash of the token
+// is stored, as the document ID in the 'apiTokens' collection.
+const API_TOKEN_PREFIX = 'frm_';
+
+const API_TOKEN_SCOPES = {
+  read: 'Read only',
+  'read-write': 'Read & write',
+};
+
+module.exports = { API_TOKEN_PREFIX, API_TOKEN_SCOPES };
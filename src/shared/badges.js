@@ -0,0 +1,61 @@
+// Embeddable SVG badges for pretty links, served by the /r/ function at /r/<slug>[/<branch>]/badge.svg.
+const BADGE_FILE_NAME = 'badge.svg';
+
+const BADGE_COLORS = {
+  label: '#555',
+  branch: '#16a34a',
+  missing: '#dc2626',
+};
+
+const LABEL_MAX_LENGTH = 40;
+
+/**
+ * The badge path for a pretty link, e.g. /r/button/main/badge.svg. Without a branch the
+ * badge shows the component's default branch.
+ */
+const getBadgePath = (slug, branch) => `/r/${[slug, branch, BADGE_FILE_NAME].filter(Boolean).map(encodeURIComponent).join('/')}`;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const truncate = (text) => (text.length > LABEL_MAX_LENGTH ? `${text.slice(0, LABEL_MAX_LENGTH - 1)}…` : text);
+
+// Rough widths of 11px Verdana, which badges are drawn in. Close enough to size the boxes.
+const getTextWidth = (text) => Array.from(text).reduce((width, char) => {
+  if (/[ijlt.,:;'|!]/.test(char)) return width + 3.5;
+  if (/[mwMW@]/.test(char)) return width + 10;
+  if (/[A-Z0-9]/.test(char)) return width + 7.5;
+  return width + 6.5;
+}, 0);
+
+/**
+ * A shields.io-style badge: the component name on the left, the branch (or `message`) on the right.
+ * Pass `missing: true` for a link that doesn't resolve; the message is drawn in red.
+ */
+const renderBadge = ({ label, message, missing = false }) => {
+  const left = truncate(String(label));
+  const right = truncate(String(message));
+  const leftWidth = Math.round(getTextWidth(left) + 20);
+  const rightWidth = Math.round(getTextWidth(right) + 20);
+  const width = leftWidth + rightWidth;
+  const title = escapeXml(`${left}: ${right}`);
+  const text = (value, x) => `<text x="${x}" y="15" fill="#010101" fill-opacity=".3">${escapeXml(value)}</text><text x="${x}" y="14">${escapeXml(value)}</text>`;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${title}">`
+    + `<title>${title}</title>`
+    + '<linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>'
+    + `<clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>`
+    + `<g clip-path="url(#r)"><rect width="${leftWidth}" height="20" fill="${BADGE_COLORS.label}"/>`
+    + `<rect x="${leftWidth}" width="${rightWidth}" height="20" fill="${missing ? BADGE_COLORS.missing : BADGE_COLORS.branch}"/>`
+    + `<rect width="${width}" height="20" fill="url(#s)"/></g>`
+    + '<g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">'
+    + `${text(left, leftWidth / 2)}${text(right, leftWidth + rightWidth / 2)}</g></svg>`;
+};
+
+module.exports = {
+  BADGE_FILE_NAME,
+  getBadgePath,
+  renderBadge,
+};
@@ -0,0 +1,30 @@
+import { getBadgePath, renderBadge } from './badges';
+
+describe('getBadgePath', () => {
+  it('links the default branch or a named one', () => {
+    expect(getBadgePath('button')).toBe('/r/button/badge.svg');
+    expect(getBadgePath('button', 'rc-2')).toBe('/r/button/rc-2/badge.svg');
+  });
+});
+
+describe('renderBadge', () => {
+  it('shows the label and the branch in green', () => {
+    expect(renderBadge({ label: 'Button', message: 'main' })).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg".*<title>Button: main<\/title>.*fill="#16a34a"/);
+  });
+
+  it('draws a missing link in red', () => {
+    expect(renderBadge({ label: 'nope', message: 'not found', missing: true })).toContain('fill="#dc2626"');
+  });
+
+  it('escapes names so they cannot inject markup', () => {
+    const label = '<script>alert("x")</script> & co';
+    expect(renderBadge({ label, message: 'main' })).not.toContain('<script>');
+    expect(renderBadge({ label, message: 'main' })).toContain('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; co');
+  });
+
+  it('truncates long names and widens for longer text', () => {
+    expect(renderBadge({ label: 'x'.repeat(100), message: 'main' })).toMatch(new RegExp(`>${'x'.repeat(39)}…<`));
+    const width = (badge) => Number(badge.match(/width="(\d+)"/)[1]);
+    expect(width(renderBadge({ label: 'Button', message: 'main' }))).toBeLessThan(width(renderBadge({ label: 'Range Slider Filter', message: 'main' })));
+  });
+});
@@ -0,0 +1,210 @@
+// Branch helpers shared by the React app and the /r/ serverless function.
+const { BADGE_FILE_NAME } = require('./badges');
+const { isValidTargetUrl } = require('./components');
+const { normalizeFigmaUrl } = require('./figmaUrls');
+
+// Branches created before named branches existed.
+const LEGACY_BRANCH_FIELDS = { main: 'mainUrl', latest: 'latestUrl' };
+const DEFAULT_BRANCH = 'main';
+
+// /r/<slug>/badge.svg is the link's badge, so no branch can have that name.
+const RESERVED_BRANCH_NAMES = [BADGE_FILE_NAME];
+
+/**
+ * Normalizes a user-entered branch name into a URL-safe path segment,
+ * e.g. "RC 2" -> "rc-2". Uses the same rules as component IDs.
+ */
+const normalizeBranchName = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9._-]/g, '');
+
+/**
+ * Returns every named branch of a component document as a { name: url } map.
+ * Legacy `mainUrl`/`latestUrl` fields are folded in, but an entry in `branches` wins.
+ */
+const getBranches = (data) => {
+  const branches = {};
+  if (!data) return branches;
+
+  Object.entries(LEGACY_BRANCH_FIELDS).forEach(([name, field]) => {
+    if (data[field]) branches[name] = data[field];
+  });
+  Object.entries(data.branches || {}).forEach(([name, url]) => {
+    if (url) branches[name] = url;
+  });
+  return branches;
+};
+
+/**
+ * Returns the branch used when a pretty link has no branch segment (/r/<id>).
+ * Falls back to 'main', then to the first branch, if `defaultBranch` is unset or stale.
+ */
+const getDefaultBranch = (data) => {
+  const branches = getBranches(data);
+  if (data && data.defaultBranch && branches[data.defaultBranch]) return data.defaultBranch;
+  if (branches[DEFAULT_BRANCH]) return DEFAULT_BRANCH;
+  return Object.keys(branches)[0] || null;
+};
+
+// --- Scheduled target changes ---
+// A component's `schedule` is a list of { id, type, branch, url, startsAt, endsAt } entries:
+//   - 'switch' permanently points `branch` at `url` from `startsAt` on.
+//   - 'override' points `branch` at `url` only between `startsAt` and `endsAt`.
+// Times are stored as epoch milliseconds so every storage backend can hold them; entries
+// scheduled before that are Firestore Timestamps (client or admin SDK).
+
+const SCHEDULE_TYPES = ['switch', 'override'];
+
+/**
+ * Converts a Firestore Timestamp, Date or number into epoch milliseconds.
+ */
+const toMillis = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return value;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  return null;
+};
+
+const isStarted = (entry, now) => toMillis(entry.startsAt) <= now;
+const isEnded = (entry, now) => entry.type === 'override' && toMillis(entry.endsAt) <= now;
+
+const byStartTime = (a, b) => toMillis(a.startsAt) - toMillis(b.startsAt);
+
+/**
+ * Returns the branches in effect at `now`: stored branches, then every switch that has
+ * started, then every override that is currently active. Later start times win.
+ * Pass `includeOverrides: false` to get the branches that remain once overrides expire.
+ */
+const getActiveBranches = (data, now = Date.now(), { includeOverrides = true } = {}) => {
+  const branches = getBranches(data);
+  const schedule = ((data && data.schedule) || []).filter((entry) => isStarted(entry, now)).sort(byStartTime);
+
+  schedule.filter((entry) => entry.type === 'switch').forEach((entry) => { branches[entry.branch] = entry.url; });
+  if (includeOverrides) {
+    schedule.filter((entry) => entry.type === 'override' && !isEnded(entry, now)).forEach((entry) => { branches[entry.branch] = entry.url; });
+  }
+  return branches;
+};
+
+/**
+ * Returns the schedule entries that still matter at `now`, earliest first:
+ * switches that have not started yet and overrides that have not ended yet.
+ */
+const getPendingSchedule = (schedule, now = Date.now()) => (schedule || [])
+  .filter((entry) => (entry.type === 'switch' ? !isStarted(entry, now) : !isEnded(entry, now)))
+  .sort(byStartTime);
+
+/**
+ * Returns the next time (epoch ms) after `now` at which a scheduled switch starts or an
+ * override starts or ends, i.e. when the branches /r/ serves next change. Null if never.
+ */
+const getNextScheduleChange = (schedule, now = Date.now()) => {
+  const times = getPendingSchedule(schedule, now)
+    .flatMap((entry) => [toMillis(entry.startsAt), entry.type === 'override' ? toMillis(entry.endsAt) : null])
+    .filter((time) => time !== null && time > now);
+  return times.length ? Math.min(...times) : null;
+};
+
+/**
+ * Folds switches that have already started into `branches` and drops finished entries,
+ * so a document can be saved without losing the state the /r/ handler currently serves.
+ * Legacy `mainUrl`/`latestUrl` fields are migrated into `branches` on the way.
+ */
+const settleSchedule = (data, now = Date.now()) => {
+  const { mainUrl, latestUrl, ...rest } = data;
+  return {
+    ...rest,
+    branches: getActiveBranches(data, now, { includeOverrides: false }),
+    schedule: getPendingSchedule(data.schedule, now),
+  };
+};
+
+/**
+ * Validates a schedule entry before it is saved.
+ * Returns an error message, or null if the entry can be saved.
+ */
+const validateScheduleEntry = (entry, now = Date.now()) => {
+  if (!SCHEDULE_TYPES.includes(entry.type)) return `Schedule type must be one of: ${SCHEDULE_TYPES.join(', ')}.`;
+  if (!normalizeBranchName(entry.branch)) return 'A scheduled change needs a branch name.';
+  if (RESERVED_BRANCH_NAMES.includes(normalizeBranchName(entry.branch))) return `'${normalizeBranchName(entry.branch)}' is reserved and can't be a branch name.`;
+  if (!String(entry.url || '').trim()) return 'A scheduled change needs a URL.';
+  if (!isValidTargetUrl(entry.url)) return 'A scheduled change needs a valid http(s) URL.';
+  const startsAt = toMillis(entry.startsAt);
+  if (!Number.isFinite(startsAt)) return 'A scheduled change needs a start time.';
+  if (entry.type === 'switch' && startsAt <= now) return 'A scheduled switch must start in the future.';
+  if (entry.type === 'override') {
+    const endsAt = toMillis(entry.endsAt);
+    if (!Number.isFinite(endsAt)) return 'An override needs an end time.';
+    if (endsAt <= startsAt) return 'An override must end after it starts.';
+    if (endsAt <= now) return 'An override must end in the future.';
+  }
+  return null;
+};
+
+/**
+ * Resolves the target URL for a branch, or for the default branch when `branch` is empty.
+ * Scheduled switches and overrides that are active at `now` are applied.
+ * Returns null if the component has no such branch.
+ */
+const resolveBranchUrl = (data, branch, now = Date.now()) => {
+  const branchName = branch || getDefaultBranch(data);
+  if (!branchName) return null;
+  return getActiveBranches(data, now)[branchName] || null;
+};
+
+/**
+ * Validates a list of { name, url } rows from the add/edit forms.
+ * Returns an error message, or null if the rows can be saved.
+ */
+const validateBranchRows = (rows) => {
+  if (!rows.length) return 'Add at least one branch.';
+  const seen = new Set();
+  for (const row of rows) {
+    const name = normalizeBranchName(row.name);
+    if (!name) return 'Every branch needs a name.';
+    if (RESERVED_BRANCH_NAMES.includes(name)) return `'${name}' is reserved and can't be a branch name.`;
+    if (!String(row.url || '').trim()) return `Branch '${name}' needs a URL.`;
+    if (!isValidTargetUrl(row.url)) return `Branch '${name}' needs a valid http(s) URL.`;
+    if (seen.has(name)) return `Branch '${name}' is listed more than once.`;
+    seen.add(name);
+  }
+  return null;
+};
+
+/**
+ * Converts form rows into the `branches` map stored on the component document.
+ * Figma URLs are normalized on the way (see normalizeFigmaUrl).
+ */
+const branchRowsToMap = (rows) => rows.reduce((branches, row) => {
+  branches[normalizeBranchName(row.name)] = normalizeFigmaUrl(row.url);
+  return branches;
+}, {});
+
+/**
+ * Converts a component document into form rows, keeping 'main' and 'latest' first.
+ */
+const branchMapToRows = (data) => {
+  const branches = getBranches(data);
+  const legacyNames = Object.keys(LEGACY_BRANCH_FIELDS).filter((name) => branches[name]);
+  const otherNames = Object.keys(branches).filter((name) => !LEGACY_BRANCH_FIELDS[name]).sort();
+  return [...legacyNames, ...otherNames].map((name) => ({ name, url: branches[name] }));
+};
+
+module.exports = {
+  LEGACY_BRANCH_FIELDS,
+  DEFAULT_BRANCH,
+  RESERVED_BRANCH_NAMES,
+  normalizeBranchName,
+  getBranches,
+  getDefaultBranch,
+  SCHEDULE_TYPES,
+  toMillis,
+  getActiveBranches,
+  getPendingSchedule,
+  getNextScheduleChange,
+  settleSchedule,
+  validateScheduleEntry,
+  resolveBranchUrl,
+  validateBranchRows,
+  branchRowsToMap,
+  branchMapToRows,
+};
@@ -0,0 +1,143 @@
+import {
+  normalizeBranchName,
+  getBranches,
+  getDefaultBranch,
+  validateBranchRows,
+  branchRowsToMap,
+  branchMapToRows,
+  resolveBranchUrl,
+  getActiveBranches,
+  getNextScheduleChange,
+  settleSchedule,
+  validateScheduleEntry,
+} from './branches';
+
+const FILE_URL = 'https://www.figma.com/design/abc123/Library';
+const BRANCH_URL = 'https://www.figma.com/design/abc123/branch/def456/Library';
+const REVIEW_URL = 'https://www.figma.com/design/abc123/branch/ghi789/Library';
+const T0 = Date.UTC(2024, 4, 1, 9, 0);
+const HOUR = 60 * 60 * 1000;
+
+describe('normalizeBranchName', () => {
+  it('makes branch names URL-safe', () => {
+    expect(normalizeBranchName('  RC 2 ')).toBe('rc-2');
+    expect(normalizeBranchName('v1.2/beta!')).toBe('v1.2beta');
+    expect(normalizeBranchName(undefined)).toBe('');
+  });
+});
+
+describe('getBranches', () => {
+  it('folds legacy mainUrl/latestUrl fields in, with `branches` winning', () => {
+    expect(getBranches({ mainUrl: FILE_URL, latestUrl: FILE_URL, branches: { latest: BRANCH_URL, rc: BRANCH_URL } }))
+      .toEqual({ main: FILE_URL, latest: BRANCH_URL, rc: BRANCH_URL });
+  });
+
+  it('skips branches without a URL', () => {
+    expect(getBranches({ branches: { main: FILE_URL, draft: '' } })).toEqual({ main: FILE_URL });
+  });
+});
+
+describe('getDefaultBranch', () => {
+  it('uses defaultBranch when that branch exists', () => {
+    expect(getDefaultBranch({ branches: { main: FILE_URL, rc: BRANCH_URL }, defaultBranch: 'rc' })).toBe('rc');
+  });
+
+  it('falls back to main, then to the first branch', () => {
+    expect(getDefaultBranch({ branches: { rc: BRANCH_URL, main: FILE_URL }, defaultBranch: 'gone' })).toBe('main');
+    expect(getDefaultBranch({ branches: { rc: BRANCH_URL } })).toBe('rc');
+    expect(getDefaultBranch({ branches: {} })).toBeNull();
+  });
+});
+
+describe('resolveBranchUrl', () => {
+  const data = { branches: { main: FILE_URL, rc: BRANCH_URL }, defaultBranch: 'rc' };
+
+  it('resolves a named branch, or the default one', () => {
+    expect(resolveBranchUrl(data, 'main')).toBe(FILE_URL);
+    expect(resolveBranchUrl(data, '')).toBe(BRANCH_URL);
+  });
+
+  it('returns null for an unknown branch', () => {
+    expect(resolveBranchUrl(data, 'nope')).toBeNull();
+    expect(resolveBranchUrl({ branches: {} }, '')).toBeNull();
+  });
+});
+
+describe('scheduled changes', () => {
+  // `latest` moves to the RC branch at T0 + 1h; `main` shows the review file from T0 + 2h to T0 + 3h.
+  const data = {
+    mainUrl: FILE_URL,
+    branches: { latest: FILE_URL },
+    schedule: [
+      { id: 'review', type: 'override', branch: 'main', url: REVIEW_URL, startsAt: T0 + 2 * HOUR, endsAt: T0 + 3 * HOUR },
+      { id: 'release', type: 'switch', branch: 'latest', url: BRANCH_URL, startsAt: new Date(T0 + HOUR) },
+    ],
+  };
+
+  it('applies switches once they start and overrides while they run', () => {
+    expect(getActiveBranches(data, T0)).toEqual({ main: FILE_URL, latest: FILE_URL });
+    expect(getActiveBranches(data, T0 + HOUR)).toEqual({ main: FILE_URL, latest: BRANCH_URL });
+    expect(resolveBranchUrl(data, 'main', T0 + 2 * HOUR)).toBe(REVIEW_URL);
+    expect(resolveBranchUrl(data, 'main', T0 + 3 * HOUR)).toBe(FILE_URL);
+    expect(getActiveBranches(data, T0 + 2 * HOUR, { includeOverrides: false })).toEqual({ main: FILE_URL, latest: BRANCH_URL });
+  });
+
+  it('lets the later of two started switches win', () => {
+    const switches = { branches: { main: FILE_URL }, schedule: [
+      { id: 'b', type: 'switch', branch: 'main', url: REVIEW_URL, startsAt: T0 + 2 * HOUR },
+      { id: 'a', type: 'switch', branch: 'main', url: BRANCH_URL, startsAt: T0 + HOUR },
+    ] };
+    expect(resolveBranchUrl(switches, 'main', T0 + 3 * HOUR)).toBe(REVIEW_URL);
+  });
+
+  it('settles started switches into the branches and drops finished entries', () => {
+    const settled = settleSchedule(data, T0 + 2 * HOUR);
+    expect(settled.branches).toEqual({ main: FILE_URL, latest: BRANCH_URL });
+    expect(settled).not.toHaveProperty('mainUrl');
+    expect(settled.schedule.map((entry) => entry.id)).toEqual(['review']);
+    expect(settleSchedule(data, T0 + 3 * HOUR).schedule).toEqual([]);
+  });
+
+  it('finds the next time the served branches change', () => {
+    expect(getNextScheduleChange(data.schedule, T0)).toBe(T0 + HOUR);
+    expect(getNextScheduleChange(data.schedule, T0 + HOUR)).toBe(T0 + 2 * HOUR);
+    expect(getNextScheduleChange(data.schedule, T0 + 2 * HOUR)).toBe(T0 + 3 * HOUR);
+    expect(getNextScheduleChange(data.schedule, T0 + 3 * HOUR)).toBeNull();
+    expect(getNextScheduleChange(undefined, T0)).toBeNull();
+  });
+
+  it('validates entries before they are saved', () => {
+    const entry = { type: 'override', branch: 'main', url: REVIEW_URL, startsAt: T0 + HOUR, endsAt: T0 + 2 * HOUR };
+    expect(validateScheduleEntry(entry, T0)).toBeNull();
+    expect(validateScheduleEntry({ ...entry, type: 'revert' }, T0)).toBe('Schedule type must be one of: switch, override.');
+    expect(validateScheduleEntry({ ...entry, branch: 'badge.svg' }, T0)).toBe("'badge.svg' is reserved and can't be a branch name.");
+    expect(validateScheduleEntry({ ...entry, endsAt: T0 + HOUR }, T0)).toBe('An override must end after it starts.');
+    expect(validateScheduleEntry({ ...entry, type: 'switch' }, T0 + 2 * HOUR)).toBe('A scheduled switch must start in the future.');
+  });
+});
+
+describe('validateBranchRows', () => {
+  it('accepts named rows with http(s) URLs', () => {
+    expect(validateBranchRows([{ name: 'main', url: FILE_URL }, { name: 'RC 2', url: BRANCH_URL }])).toBeNull();
+  });
+
+  it('reports the first problem', () => {
+    expect(validateBranchRows([])).toBe('Add at least one branch.');
+    expect(validateBranchRows([{ name: ' ', url: FILE_URL }])).toBe('Every branch needs a name.');
+    expect(validateBranchRows([{ name: 'main', url: '' }])).toBe("Branch 'main' needs a URL.");
+    expect(validateBranchRows([{ name: 'main', url: 'ftp://example.com' }])).toBe("Branch 'main' needs a valid http(s) URL.");
+    expect(validateBranchRows([{ name: 'Main', url: FILE_URL }, { name: 'main', url: FILE_URL }])).toBe("Branch 'main' is listed more than once.");
+  });
+
+  it('refuses badge.svg, which would be served as the badge', () => {
+    expect(validateBranchRows([{ name: 'Badge.svg', url: FILE_URL }])).toBe("'badge.svg' is reserved and can't be a branch name.");
+  });
+});
+
+describe('branch rows', () => {
+  it('round-trips through the stored map, keeping main and latest first', () => {
+    const branches = branchRowsToMap([{ name: 'zeta', url: FILE_URL }, { name: 'Latest', url: BRANCH_URL }, { name: 'main', url: FILE_URL }]);
+    expect(Object.keys(branches).sort()).toEqual(['latest', 'main', 'zeta']);
+    expect(branchMapToRows({ branches }).map((row) => row.name)).toEqual(['main', 'latest', 'zeta']);
+  });
+});
@@ -0,0 +1,156 @@
+// Client-aware redirect rules, shared by the /r/ handler and the dashboard's rule editor and preview.
+//
+// A component may hold `clientRules: [{ type, value, target }]` and a `fallbackUrl`. Rules are tried
+// in order and the first match picks where /r/ sends the visitor; without a match it's the web URL.
+const { isValidTargetUrl } = require('./components');
+const { parseFigmaUrl } = require('./figmaUrls');
+
+const CLIENT_TARGETS = {
+  web: 'Figma in the browser',
+  app: 'Figma desktop app',
+  fallback: 'Fallback URL',
+};
+
+const CLIENT_RULE_TYPES = {
+  'user-agent': { label: 'User agent contains', placeholder: 'e.g., Slackbot' },
+  query: { label: 'Query flag is set', placeholder: 'e.g., viewer' },
+  cookie: { label: 'Visitor prefers', placeholder: '' },
+};
+
+// The per-visitor preference set from the dashboard, e.g. "open pretty links in the desktop app".
+// Cookie rules compare their value with it.
+const PREFERENCE_COOKIE = 'frm_open_in';
+const PREFERENCES = {
+  web: 'Browser',
+  app: 'Desktop app',
+};
+
+const MAX_CLIENT_RULES = 10;
+const RULE_VALUE_MAX_LENGTH = 100;
+
+const normalizeRuleValue = (rule) => (rule.type === 'user-agent' ? String(rule.value || '').trim() : String(rule.value || '').trim().toLowerCase());
+
+/**
+ * Turns a Figma web URL into the `figma://` link the desktop app opens, keeping the path and
+ * params (node-id etc.). Returns null for URLs that don't point to a Figma file.
+ */
+const toFigmaAppUrl = (webUrl) => {
+  const parsed = parseFigmaUrl(webUrl);
+  if (!parsed || !parsed.fileKey) return null;
+  const url = new URL(webUrl);
+  // The desktop app still expects the pre-2024 /file/ path for design files.
+  return `figma:/${url.pathname.replace(/^\/design\//, '/file/')}${url.search}`;
+};
+
+/**
+ * Splits a Cookie header into { name: value }.
+ */
+const parseCookies = (header) => Object.fromEntries(String(header || '').split(';')
+  .map((part) => part.trim().split('='))
+  .filter(([name, value]) => name && value !== undefined)
+  .map(([name, ...value]) => {
+    try {
+      return [name, decodeURIComponent(value.join('='))];
+    } catch (error) {
+      return [name, value.join('=')];
+    }
+  }));
+
+/**
+ * True if the rule applies to a visitor described by { userAgent, query, cookies }.
+ */
+const matchesClientRule = (rule, { userAgent = '', query = {}, cookies = {} }) => {
+  const value = normalizeRuleValue(rule);
+  if (!value) return false;
+  if (rule.type === 'user-agent') return String(userAgent).toLowerCase().includes(value.toLowerCase());
+  if (rule.type === 'query') return Object.keys(query).some((name) => name.toLowerCase() === value);
+  if (rule.type === 'cookie') return String(cookies[PREFERENCE_COOKIE] || '').toLowerCase() === value;
+  return false;
+};
+
+/**
+ * The URL a target produces for a component, given the web URL /r/ would otherwise send. A target
+ * that can't be produced (no fallback URL, or not a Figma file for the app) falls back to the web URL.
+ * Returns { target, url }.
+ */
+const getClientTargetUrl = (data, target, webUrl) => {
+  if (target === 'app') {
+    const appUrl = toFigmaAppUrl(webUrl);
+    if (appUrl) return { target, url: appUrl };
+  }
+  if (target === 'fallback' && data.fallbackUrl) return { target, url: data.fallbackUrl };
+  return { target: 'web', url: webUrl };
+};
+
+/**
+ * Picks where /r/ sends a visitor. Returns { target, url, ruleIndex } with ruleIndex -1 when no rule matched.
+ */
+const resolveClientTarget = (data, webUrl, client) => {
+  const rules = data.clientRules || [];
+  const ruleIndex = rules.findIndex((rule) => matchesClientRule(rule, client));
+  return { ...getClientTargetUrl(data, ruleIndex === -1 ? 'web' : rules[ruleIndex].target, webUrl), ruleIndex };
+};
+
+/**
+ * The query params that are only rule flags; /r/ drops them instead of passing them on to Figma.
+ */
+const getRuleFlags = (data) => (data.clientRules || []).filter((rule) => rule.type === 'query').map(normalizeRuleValue);
+
+/**
+ * True if the redirect depends on headers the edge cache doesn't key on (user agent, cookies).
+ */
+const dependsOnClientHeaders = (data) => (data.clientRules || []).some((rule) => rule.type !== 'query');
+
+const getRuleError = (rule, fallbackUrl) => {
+  if (!CLIENT_RULE_TYPES[rule.type]) return 'Choose what each rule checks.';
+  if (!CLIENT_TARGETS[rule.target]) return 'Choose where each rule sends visitors.';
+  const value = normalizeRuleValue(rule);
+  if (!value) return `Enter a value for the "${CLIENT_RULE_TYPES[rule.type].label}" rule.`;
+  if (value.length > RULE_VALUE_MAX_LENGTH) return `Rule values can be at most ${RULE_VALUE_MAX_LENGTH} characters long.`;
+  if (rule.type === 'cookie' && !PREFERENCES[value]) return `A preference rule must check for one of: ${Object.keys(PREFERENCES).join(', ')}.`;
+  if (rule.target === 'fallback' && !fallbackUrl) return 'Enter a fallback URL for the rules that use it.';
+  return null;
+};
+
+/**
+ * Validates rules and a fallback URL. Returns an error message, or null.
+ */
+const validateClientRules = ({ clientRules = [], fallbackUrl = '' }) => {
+  if (clientRules.length > MAX_CLIENT_RULES) return `A component can have at most ${MAX_CLIENT_RULES} rules.`;
+  const ruleError = clientRules.map((rule) => getRuleError(rule, fallbackUrl)).find(Boolean);
+  if (ruleError) return ruleError;
+  if (fallbackUrl && !isValidTargetUrl(fallbackUrl)) return 'The fallback URL must be a valid http(s) URL.';
+  return null;
+};
+
+/**
+ * Returns `data` with new rules and/or fallback URL. Leave either one undefined to keep it.
+ */
+const applyClientRules = (data, { clientRules, fallbackUrl }) => {
+  const { clientRules: currentRules, fallbackUrl: currentFallback, ...rest } = data;
+  const nextRules = (clientRules === undefined ? currentRules || [] : clientRules)
+    .map((rule) => ({ type: rule.type, value: normalizeRuleValue(rule), target: rule.target }));
+  const nextFallback = String((fallbackUrl === undefined ? currentFallback : fallbackUrl) || '').trim();
+  return {
+    ...rest,
+    ...(nextRules.length ? { clientRules: nextRules } : {}),
+    ...(nextFallback ? { fallbackUrl: nextFallback } : {}),
+  };
+};
+
+module.exports = {
+  CLIENT_TARGETS,
+  CLIENT_RULE_TYPES,
+  PREFERENCE_COOKIE,
+  PREFERENCES,
+  MAX_CLIENT_RULES,
+  toFigmaAppUrl,
+  parseCookies,
+  matchesClientRule,
+  getClientTargetUrl,
+  resolveClientTarget,
+  getRuleFlags,
+  dependsOnClientHeaders,
+  validateClientRules,
+  applyClientRules,
+};
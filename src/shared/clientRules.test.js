@@ -0,0 +1,88 @@
+import {
+  toFigmaAppUrl,
+  parseCookies,
+  resolveClientTarget,
+  getRuleFlags,
+  dependsOnClientHeaders,
+  validateClientRules,
+  applyClientRules,
+} from './clientRules';
+
+const FILE_URL = 'https://www.figma.com/design/abc123/Library?node-id=1-2';
+const FALLBACK_URL = 'https://docs.example.com/button';
+
+const data = {
+  fallbackUrl: FALLBACK_URL,
+  clientRules: [
+    { type: 'user-agent', value: 'Slackbot', target: 'fallback' },
+    { type: 'query', value: 'app', target: 'app' },
+    { type: 'cookie', value: 'app', target: 'app' },
+  ],
+};
+
+describe('toFigmaAppUrl', () => {
+  it('opens design files with the /file/ path the desktop app expects', () => {
+    expect(toFigmaAppUrl(FILE_URL)).toBe('figma://file/abc123/Library?node-id=1-2');
+    expect(toFigmaAppUrl(FALLBACK_URL)).toBeNull();
+  });
+});
+
+describe('parseCookies', () => {
+  it('decodes values and keeps = inside them', () => {
+    expect(parseCookies('frm_open_in=app; token=a=b; name=J%C3%BCrgen; broken=%E0; empty')).toEqual({ frm_open_in: 'app', token: 'a=b', name: 'Jürgen', broken: '%E0' });
+  });
+});
+
+describe('resolveClientTarget', () => {
+  const resolve = (client) => resolveClientTarget(data, FILE_URL, client);
+
+  it('uses the first matching rule', () => {
+    expect(resolve({ userAgent: 'Slackbot-LinkExpanding 1.0', query: { app: '' } })).toEqual({ target: 'fallback', url: FALLBACK_URL, ruleIndex: 0 });
+    expect(resolve({ query: { APP: '' } })).toEqual({ target: 'app', url: 'figma://file/abc123/Library?node-id=1-2', ruleIndex: 1 });
+    expect(resolve({ cookies: { frm_open_in: 'App' } })).toMatchObject({ target: 'app', ruleIndex: 2 });
+  });
+
+  it('sends everyone else to the web URL', () => {
+    expect(resolve({ userAgent: 'Mozilla/5.0', cookies: { frm_open_in: 'web' } })).toEqual({ target: 'web', url: FILE_URL, ruleIndex: -1 });
+  });
+
+  it('falls back to the web URL when a target cannot be produced', () => {
+    expect(resolveClientTarget(data, FALLBACK_URL, { query: { app: '' } })).toEqual({ target: 'web', url: FALLBACK_URL, ruleIndex: 1 });
+    expect(resolveClientTarget({ clientRules: data.clientRules }, FILE_URL, { userAgent: 'Slackbot' })).toMatchObject({ target: 'web', url: FILE_URL });
+  });
+});
+
+describe('rule flags and caching', () => {
+  it('lists query flags and notices header-based rules', () => {
+    expect(getRuleFlags(data)).toEqual(['app']);
+    expect(dependsOnClientHeaders(data)).toBe(true);
+    expect(dependsOnClientHeaders({ clientRules: [data.clientRules[1]] })).toBe(false);
+  });
+});
+
+describe('validateClientRules', () => {
+  it('accepts complete rules', () => {
+    expect(validateClientRules(data)).toBeNull();
+    expect(validateClientRules({})).toBeNull();
+  });
+
+  it('reports the first problem', () => {
+    expect(validateClientRules({ clientRules: [{ type: 'query', value: ' ', target: 'app' }] })).toBe('Enter a value for the "Query flag is set" rule.');
+    expect(validateClientRules({ clientRules: [{ type: 'cookie', value: 'tablet', target: 'app' }] })).toBe('A preference rule must check for one of: web, app.');
+    expect(validateClientRules({ clientRules: [data.clientRules[0]] })).toBe('Enter a fallback URL for the rules that use it.');
+    expect(validateClientRules({ fallbackUrl: 'ftp://example.com/button' })).toBe('The fallback URL must be a valid http(s) URL.');
+    expect(validateClientRules({ clientRules: Array(11).fill(data.clientRules[1]) })).toBe('A component can have at most 10 rules.');
+  });
+});
+
+describe('applyClientRules', () => {
+  it('normalizes values and drops empty fields', () => {
+    const component = { name: 'Button', ...data };
+    expect(applyClientRules(component, { clientRules: [{ type: 'query', value: ' App ', target: 'app', extra: true }] })).toEqual({
+      name: 'Button',
+      clientRules: [{ type: 'query', value: 'app', target: 'app' }],
+      fallbackUrl: FALLBACK_URL,
+    });
+    expect(applyClientRules(component, { clientRules: [], fallbackUrl: ' ' })).toEqual({ name: 'Button' });
+  });
+});
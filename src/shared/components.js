@@ -0,0 +1,151 @@
+// Component helpers shared by the React app and the serverless functions.
+
+// Deleted components are kept in 'deletedComponents' for this long. A Firestore
+// TTL policy on `expiresAt` purges them afterwards.
+const DELETED_RETENTION_DAYS = 30;
+
+/**
+ * Turns a component name into its Firestore document ID and pretty-link slug,
+ * e.g. "Range Slider Filter" -> "range-slider-filter".
+ */
+const generateComponentId = (name) => String(name || '').toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+
+/**
+ * Returns true if `value` is an absolute http(s) URL.
+ */
+const isValidTargetUrl = (value) => {
+  try {
+    const url = new URL(String(value || '').trim());
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validates a component name. Returns an error message, or null if the name can be used.
+ */
+const validateComponentName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) return 'Component name is required.';
+  if (!generateComponentId(name)) return 'The component name needs at least one letter or number.';
+  return null;
+};
+
+// --- Slugs and aliases ---
+// A component's document ID is fixed when it is created, and /r/<id> keeps working forever.
+// Renaming sets `slug`, the canonical pretty-link slug, and keeps the previous slug in `aliases`
+// so that links already pasted elsewhere keep resolving. With `redirectAliases` set, /r/ answers
+// old slugs and aliases with a permanent redirect to the current slug instead of resolving them in
+// place. All three fields are absent until first used.
+
+// Slugs appear in URLs and are stored as Firestore document IDs, so keep them short.
+const SLUG_MAX_LENGTH = 100;
+
+/**
+ * Validates a slug or alias after it went through generateComponentId(). Returns an error message, or null.
+ */
+const validateSlug = (slug) => {
+  if (!slug) return 'A slug needs at least one letter or number.';
+  if (slug.length > SLUG_MAX_LENGTH) return `A slug can be at most ${SLUG_MAX_LENGTH} characters long.`;
+  return null;
+};
+
+/**
+ * The slug used in the component's pretty links.
+ */
+const getComponentSlug = (id, data) => data.slug || id;
+
+/**
+ * Every slug /r/ resolves to this component: its document ID, its slug and its aliases.
+ */
+const getComponentSlugs = (id, data) => [...new Set([id, getComponentSlug(id, data), ...(data.aliases || [])])];
+
+/**
+ * Slugs `after` uses that `before` did not, i.e. the ones that must be checked for collisions.
+ */
+const getAddedSlugs = (id, before, after) => {
+  const previous = before ? getComponentSlugs(id, before) : [];
+  return getComponentSlugs(id, after).filter((slug) => !previous.includes(slug));
+};
+
+/**
+ * Returns `data` with a new slug, alias list and/or redirectAliases flag. Leave any of them
+ * undefined to keep it. On a rename the previous slug becomes an alias.
+ */
+const applySlugChanges = (id, data, { slug, aliases, redirectAliases }) => {
+  const { slug: currentSlugField, aliases: currentAliases, redirectAliases: currentRedirect, ...rest } = data;
+  const currentSlug = getComponentSlug(id, data);
+  const nextSlug = slug === undefined ? currentSlug : slug;
+  const nextAliases = [...(aliases === undefined ? currentAliases || [] : aliases), ...(nextSlug !== currentSlug ? [currentSlug] : [])];
+  // The document ID always resolves, so it never needs to be listed.
+  const storedAliases = [...new Set(nextAliases)].filter((alias) => alias !== id && alias !== nextSlug);
+  return {
+    ...rest,
+    ...(nextSlug !== id ? { slug: nextSlug } : {}),
+    ...(storedAliases.length ? { aliases: storedAliases } : {}),
+    ...((redirectAliases === undefined ? currentRedirect : redirectAliases) ? { redirectAliases: true } : {}),
+  };
+};
+
+// --- Tags and collections ---
+// Free-form `tags` and one optional named `collection` (e.g. "Forms") organise the dashboard list.
+// They don't change what pretty links resolve to. Both fields are absent when empty.
+
+const LABEL_MAX_LENGTH = 40;
+
+const normalizeLabel = (value) => String(value || '').trim().replace(/\s+/g, ' ');
+
+/**
+ * Trims tags and drops empty and duplicate ones. Duplicates are found ignoring case; the first spelling wins.
+ */
+const normalizeTags = (tags) => {
+  const seen = new Set();
+  return tags.map(normalizeLabel).filter((tag) => {
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Validates tags and a collection name after normalizing them. Returns an error message, or null.
+ */
+const validateLabels = ({ tags = [], collection = '' }) => {
+  const tooLong = tags.find((tag) => tag.length > LABEL_MAX_LENGTH);
+  if (tooLong) return `The tag '${tooLong}' is longer than ${LABEL_MAX_LENGTH} characters.`;
+  if (collection.length > LABEL_MAX_LENGTH) return `A collection name can be at most ${LABEL_MAX_LENGTH} characters long.`;
+  return null;
+};
+
+/**
+ * Returns `data` with new tags and/or collection. Leave either one undefined to keep it.
+ */
+const applyLabels = (data, { tags, collection }) => {
+  const { tags: currentTags, collection: currentCollection, ...rest } = data;
+  const nextTags = normalizeTags(tags === undefined ? currentTags || [] : tags);
+  const nextCollection = normalizeLabel(collection === undefined ? currentCollection : collection);
+  return {
+    ...rest,
+    ...(nextTags.length ? { tags: nextTags } : {}),
+    ...(nextCollection ? { collection: nextCollection } : {}),
+  };
+};
+
+module.exports = {
+  DELETED_RETENTION_DAYS,
+  SLUG_MAX_LENGTH,
+  LABEL_MAX_LENGTH,
+  generateComponentId,
+  isValidTargetUrl,
+  validateComponentName,
+  validateSlug,
+  getComponentSlug,
+  getComponentSlugs,
+  getAddedSlugs,
+  applySlugChanges,
+  normalizeLabel,
+  normalizeTags,
+  validateLabels,
+  applyLabels,
+};
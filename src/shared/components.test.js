@@ -0,0 +1,67 @@
+import {
+  generateComponentId,
+  validateSlug,
+  SLUG_MAX_LENGTH,
+  getComponentSlug,
+  getComponentSlugs,
+  getAddedSlugs,
+  applySlugChanges,
+} from './components';
+
+describe('generateComponentId', () => {
+  it('turns a name into a lowercase, dashed slug', () => {
+    expect(generateComponentId('Range Slider Filter')).toBe('range-slider-filter');
+    expect(generateComponentId('Button (Primary)!')).toBe('button-primary');
+    expect(generateComponentId(undefined)).toBe('');
+  });
+});
+
+describe('validateSlug', () => {
+  it('accepts slugs up to the maximum length', () => {
+    expect(validateSlug('button')).toBeNull();
+    expect(validateSlug('a'.repeat(SLUG_MAX_LENGTH))).toBeNull();
+  });
+
+  it('refuses empty and overlong slugs', () => {
+    expect(validateSlug('')).toBe('A slug needs at least one letter or number.');
+    expect(validateSlug('a'.repeat(SLUG_MAX_LENGTH + 1))).toBe(`A slug can be at most ${SLUG_MAX_LENGTH} characters long.`);
+  });
+});
+
+describe('component slugs', () => {
+  const data = { slug: 'primary-button', aliases: ['btn', 'primary-button'] };
+
+  it('resolves the ID, the slug and every alias, once each', () => {
+    expect(getComponentSlug('button', data)).toBe('primary-button');
+    expect(getComponentSlug('button', {})).toBe('button');
+    expect(getComponentSlugs('button', data)).toEqual(['button', 'primary-button', 'btn']);
+  });
+
+  it('lists only the slugs a change adds', () => {
+    expect(getAddedSlugs('button', null, data)).toEqual(['button', 'primary-button', 'btn']);
+    expect(getAddedSlugs('button', data, { ...data, aliases: ['btn', 'cta'] })).toEqual(['cta']);
+  });
+});
+
+describe('applySlugChanges', () => {
+  it('keeps the previous slug as an alias on a rename', () => {
+    // The document ID always resolves, so it isn't listed.
+    expect(applySlugChanges('button', { name: 'Button' }, { slug: 'primary-button' })).toEqual({ name: 'Button', slug: 'primary-button' });
+    expect(applySlugChanges('button', { name: 'Button', slug: 'primary-button' }, { slug: 'cta' }))
+      .toEqual({ name: 'Button', slug: 'cta', aliases: ['primary-button'] });
+  });
+
+  it('never stores the document ID or the current slug as an alias', () => {
+    expect(applySlugChanges('button', { slug: 'cta' }, { aliases: ['button', 'cta', 'btn', 'btn'] })).toEqual({ slug: 'cta', aliases: ['btn'] });
+  });
+
+  it('drops the slug field when renaming back to the ID', () => {
+    expect(applySlugChanges('button', { slug: 'cta', aliases: ['btn'] }, { slug: 'button' })).toEqual({ aliases: ['btn', 'cta'] });
+  });
+
+  it('sets or clears redirectAliases, keeping it when undefined', () => {
+    expect(applySlugChanges('button', {}, { redirectAliases: true })).toEqual({ redirectAliases: true });
+    expect(applySlugChanges('button', { redirectAliases: true }, {})).toEqual({ redirectAliases: true });
+    expect(applySlugChanges('button', { redirectAliases: true }, { redirectAliases: false })).toEqual({});
+  });
+});
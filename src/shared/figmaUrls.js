@@ -0,0 +1,126 @@
+// Figma URL parsing and normalization shared by the React app and the serverless functions.
+
+const FIGMA_HOSTS = ['figma.com', 'www.figma.com'];
+const CANONICAL_HOST = 'www.figma.com';
+
+// Path kinds Figma uses for files. 'file' is the pre-2024 name for 'design'.
+const FILE_KINDS = ['design', 'file', 'proto', 'board', 'slides'];
+
+// Query params that are safe to keep when normalizing. Everything else (share
+// tokens like `t`, tracking params like `fuid`) is session-specific and can expire.
+const KEPT_PARAMS = ['node-id', 'mode', 'page-id', 'starting-point-node-id', 'scaling', 'content-scaling'];
+
+/**
+ * Converts a node id to the form Figma uses in URLs, e.g. "12:34" -> "12-34".
+ */
+const normalizeNodeId = (nodeId) => String(nodeId || '').trim().replace(/:/g, '-');
+
+/**
+ * Splits a URL into its Figma parts.
+ * Returns { isFigma, kind, fileKey, branchKey, nodeId, warnings } or null if `value` is not a URL.
+ * Recognized shapes:
+ *   https://www.figma.com/design/<fileKey>/<name>?node-id=1-2
+ *   https://www.figma.com/design/<fileKey>/branch/<branchKey>/<name>
+ *   https://www.figma.com/file/<fileKey>/... and /proto/, /board/, /slides/
+ */
+const parseFigmaUrl = (value) => {
+  let url;
+  try {
+    url = new URL(String(value || '').trim());
+  } catch (error) {
+    return null;
+  }
+
+  const parsed = { isFigma: false, kind: null, fileKey: null, branchKey: null, nodeId: null, warnings: [] };
+  if (!FIGMA_HOSTS.includes(url.hostname.toLowerCase())) {
+    parsed.warnings.push(`${url.hostname} is not a Figma URL.`);
+    return parsed;
+  }
+  parsed.isFigma = true;
+
+  const [kind, fileKey, maybeBranch, branchKey] = url.pathname.split('/').filter(Boolean);
+  if (!FILE_KINDS.includes(kind) || !fileKey) {
+    parsed.warnings.push('This Figma URL does not point to a file.');
+    return parsed;
+  }
+  parsed.kind = kind === 'file' ? 'design' : kind;
+  parsed.fileKey = fileKey;
+  if (maybeBranch === 'branch' && branchKey) parsed.branchKey = branchKey;
+  if (url.searchParams.get('node-id')) parsed.nodeId = normalizeNodeId(url.searchParams.get('node-id'));
+
+  if (kind === 'proto') parsed.warnings.push('This is a prototype link. Use the design file link unless you want the prototype viewer.');
+  const droppedParams = [...url.searchParams.keys()].filter((key) => !KEPT_PARAMS.includes(key));
+  if (droppedParams.length) parsed.warnings.push(`These query params will be removed: ${droppedParams.join(', ')}.`);
+  return parsed;
+};
+
+/**
+ * Normalizes a Figma URL before it is saved: https, www.figma.com, /file/ becomes /design/,
+ * and only the params in KEPT_PARAMS are kept. Non-Figma and unparseable URLs are returned trimmed.
+ */
+const normalizeFigmaUrl = (value) => {
+  const trimmed = String(value || '').trim();
+  const parsed = parseFigmaUrl(trimmed);
+  if (!parsed || !parsed.isFigma || !parsed.kind) return trimmed;
+
+  const url = new URL(trimmed);
+  url.protocol = 'https:';
+  url.hostname = CANONICAL_HOST;
+  url.pathname = url.pathname.replace(/^\/file\//, '/design/');
+  const params = new URLSearchParams(url.search);
+  url.search = '';
+  KEPT_PARAMS.forEach((key) => {
+    if (params.get(key)) url.searchParams.set(key, key.endsWith('node-id') ? normalizeNodeId(params.get(key)) : params.get(key));
+  });
+  url.hash = '';
+  return url.toString();
+};
+
+/**
+ * Returns warnings for a set of branch URLs, keyed by branch name. On top of each URL's
+ * own warnings, flags branches whose file key differs from the default branch's file.
+ */
+const getBranchUrlWarnings = (branches, defaultBranch) => {
+  const parsedByBranch = Object.fromEntries(Object.entries(branches).map(([name, url]) => [name, parseFigmaUrl(url)]));
+  const reference = parsedByBranch[defaultBranch] || Object.values(parsedByBranch).find((parsed) => parsed && parsed.fileKey);
+  const warnings = {};
+  Object.entries(parsedByBranch).forEach(([name, parsed]) => {
+    if (!parsed) return;
+    const branchWarnings = [...parsed.warnings];
+    if (reference && reference.fileKey && parsed.fileKey && parsed.fileKey !== reference.fileKey) {
+      branchWarnings.push(`Points to a different Figma file (${parsed.fileKey}) than the other branches (${reference.fileKey}).`);
+    }
+    if (branchWarnings.length) warnings[name] = branchWarnings;
+  });
+  return warnings;
+};
+
+/**
+ * Merges deep-link params from a pretty link into its target URL. `node-id` is normalized
+ * to Figma's URL form; other params are passed through and override the target's own.
+ */
+const mergeDeepLink = (targetUrl, params) => {
+  const entries = Object.entries(params || {}).filter(([, value]) => value !== undefined && value !== null && value !== '');
+  if (!entries.length) return targetUrl;
+
+  let url;
+  try {
+    url = new URL(targetUrl);
+  } catch (error) {
+    return targetUrl;
+  }
+  entries.forEach(([key, value]) => {
+    const text = Array.isArray(value) ? value[value.length - 1] : String(value);
+    url.searchParams.set(key, key === 'node-id' ? normalizeNodeId(text) : text);
+  });
+  return url.toString();
+};
+
+module.exports = {
+  FIGMA_HOSTS,
+  normalizeNodeId,
+  parseFigmaUrl,
+  normalizeFigmaUrl,
+  getBranchUrlWarnings,
+  mergeDeepLink,
+};
@@ -0,0 +1,53 @@
+import { parseFigmaUrl, normalizeFigmaUrl, getBranchUrlWarnings, mergeDeepLink } from './figmaUrls';
+
+const FILE_URL = 'https://www.figma.com/design/abc123/Library';
+const BRANCH_URL = 'https://www.figma.com/design/abc123/branch/def456/Library';
+
+describe('parseFigmaUrl', () => {
+  it('finds the file, branch and node', () => {
+    expect(parseFigmaUrl(`${BRANCH_URL}?node-id=12:34`)).toEqual({ isFigma: true, kind: 'design', fileKey: 'abc123', branchKey: 'def456', nodeId: '12-34', warnings: [] });
+  });
+
+  it('warns about prototypes, other sites and non-file pages', () => {
+    expect(parseFigmaUrl('https://www.figma.com/proto/abc123/Library').warnings[0]).toMatch(/^This is a prototype link/);
+    expect(parseFigmaUrl('https://docs.example.com/button')).toMatchObject({ isFigma: false, warnings: ['docs.example.com is not a Figma URL.'] });
+    expect(parseFigmaUrl('https://www.figma.com/files/recents')).toMatchObject({ isFigma: true, fileKey: null, warnings: ['This Figma URL does not point to a file.'] });
+    expect(parseFigmaUrl('not a url')).toBeNull();
+  });
+});
+
+describe('normalizeFigmaUrl', () => {
+  it('uses https, www.figma.com and /design/, and keeps only stable params', () => {
+    expect(normalizeFigmaUrl(' http://figma.com/file/abc123/Library?node-id=1:2&t=secret&fuid=9#top ')).toBe(`${FILE_URL}?node-id=1-2`);
+    expect(normalizeFigmaUrl(`${FILE_URL}?mode=dev&starting-point-node-id=3:4`)).toBe(`${FILE_URL}?mode=dev&starting-point-node-id=3-4`);
+  });
+
+  it('leaves other URLs alone apart from trimming', () => {
+    expect(normalizeFigmaUrl(' https://docs.example.com/button?t=1 ')).toBe('https://docs.example.com/button?t=1');
+    expect(normalizeFigmaUrl('https://www.figma.com/files/recents?t=1')).toBe('https://www.figma.com/files/recents?t=1');
+    expect(normalizeFigmaUrl('not a url')).toBe('not a url');
+  });
+});
+
+describe('getBranchUrlWarnings', () => {
+  it('flags branches that point to another file than the default branch', () => {
+    expect(getBranchUrlWarnings({ main: FILE_URL, rc: BRANCH_URL, other: 'https://www.figma.com/design/zzz999/Other' }, 'main')).toEqual({
+      other: ['Points to a different Figma file (zzz999) than the other branches (abc123).'],
+    });
+  });
+});
+
+describe('mergeDeepLink', () => {
+  it('adds params from the pretty link, normalizing node-id', () => {
+    expect(mergeDeepLink(`${FILE_URL}?node-id=1-2`, { 'node-id': '12:34', mode: 'dev' })).toBe(`${FILE_URL}?node-id=12-34&mode=dev`);
+  });
+
+  it('uses the last of repeated params and skips empty ones', () => {
+    expect(mergeDeepLink(FILE_URL, { 'node-id': ['1:2', '3:4'], mode: '' })).toBe(`${FILE_URL}?node-id=3-4`);
+    expect(mergeDeepLink(FILE_URL, {})).toBe(FILE_URL);
+  });
+
+  it('returns targets it cannot parse unchanged', () => {
+    expect(mergeDeepLink('not a url', { 'node-id': '1:2' })).toBe('not a url');
+  });
+});
@@ -0,0 +1,51 @@
+// Link health results shared by the health-check job and the dashboard.
+//
+// A component's `health` field is written by the health check (api/_lib/linkHealth.js), never by
+// the dashboard: { status, checkedAt, branches: { <name>: { url, status, httpStatus, location, message, checkedAt } } }.
+const { getActiveBranches } = require('./branches');
+
+// In order of severity; a component's status is its worst branch.
+const HEALTH_STATUSES = {
+  ok: { label: 'Healthy', description: 'The target responded normally.' },
+  unverified: { label: 'Unverified', description: 'The target asks for a sign-in, so the check could not tell whether it still exists.' },
+  redirected: { label: 'Redirected', description: 'The target redirects somewhere else.' },
+  unreachable: { label: 'Unreachable', description: 'The target did not respond, or responded with an error.' },
+  malformed: { label: 'Malformed', description: 'The target is not a usable URL.' },
+};
+const SEVERITY = Object.keys(HEALTH_STATUSES);
+
+const getWorstStatus = (statuses) => statuses.reduce((worst, status) => (
+  worst === null || SEVERITY.indexOf(status) > SEVERITY.indexOf(worst) ? status : worst
+), null);
+
+/**
+ * Returns { <branch>: result | null } for the branches /r/ serves right now. A result only counts
+ * while it was checked against the branch's current URL, so edits reset a branch to "not checked".
+ */
+const getBranchHealth = (data, now = Date.now()) => {
+  const results = (data.health && data.health.branches) || {};
+  return Object.fromEntries(Object.entries(getActiveBranches(data, now)).map(([name, url]) => (
+    [name, results[name] && results[name].url === url ? results[name] : null]
+  )));
+};
+
+/**
+ * The component's overall status: its worst checked branch, or null if nothing was checked.
+ */
+const getHealthStatus = (data, now = Date.now()) => getWorstStatus(
+  Object.values(getBranchHealth(data, now)).filter(Boolean).map((result) => result.status)
+);
+
+// An unverified target may well work, so it doesn't count as broken.
+const isBroken = (data, now = Date.now()) => {
+  const status = getHealthStatus(data, now);
+  return status !== null && status !== 'ok' && status !== 'unverified';
+};
+
+module.exports = {
+  HEALTH_STATUSES,
+  getWorstStatus,
+  getBranchHealth,
+  getHealthStatus,
+  isBroken,
+};
@@ -0,0 +1,38 @@
+// Why a pretty link failed, and the broken-link reports people send from the "link not found" page.
+
+// Keyed by the `reason` stored on miss events and reports.
+const MISS_REASONS = {
+  'invalid-link': {
+    label: 'invalid link',
+    title: 'This link is not a valid pretty link',
+    description: 'Pretty links look like /r/<component>/<branch>. This one has too few or too many parts.',
+  },
+  'component-not-found': {
+    label: 'unknown component',
+    title: 'This component does not exist',
+    description: 'No component uses this link. It may have been renamed or deleted, or the link may have a typo.',
+  },
+  'branch-not-found': {
+    label: 'unknown branch',
+    title: 'This branch does not exist',
+    description: 'The component exists, but it has no branch with this name.',
+  },
+  'empty-url': {
+    label: 'no target URL',
+    title: 'This link has no target yet',
+    description: 'The component exists, but no Figma URL is set for this branch.',
+  },
+};
+
+const REPORT_MESSAGE_MAX_LENGTH = 500;
+
+/**
+ * The request path a miss or report refers to, e.g. /r/button/main.
+ */
+const getLinkPath = (componentId, branch) => (branch ? `/r/${componentId}/${branch}` : `/r/${componentId}`);
+
+module.exports = {
+  MISS_REASONS,
+  REPORT_MESSAGE_MAX_LENGTH,
+  getLinkPath,
+};
@@ -0,0 +1,241 @@
+// In-memory ComponentRepository (see ./repository.js). Used for tests and, persisted to a
+// JSON file by api/_lib/storage/fileRepository.js, to run everything without Firebase.
+const { getNextScheduleChange } = require('../branches');
+const { getComponentSlugs } = require('../components');
+const { getComponentWorkspaceId } = require('../workspaces');
+const { REDIRECT_EVENT_RETENTION_DAYS, DAY_MS, toUsageDay, toUsageCount, getUsageCountId, countUsageHits } = require('../usage');
+const { WEBHOOK_DELIVERY_LOG_SIZE } = require('../webhooks');
+const {
+  toStoredComponent,
+  createHistoryEntry,
+  createDeletedRecord,
+  getDeletedRecordId,
+  getDeletedComponentId,
+} = require('./repository');
+
+// Components are plain JSON, so a JSON round trip is a deep copy.
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const EMPTY_STATE = {
+  components: {},
+  history: [],
+  deleted: {},
+  events: [],
+  usageCounts: {},
+  reports: {},
+  webhooks: {},
+  deliveries: {},
+  webhookCursor: null,
+  nextId: 1,
+};
+
+/**
+ * Creates a repository that keeps everything in one plain object. Times are stored as epoch
+ * milliseconds and returned as Dates.
+ *
+ * @param {object} [options]
+ * @param {object} [options.state] - Initial state, e.g. loaded from a JSON file.
+ * @param {(state: object) => void} [options.onChange] - Called after every write with the full state.
+ * @returns {import('./repository').ComponentRepository}
+ */
+function createMemoryRepository({ state: initialState, onChange } = {}) {
+  const state = { ...clone(EMPTY_STATE), ...clone(initialState) };
+  const listeners = new Set();
+
+  const changed = () => {
+    if (onChange) onChange(state);
+    listeners.forEach((listener) => listener());
+  };
+  const nextId = () => String(state.nextId++);
+
+  const toComponent = (id) => (state.components[id] ? { id, ...clone(state.components[id]) } : null);
+
+  // No 'slugs' index is needed in memory; every component is scanned instead.
+  const findComponentIdBySlug = (slug) => (state.components[slug] ? slug
+    : Object.keys(state.components).find((id) => getComponentSlugs(id, state.components[id]).includes(slug)));
+
+  const getComponent = async (id) => toComponent(id);
+  const getComponentBySlug = async (slug) => {
+    const id = findComponentIdBySlug(slug);
+    return id ? toComponent(id) : null;
+  };
+  const isSlugTaken = async (slug) => Boolean(findComponentIdBySlug(slug));
+  const listComponents = async (workspaceId) => Object.keys(state.components)
+    .filter((id) => getComponentWorkspaceId(state.components[id]) === workspaceId)
+    .map(toComponent);
+  const listHistory = async (workspaceId, componentId) => state.history
+    .filter((entry) => entry.workspaceId === workspaceId && entry.componentId === componentId)
+    .map((entry) => ({ ...clone(entry), timestamp: new Date(entry.timestamp) }))
+    .sort((a, b) => b.timestamp - a.timestamp || Number(b.id) - Number(a.id));
+  const listDeleted = async (workspaceId) => Object.entries(state.deleted)
+    .filter(([, record]) => record.workspaceId === workspaceId && record.expiresAt > Date.now())
+    .map(([id, record]) => ({ id, ...clone(record), deletedAt: new Date(record.deletedAt), expiresAt: new Date(record.expiresAt) }));
+  const listLinkReports = async (workspaceId) => Object.entries(state.reports)
+    .filter(([, report]) => report.workspaceId === workspaceId && !report.resolvedAt)
+    .map(([id, report]) => ({ id, ...clone(report), createdAt: new Date(report.createdAt) }))
+    .sort((a, b) => b.createdAt - a.createdAt);
+  const listUsageCounts = async (workspaceId, since) => Object.values(state.usageCounts)
+    .filter((count) => count.workspaceId === workspaceId && count.day >= toUsageDay(since))
+    .map(clone);
+  const listWebhooks = async (workspaceId) => Object.entries(state.webhooks)
+    .filter(([, webhook]) => webhook.workspaceId === workspaceId)
+    .map(([id, webhook]) => ({ id, ...clone(webhook) }));
+  const listWebhookDeliveries = async (workspaceId) => Object.entries(state.deliveries)
+    .filter(([, delivery]) => delivery.workspaceId === workspaceId)
+    .map(([id, delivery]) => ({ id, ...clone(delivery) }))
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, WEBHOOK_DELIVERY_LOG_SIZE);
+
+  // Emits the current result now and again after every write.
+  const subscribe = (read, onNext, onError = console.error) => {
+    const emit = () => read().then(onNext, onError);
+    listeners.add(emit);
+    emit();
+    return () => listeners.delete(emit);
+  };
+
+  const addHistoryEntry = (fields) => {
+    state.history.push({ id: nextId(), ...createHistoryEntry({ ...fields, timestamp: Date.now() }) });
+  };
+
+  return {
+    getComponent,
+    getComponentBySlug,
+    isSlugTaken,
+    listComponents,
+    listHistory,
+    listDeleted,
+    listLinkReports,
+    subscribeComponents: (workspaceId, onNext, onError) => subscribe(() => listComponents(workspaceId), onNext, onError),
+    subscribeHistory: (workspaceId, componentId, onNext, onError) => subscribe(() => listHistory(workspaceId, componentId), onNext, onError),
+    subscribeDeleted: (workspaceId, onNext, onError) => subscribe(() => listDeleted(workspaceId), onNext, onError),
+    subscribeLinkReports: (workspaceId, onNext, onError) => subscribe(() => listLinkReports(workspaceId), onNext, onError),
+    listWebhooks,
+    listWebhookDeliveries,
+    subscribeWebhooks: (workspaceId, onNext, onError) => subscribe(() => listWebhooks(workspaceId), onNext, onError),
+    subscribeWebhookDeliveries: (workspaceId, onNext, onError) => subscribe(() => listWebhookDeliveries(workspaceId), onNext, onError),
+    listUsageCounts,
+    countHits: async (workspaceId, since) => countUsageHits(await listUsageCounts(workspaceId, since)),
+    listAllComponents: async () => Object.keys(state.components).map(toComponent),
+    listDueScheduleChanges: async (now) => Object.keys(state.components)
+      .filter((id) => typeof state.components[id].nextScheduleChangeAt === 'number' && state.components[id].nextScheduleChangeAt <= now)
+      .map(toComponent),
+
+    async updateNextScheduleChange(id, now) {
+      if (!state.components[id]) return;
+      state.components[id].nextScheduleChangeAt = getNextScheduleChange(state.components[id].schedule, now);
+      changed();
+    },
+
+    async saveComponents(changes, actor) {
+      changes.forEach(({ id, action, before, after }) => {
+        const data = toStoredComponent(after, before);
+        state.components[id] = clone(data);
+        addHistoryEntry({ componentId: id, action, actor, before, after: data });
+      });
+      changed();
+    },
+
+    async deleteComponent(component, actor) {
+      const now = Date.now();
+      state.deleted[getDeletedRecordId(component.id, now)] = clone(createDeletedRecord({ component, actor, deletedAt: now, now }));
+      delete state.components[component.id];
+      addHistoryEntry({ componentId: component.id, action: 'delete', actor, before: component, after: null });
+      changed();
+    },
+
+    async restoreDeletedComponent(record, actor) {
+      const componentId = getDeletedComponentId(record);
+      const data = toStoredComponent(record.data, null);
+      state.components[componentId] = clone(data);
+      delete state.deleted[record.id];
+      addHistoryEntry({ componentId, action: 'restore', actor, before: null, after: data });
+      changed();
+    },
+
+    async recordRedirectEvent(event) {
+      const now = Date.now();
+      // Raw events expire like Firestore's TTL policy deletes them.
+      state.events = state.events.filter((stored) => stored.timestamp > now - REDIRECT_EVENT_RETENTION_DAYS * DAY_MS);
+      state.events.push({ id: nextId(), ...clone(event), timestamp: now });
+      const count = toUsageCount(event, now);
+      const id = getUsageCountId(count);
+      state.usageCounts[id] = { ...count, count: (state.usageCounts[id] ? state.usageCounts[id].count : 0) + 1 };
+      changed();
+    },
+
+    async updateComponentHealth(id, health) {
+      // The component may have been deleted while it was being checked.
+      if (!state.components[id]) return;
+      state.components[id].health = clone(health);
+      changed();
+    },
+
+    async addLinkReport(report) {
+      state.reports[nextId()] = { ...clone(report), createdAt: Date.now(), resolvedAt: null, resolvedBy: null };
+      changed();
+    },
+
+    async resolveLinkReport(reportId, actor) {
+      if (!state.reports[reportId]) return;
+      Object.assign(state.reports[reportId], { resolvedAt: Date.now(), resolvedBy: actor });
+      changed();
+    },
+
+    async saveWebhook({ id = nextId(), ...webhook }) {
+      state.webhooks[id] = clone(webhook);
+      changed();
+      return id;
+    },
+
+    async deleteWebhook(webhookId) {
+      delete state.webhooks[webhookId];
+      changed();
+    },
+
+    getWebhook: async (id) => (state.webhooks[id] ? { id, ...clone(state.webhooks[id]) } : null),
+
+    listHistorySince: async (since) => state.history
+      .filter((entry) => entry.timestamp >= since)
+      .map((entry) => ({ ...clone(entry), timestamp: new Date(entry.timestamp) })),
+
+    getWebhookCursor: async () => state.webhookCursor,
+
+    async setWebhookCursor(cursor) {
+      state.webhookCursor = cursor;
+      changed();
+    },
+
+    async addWebhookDelivery(id, delivery) {
+      if (state.deliveries[id]) return false;
+      state.deliveries[id] = clone(delivery);
+      changed();
+      return true;
+    },
+
+    getWebhookDelivery: async (id) => (state.deliveries[id] ? { id, ...clone(state.deliveries[id]) } : null),
+
+    listDueWebhookDeliveries: async (now, limit) => Object.entries(state.deliveries)
+      .filter(([, delivery]) => delivery.status === 'pending' && delivery.nextAttemptAt <= now)
+      .map(([id, delivery]) => ({ id, ...clone(delivery) }))
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+      .slice(0, limit),
+
+    // Single-threaded, so checking and postponing can't interleave with another run.
+    async claimWebhookDelivery(id, now, until) {
+      const delivery = state.deliveries[id];
+      if (!delivery || delivery.status !== 'pending' || delivery.nextAttemptAt > now) return false;
+      delivery.nextAttemptAt = until;
+      changed();
+      return true;
+    },
+
+    async updateWebhookDelivery(id, fields) {
+      if (!state.deliveries[id]) return;
+      Object.assign(state.deliveries[id], clone(fields));
+      changed();
+    },
+  };
+}
+
+module.exports = { createMemoryRepository };
@@ -0,0 +1,192 @@
+// The component repository interface and the record shapes every storage adapter shares.
+//
+// Adapters:
+//   - src/storage/firestoreRepository.js      Firestore, browser SDK (dashboard)
+//   - src/storage/httpRepository.js           the local dev server's storage endpoint (dashboard, offline)
+//   - api/_lib/storage/firestoreRepository.js Firestore, Admin SDK (serverless functions)
+//   - src/shared/storage/memoryRepository.js  in memory; api/_lib/storage/fileRepository.js persists it to JSON
+const { getNextScheduleChange } = require('../branches');
+const { DELETED_RETENTION_DAYS, getAddedSlugs, getComponentSlugs } = require('../components');
+const { getComponentWorkspaceId } = require('../workspaces');
+
+/**
+ * @typedef {object} Component - A component document plus its `id` (its original slug; see getComponentSlug()).
+ * @typedef {{ uid: string, email: (string|null), apiToken?: string }} Actor - Who made a change.
+ * @typedef {{ id: string, action: ('create'|'update'|'restore'), before: (Component|null), after: object }} ComponentChange
+ *
+ * @typedef {object} ComponentRepository
+ * @property {(id: string) => Promise<Component|null>} getComponent
+ * @property {(slug: string) => Promise<Component|null>} getComponentBySlug - Looks a component up by its ID, slug or an alias.
+ * @property {(slug: string) => Promise<boolean>} isSlugTaken - True if any component uses the slug as its ID, slug or
+ *   an alias. Also true for components the caller may not see.
+ * @property {(workspaceId: string) => Promise<Component[]>} listComponents
+ * @property {(workspaceId: string, componentId: string) => Promise<object[]>} listHistory - The component's entries that
+ *   were recorded in the workspace, newest first; `timestamp` is a Date.
+ * @property {(workspaceId: string) => Promise<object[]>} listDeleted - Unexpired only; `deletedAt`/`expiresAt` are Dates.
+ * @property {(workspaceId: string, onNext: Function, onError: Function) => Function} subscribeComponents - Returns an unsubscribe function.
+ * @property {(workspaceId: string, componentId: string, onNext: Function, onError: Function) => Function} subscribeHistory
+ * @property {(workspaceId: string, onNext: Function, onError: Function) => Function} subscribeDeleted
+ * @property {(changes: ComponentChange[], actor: Actor) => Promise<void>} saveComponents - Writes each component with its history entry, atomically where the backend allows.
+ *   Rejects with `code: 'already-exists'` (Admin SDK) or 'permission-denied' (dashboard) if another write took one of its slugs first.
+ * @property {(component: Component, actor: Actor) => Promise<void>} deleteComponent - Moves it to the deleted components for DELETED_RETENTION_DAYS.
+ * @property {(record: object, actor: Actor) => Promise<void>} restoreDeletedComponent - The caller must check that its slugs are free.
+ *   The component gets its old ID back (see getDeletedComponentId).
+ * @property {(workspaceId: (string|null)) => Promise<object[]>} listLinkReports - Open broken-link reports, newest first; `createdAt` is a Date.
+ *   Reports for components that don't exist have no workspace (null).
+ * @property {(workspaceId: (string|null), onNext: Function, onError: Function) => Function} subscribeLinkReports
+ * @property {(reportId: string, actor: Actor) => Promise<void>} resolveLinkReport - Marks a report as handled.
+ * @property {(workspaceId: string, since: number) => Promise<Object<string, number>>} countHits - /r/ hits per
+ *   component ID from the UTC day of `since` (epoch ms) on, for sorting by popularity. Components without hits are left out.
+ * @property {(workspaceId: (string|null), since: number) => Promise<object[]>} listUsageCounts - Daily /r/ counters
+ *   (see src/shared/usage.js) from the UTC day of `since` (epoch ms) on. Misses for unknown components have no workspace (null).
+ * @property {(workspaceId: string) => Promise<object[]>} listWebhooks - The workspace's outgoing webhooks (see src/shared/webhooks.js).
+ * @property {(workspaceId: string, onNext: Function, onError: Function) => Function} subscribeWebhooks
+ * @property {(webhook: object) => Promise<string>} saveWebhook - Creates the webhook, or replaces it if it has an `id`. Resolves with its ID.
+ * @property {(webhookId: string) => Promise<void>} deleteWebhook - Its queued deliveries fail on their next attempt.
+ * @property {(workspaceId: string) => Promise<object[]>} listWebhookDeliveries - The latest WEBHOOK_DELIVERY_LOG_SIZE
+ *   deliveries, newest first. Times are epoch ms.
+ * @property {(workspaceId: string, onNext: Function, onError: Function) => Function} subscribeWebhookDeliveries
+ * @property {(event: object) => Promise<void>} [recordRedirectEvent] - Stores one /r/ hit or miss and adds it to its
+ *   daily counter. Server-side adapters only.
+ * @property {(report: object) => Promise<void>} [addLinkReport] - Stores a broken-link report. Server-side adapters only.
+ * @property {() => Promise<Component[]>} [listAllComponents] - Every component in every workspace, for the
+ *   health check. Server-side adapters only.
+ * @property {(id: string, health: object) => Promise<void>} [updateComponentHealth] - Stores a health check
+ *   result without touching history or `version`. Server-side adapters only.
+ * @property {(now: number) => Promise<Component[]>} [listDueScheduleChanges] - Components whose
+ *   `nextScheduleChangeAt` is at or before `now`, for the webhook dispatcher. Server-side adapters only.
+ * @property {(id: string, now: number) => Promise<void>} [updateNextScheduleChange] - Recomputes
+ *   `nextScheduleChangeAt` from the stored schedule without touching history or `version`. Server-side adapters only.
+ * @property {(id: string) => Promise<object|null>} [getWebhook] - Server-side adapters only.
+ * @property {(since: number) => Promise<object[]>} [listHistorySince] - History entries of every workspace from
+ *   `since` (epoch ms) on, oldest first, for the webhook dispatcher. Server-side adapters only.
+ * @property {() => Promise<number|null>} [getWebhookCursor] - How far the dispatcher has read the history (epoch ms).
+ *   Server-side adapters only.
+ * @property {(cursor: number) => Promise<void>} [setWebhookCursor] - Server-side adapters only.
+ * @property {(id: string, delivery: object) => Promise<boolean>} [addWebhookDelivery] - Queues a delivery unless one
+ *   with the same ID exists. Resolves with whether it was added. Server-side adapters only.
+ * @property {(id: string) => Promise<object|null>} [getWebhookDelivery] - Server-side adapters only.
+ * @property {(now: number, limit: number) => Promise<object[]>} [listDueWebhookDeliveries] - Pending deliveries
+ *   whose next attempt is due, oldest first. Server-side adapters only.
+ * @property {(id: string, now: number, until: number) => Promise<boolean>} [claimWebhookDelivery] - Atomically
+ *   postpones a due delivery to `until`, so concurrent runs don't send it twice. Server-side adapters only.
+ * @property {(id: string, fields: object) => Promise<void>} [updateWebhookDelivery] - Server-side adapters only.
+ */
+
+// Methods the local dev server exposes over HTTP (see src/setupProxy.js).
+const REPOSITORY_METHODS = [
+  'getComponent',
+  'getComponentBySlug',
+  'isSlugTaken',
+  'listComponents',
+  'listHistory',
+  'listDeleted',
+  'saveComponents',
+  'deleteComponent',
+  'restoreDeletedComponent',
+  'listLinkReports',
+  'resolveLinkReport',
+  'countHits',
+  'listUsageCounts',
+  'listWebhooks',
+  'saveWebhook',
+  'deleteWebhook',
+  'listWebhookDeliveries',
+];
+
+// Strips the client-only `id` so only stored document data is written.
+const toDocumentData = (component) => {
+  if (!component) return null;
+  const { id, ...data } = component;
+  return data;
+};
+
+// Versions saved before workspaces existed only have `uid`; write them back with their workspace set.
+const withWorkspace = (data) => ({ ...data, workspaceId: getComponentWorkspaceId(data) });
+
+/**
+ * The document written for a create, update or restore. Every write bumps `version` and sets
+ * `updatedAt` (epoch ms), which the "Last updated" sort uses. Nothing compares versions; the /r/
+ * cache expires by time (see api/_lib/redirectCache.js). `nextScheduleChangeAt` lets the webhook dispatcher find scheduled changes that are due.
+ */
+const toStoredComponent = (after, before, now = Date.now()) => {
+  const data = withWorkspace(toDocumentData(after));
+  const previousVersion = (before ? before.version : data.version) || 0;
+  return { ...data, version: previousVersion + 1, updatedAt: now, nextScheduleChangeAt: getNextScheduleChange(data.schedule, now) };
+};
+
+// Firestore can't query across workspaces from the dashboard, so every slug other than a document ID
+// is claimed in the 'slugs' collection ({ componentId, workspaceId }). That keeps slugs unique and
+// lets /r/ find renamed components with a single document read.
+const getClaimedSlugs = (id, data) => (data ? getComponentSlugs(id, data).filter((slug) => slug !== id) : []);
+
+/**
+ * The slug claims to add and remove when a component changes from `before` to `after` (either may be null).
+ */
+const diffSlugClaims = (id, before, after) => {
+  const previous = getClaimedSlugs(id, before);
+  const next = getClaimedSlugs(id, after);
+  return {
+    added: next.filter((slug) => !previous.includes(slug)),
+    removed: previous.filter((slug) => !next.includes(slug)),
+  };
+};
+
+/**
+ * The slugs a write from `before` to `after` would add that another component already uses.
+ * An empty list means no collision right now; the Firestore adapters still refuse a write that
+ * loses a race for a slug.
+ */
+const findTakenSlugs = async (repository, id, before, after) => {
+  const added = getAddedSlugs(id, before, after);
+  const taken = await Promise.all(added.map((slug) => repository.isSlugTaken(slug)));
+  return added.filter((slug, index) => taken[index]);
+};
+
+/**
+ * Builds a 'componentHistory' entry. `timestamp` is whatever the backend uses for "now".
+ */
+const createHistoryEntry = ({ componentId, action, actor, before, after, timestamp }) => ({
+  componentId,
+  workspaceId: getComponentWorkspaceId(after || before),
+  action,
+  actor,
+  timestamp,
+  before: toDocumentData(before),
+  after: toDocumentData(after),
+});
+
+/**
+ * Builds a 'deletedComponents' record for a component that is being deleted.
+ */
+const createDeletedRecord = ({ component, actor, deletedAt, now = Date.now() }) => {
+  const data = toDocumentData(component);
+  return {
+    componentId: component.id,
+    data,
+    workspaceId: getComponentWorkspaceId(data),
+    deletedBy: actor,
+    deletedAt,
+    expiresAt: now + DELETED_RETENTION_DAYS * 24 * 60 * 60 * 1000,
+  };
+};
+
+// A component ID can be deleted again, even from another workspace once its slug was freed, so
+// every deletion gets its own record.
+const getDeletedRecordId = (componentId, now) => `${componentId}_${now}`;
+
+// Records written before they had their own IDs are keyed by the component ID.
+const getDeletedComponentId = (record) => record.componentId || record.id;
+
+module.exports = {
+  REPOSITORY_METHODS,
+  toDocumentData,
+  withWorkspace,
+  toStoredComponent,
+  diffSlugClaims,
+  findTakenSlugs,
+  createHistoryEntry,
+  createDeletedRecord,
+  getDeletedRecordId,
+  getDeletedComponentId,
+};
@@ -0,0 +1,77 @@
+import { createMemoryRepository } from './memoryRepository';
+import { diffSlugClaims, findTakenSlugs } from './repository';
+
+const FILE_URL = 'https://www.figma.com/design/abc123/Library';
+
+describe('diffSlugClaims', () => {
+  it('claims every slug but the document ID, and releases the ones no longer used', () => {
+    expect(diffSlugClaims('button', null, { slug: 'cta', aliases: ['btn'] })).toEqual({ added: ['cta', 'btn'], removed: [] });
+    expect(diffSlugClaims('button', { slug: 'cta', aliases: ['btn'] }, { slug: 'primary', aliases: ['btn', 'cta'] }))
+      .toEqual({ added: ['primary'], removed: [] });
+    expect(diffSlugClaims('button', { slug: 'cta', aliases: ['btn'] }, null)).toEqual({ added: [], removed: ['cta', 'btn'] });
+  });
+});
+
+describe('findTakenSlugs', () => {
+  const createRepository = async () => {
+    const repository = createMemoryRepository();
+    await repository.saveComponents([
+      { id: 'button', action: 'create', before: null, after: { workspaceId: 'ws_team', name: 'Button', branches: { main: FILE_URL }, aliases: ['btn'] } },
+      { id: 'card', action: 'create', before: null, after: { workspaceId: 'ws_other', name: 'Card', branches: { main: FILE_URL }, slug: 'tile' } },
+    ], { uid: 'alice', email: null });
+    return repository;
+  };
+
+  it('finds slugs another component uses as its ID, slug or alias, in any workspace', async () => {
+    const repository = await createRepository();
+    const before = await repository.getComponent('button');
+    const after = { ...before, slug: 'card', aliases: ['btn', 'tile', 'new'] };
+    expect(await findTakenSlugs(repository, 'button', before, after)).toEqual(['card', 'tile']);
+  });
+
+  it("ignores the component's own slugs", async () => {
+    const repository = await createRepository();
+    const before = await repository.getComponent('button');
+    expect(await findTakenSlugs(repository, 'button', before, { ...before, slug: 'btn', aliases: [] })).toEqual([]);
+  });
+});
+
+describe('listHistory', () => {
+  it('only lists entries recorded in the given workspace, like the Firestore rules', async () => {
+    const repository = createMemoryRepository();
+    const actor = { uid: 'alice', email: null };
+    const button = { workspaceId: 'ws_team', name: 'Button', branches: { main: FILE_URL } };
+    await repository.saveComponents([{ id: 'button', action: 'create', before: null, after: button }], actor);
+    await repository.saveComponents([{ id: 'button', action: 'update', before: button, after: { ...button, workspaceId: 'ws_other' } }], actor);
+
+    expect((await repository.listHistory('ws_team', 'button')).map((entry) => entry.action)).toEqual(['create']);
+    expect((await repository.listHistory('ws_other', 'button')).map((entry) => entry.action)).toEqual(['update']);
+  });
+});
+
+describe('deleted components', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('keeps every deletion of the same ID and restores the component under its old ID', async () => {
+    jest.useFakeTimers();
+    jest.setSystemTime(Date.UTC(2024, 5, 1));
+    const repository = createMemoryRepository();
+    const actor = { uid: 'alice', email: null };
+    const button = { workspaceId: 'ws_team', name: 'Button', branches: { main: FILE_URL } };
+    await repository.saveComponents([{ id: 'button', action: 'create', before: null, after: button }], actor);
+    await repository.deleteComponent({ id: 'button', ...button }, actor);
+    jest.setSystemTime(Date.UTC(2024, 5, 2));
+    await repository.saveComponents([{ id: 'button', action: 'create', before: null, after: { ...button, name: 'New Button' } }], actor);
+    await repository.deleteComponent({ id: 'button', ...button, name: 'New Button' }, actor);
+
+    const deleted = await repository.listDeleted('ws_team');
+    expect(deleted.map((record) => record.data.name).sort()).toEqual(['Button', 'New Button']);
+    expect(new Set(deleted.map((record) => record.id)).size).toBe(2);
+
+    await repository.restoreDeletedComponent(deleted.find((record) => record.data.name === 'Button'), actor);
+    expect((await repository.getComponent('button')).name).toBe('Button');
+    expect(await repository.listDeleted('ws_team')).toHaveLength(1);
+  });
+});
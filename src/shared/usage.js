@@ -0,0 +1,56 @@
+// Pretty link usage, shared by the /r/ function and the dashboard.
+//
+// Every /r/ request is stored twice: as a raw event in 'redirectEvents', kept for
+// REDIRECT_EVENT_RETENTION_DAYS with its referrer and client type, and as an increment of a daily
+// counter in 'redirectCounts'. The dashboard only reads the counters, so a busy link costs it one
+// document per day instead of one per hit. A counter is
+// { workspaceId, day, outcome, componentId, branch, reason, count, lastSeenAt }.
+
+const REDIRECT_EVENT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Counters are keyed by path segments people typed, so long ones are cut to keep IDs small.
+const ID_PART_MAX_LENGTH = 200;
+
+/**
+ * The UTC day a time (epoch ms) falls on, e.g. "2024-06-01". Counters are per UTC day.
+ */
+const toUsageDay = (time) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * The counter a redirect event at `time` (epoch ms) is added to, without its `count`.
+ */
+const toUsageCount = (event, time) => ({
+  workspaceId: event.workspaceId || null,
+  day: toUsageDay(time),
+  outcome: event.outcome,
+  componentId: event.componentId || null,
+  branch: event.branch || null,
+  reason: event.reason || null,
+  lastSeenAt: time,
+});
+
+/**
+ * The document ID of a counter: one per workspace, day, outcome, component and branch. The parts
+ * are URI-encoded, so neither the '|' between them nor a '/' can appear inside one.
+ */
+const getUsageCountId = (count) => [count.workspaceId, count.day, count.outcome, count.componentId, count.branch]
+  .map((part) => encodeURIComponent(String(part || '').slice(0, ID_PART_MAX_LENGTH)))
+  .join('|');
+
+/**
+ * Sums the counters' hits per component ID.
+ */
+const countUsageHits = (counts) => counts.reduce((hits, count) => {
+  if (count.outcome === 'hit') hits[count.componentId] = (hits[count.componentId] || 0) + count.count;
+  return hits;
+}, {});
+
+module.exports = {
+  REDIRECT_EVENT_RETENTION_DAYS,
+  DAY_MS,
+  toUsageDay,
+  toUsageCount,
+  getUsageCountId,
+  countUsageHits,
+};
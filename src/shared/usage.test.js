@@ -0,0 +1,74 @@
+import { DAY_MS, toUsageDay, toUsageCount, getUsageCountId, countUsageHits } from './usage';
+import { createMemoryRepository } from './storage/memoryRepository';
+
+const T0 = Date.UTC(2024, 5, 1, 23, 30);
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('toUsageDay', () => {
+  it('uses the UTC day', () => {
+    expect(toUsageDay(T0)).toBe('2024-06-01');
+    expect(toUsageDay(T0 + HOUR_MS)).toBe('2024-06-02');
+  });
+});
+
+describe('getUsageCountId', () => {
+  it('keeps separators in path segments from mixing up counters', () => {
+    const count = (componentId, branch) => toUsageCount({ workspaceId: 'ws_team', outcome: 'miss', componentId, branch }, T0);
+    expect(getUsageCountId(count('a|b', 'c'))).not.toBe(getUsageCountId(count('a', 'b|c')));
+    expect(getUsageCountId(count('a/b', 'c'))).not.toMatch(/\//);
+    expect(getUsageCountId(count('x'.repeat(1000), 'main')).length).toBeLessThan(300);
+  });
+});
+
+describe('countUsageHits', () => {
+  it('sums hits per component and ignores misses', () => {
+    expect(countUsageHits([
+      { outcome: 'hit', componentId: 'button', count: 3 },
+      { outcome: 'hit', componentId: 'button', count: 2 },
+      { outcome: 'hit', componentId: 'card', count: 1 },
+      { outcome: 'miss', componentId: 'button', count: 7 },
+    ])).toEqual({ button: 5, card: 1 });
+  });
+});
+
+describe('memory repository', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(T0);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const hit = { workspaceId: 'ws_team', outcome: 'hit', componentId: 'button', branch: 'main' };
+
+  it('adds each redirect event to its daily counter', async () => {
+    const repository = createMemoryRepository();
+    await repository.recordRedirectEvent(hit);
+    await repository.recordRedirectEvent(hit);
+    jest.setSystemTime(T0 + HOUR_MS);
+    await repository.recordRedirectEvent(hit);
+    await repository.recordRedirectEvent({ workspaceId: null, outcome: 'miss', componentId: 'nope', branch: null, reason: 'component-not-found' });
+
+    expect(await repository.listUsageCounts('ws_team', T0)).toEqual([
+      { ...hit, day: '2024-06-01', reason: null, count: 2, lastSeenAt: T0 },
+      { ...hit, day: '2024-06-02', reason: null, count: 1, lastSeenAt: T0 + HOUR_MS },
+    ]);
+    expect(await repository.listUsageCounts('ws_team', T0 + HOUR_MS)).toHaveLength(1);
+    expect(await repository.listUsageCounts(null, T0)).toMatchObject([{ componentId: 'nope', count: 1 }]);
+    expect(await repository.countHits('ws_team', T0)).toEqual({ button: 3 });
+  });
+
+  it('drops raw events after 30 days but keeps the counters', async () => {
+    const onChange = jest.fn();
+    const repository = createMemoryRepository({ onChange });
+    await repository.recordRedirectEvent(hit);
+    jest.setSystemTime(T0 + 31 * DAY_MS);
+    await repository.recordRedirectEvent(hit);
+
+    const state = onChange.mock.calls[1][0];
+    expect(state.events).toHaveLength(1);
+    expect(await repository.countHits('ws_team', T0)).toEqual({ button: 2 });
+  });
+});
@@ -0,0 +1,105 @@
+// Validation for component input coming from the admin API and bulk imports.
+// It applies the same rules, with the same messages, as the add/edit forms.
+const {
+  generateComponentId,
+  normalizeLabel,
+  normalizeTags,
+  isValidTargetUrl,
+  validateComponentName,
+  validateLabels,
+  validateSlug,
+} = require('./components');
+const { normalizeBranchName, validateBranchRows } = require('./branches');
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validates a component payload of the form
+ * { name, branches: { name: url }, defaultBranch, slug?, aliases?, redirectAliases?, tags?, collection?,
+ *   clientRules?, fallbackUrl? }.
+ * Slugs and aliases are checked after normalizing them with generateComponentId(), like the form does.
+ * Only the shape of `clientRules` is checked here; validateClientRules() needs the merged component,
+ * since a rule may use a fallback URL that is already stored.
+ * With `partial: true` (for updates) missing fields are allowed, but present ones must be valid.
+ * With `allowNullBranches: true` a branch URL may be null, meaning "remove this branch".
+ * Returns a list of { field, message } errors; an empty list means the payload is valid.
+ */
+const validateComponentInput = (input, { partial = false, allowNullBranches = false } = {}) => {
+  if (!isPlainObject(input)) return [{ field: null, message: 'The request body must be a JSON object.' }];
+
+  const errors = [];
+  if (!partial || input.name !== undefined) {
+    const nameError = validateComponentName(input.name);
+    if (nameError) errors.push({ field: 'name', message: nameError });
+  }
+
+  if (!partial || input.branches !== undefined) {
+    if (!isPlainObject(input.branches)) {
+      errors.push({ field: 'branches', message: 'Branches must be an object mapping branch names to URLs.' });
+    } else {
+      const rows = Object.entries(input.branches)
+        .filter(([, url]) => !(allowNullBranches && url === null))
+        .map(([name, url]) => ({ name, url: typeof url === 'string' ? url : '' }));
+      // A partial update may consist only of removals.
+      const branchError = rows.length || !partial ? validateBranchRows(rows) : null;
+      if (branchError) errors.push({ field: 'branches', message: branchError });
+    }
+  }
+
+  if (input.defaultBranch !== undefined && input.defaultBranch !== null) {
+    if (typeof input.defaultBranch !== 'string' || !normalizeBranchName(input.defaultBranch)) {
+      errors.push({ field: 'defaultBranch', message: 'The default branch must be a branch name.' });
+    } else if (!partial && isPlainObject(input.branches) && !Object.keys(input.branches).map(normalizeBranchName).includes(normalizeBranchName(input.defaultBranch))) {
+      errors.push({ field: 'defaultBranch', message: `The default branch '${input.defaultBranch}' is not one of the component's branches.` });
+    }
+  }
+
+  if (input.slug !== undefined) {
+    const slugError = typeof input.slug === 'string' ? validateSlug(generateComponentId(input.slug)) : 'The slug must be a string.';
+    if (slugError) errors.push({ field: 'slug', message: slugError });
+  }
+
+  if (input.aliases !== undefined) {
+    if (!Array.isArray(input.aliases) || input.aliases.some((alias) => typeof alias !== 'string')) {
+      errors.push({ field: 'aliases', message: 'Aliases must be a list of slugs.' });
+    } else {
+      input.aliases.forEach((alias) => {
+        const aliasError = validateSlug(generateComponentId(alias));
+        if (aliasError) errors.push({ field: 'aliases', message: `Alias '${alias}': ${aliasError}` });
+      });
+    }
+  }
+
+  if (input.redirectAliases !== undefined && typeof input.redirectAliases !== 'boolean') {
+    errors.push({ field: 'redirectAliases', message: 'redirectAliases must be true or false.' });
+  }
+
+  if (input.tags !== undefined) {
+    if (!Array.isArray(input.tags) || input.tags.some((tag) => typeof tag !== 'string')) {
+      errors.push({ field: 'tags', message: 'Tags must be a list of strings.' });
+    } else {
+      const tagError = validateLabels({ tags: normalizeTags(input.tags) });
+      if (tagError) errors.push({ field: 'tags', message: tagError });
+    }
+  }
+
+  if (input.collection !== undefined && input.collection !== null) {
+    const collectionError = typeof input.collection === 'string'
+      ? validateLabels({ collection: normalizeLabel(input.collection) })
+      : 'The collection must be a string, or null for none.';
+    if (collectionError) errors.push({ field: 'collection', message: collectionError });
+  }
+
+  if (input.clientRules !== undefined && (!Array.isArray(input.clientRules)
+    || input.clientRules.some((rule) => !isPlainObject(rule) || ['type', 'value', 'target'].some((key) => typeof rule[key] !== 'string')))) {
+    errors.push({ field: 'clientRules', message: 'Client rules must be a list of { type, value, target } objects.' });
+  }
+
+  if (input.fallbackUrl !== undefined && input.fallbackUrl !== null
+    && (typeof input.fallbackUrl !== 'string' || !isValidTargetUrl(input.fallbackUrl))) {
+    errors.push({ field: 'fallbackUrl', message: 'The fallback URL must be a valid http(s) URL, or null for none.' });
+  }
+  return errors;
+};
+
+module.exports = { validateComponentInput };
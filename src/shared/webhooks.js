@@ -0,0 +1,87 @@
+// Outgoing webhook settings and delivery states shared by the dashboard and the dispatcher.
+//
+// A webhook is { workspaceId, componentId (null for the whole workspace), url, format, events,
+// secret, enabled, createdBy, createdAt }. Deliveries are written by api/_lib/webhooks.js only.
+const { isValidTargetUrl } = require('./components');
+
+// Secrets look like "whsec_<43 base64url characters>"; receivers use them to check signatures.
+const WEBHOOK_SECRET_PREFIX = 'whsec_';
+
+const WEBHOOK_FORMATS = {
+  json: 'JSON',
+  slack: 'Slack message',
+};
+
+// History actions a webhook can subscribe to. Restoring a deleted component counts as creating it;
+// rolling a component back to an earlier version, or a scheduled change taking effect, as updating it.
+const WEBHOOK_EVENTS = {
+  create: 'Created',
+  update: 'Updated',
+  delete: 'Deleted',
+};
+
+const WEBHOOK_DELIVERY_STATUSES = {
+  pending: 'Pending',
+  delivered: 'Delivered',
+  failed: 'Failed',
+};
+
+// A delivery is attempted once and then retried after each of these delays, in minutes.
+const WEBHOOK_RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 360];
+const WEBHOOK_MAX_ATTEMPTS = WEBHOOK_RETRY_DELAYS_MINUTES.length + 1;
+
+// How many recent deliveries the dashboard's delivery log shows, and how long Firestore keeps them.
+const WEBHOOK_DELIVERY_LOG_SIZE = 50;
+const WEBHOOK_DELIVERY_RETENTION_DAYS = 30;
+
+/**
+ * The webhook event for a 'componentHistory' entry, or for a scheduled change the dispatcher found
+ * (action 'schedule'). Both restores are written with the 'restore' action; only a deleted
+ * component coming back has no `before`.
+ */
+const getWebhookEvent = (entry) => {
+  if (entry.action === 'schedule') return 'update';
+  if (entry.action !== 'restore') return entry.action;
+  return entry.before ? 'update' : 'create';
+};
+
+/**
+ * The wait before retrying a delivery that has failed `attempts` times, or null when it has run out of attempts.
+ */
+const getRetryDelay = (attempts) => (attempts < WEBHOOK_MAX_ATTEMPTS ? WEBHOOK_RETRY_DELAYS_MINUTES[attempts - 1] * 60 * 1000 : null);
+
+/**
+ * True if the webhook should be told about a 'componentHistory' entry. Changes made before the
+ * webhook existed are never sent.
+ */
+const isWebhookSubscribed = (webhook, entry, entryTime) => webhook.enabled !== false
+  && webhook.workspaceId === entry.workspaceId
+  && (!webhook.componentId || webhook.componentId === entry.componentId)
+  && (webhook.events || []).includes(getWebhookEvent(entry))
+  && (!webhook.createdAt || webhook.createdAt <= entryTime);
+
+/**
+ * Validates the editable fields of a webhook. Returns an error message, or null.
+ */
+const validateWebhook = ({ url, format, events }) => {
+  if (!isValidTargetUrl(url)) return 'Enter a valid http(s) URL for the webhook.';
+  if (!WEBHOOK_FORMATS[format]) return 'Choose a format for the webhook.';
+  if (!events || !events.length) return 'Choose at least one event to send.';
+  if (events.some((event) => !WEBHOOK_EVENTS[event])) return 'Unknown webhook event.';
+  return null;
+};
+
+module.exports = {
+  WEBHOOK_SECRET_PREFIX,
+  WEBHOOK_FORMATS,
+  WEBHOOK_EVENTS,
+  WEBHOOK_DELIVERY_STATUSES,
+  WEBHOOK_RETRY_DELAYS_MINUTES,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_DELIVERY_LOG_SIZE,
+  WEBHOOK_DELIVERY_RETENTION_DAYS,
+  getWebhookEvent,
+  getRetryDelay,
+  isWebhookSubscribed,
+  validateWebhook,
+};
@@ -0,0 +1,53 @@
+import { getWebhookEvent, getRetryDelay, isWebhookSubscribed, validateWebhook, WEBHOOK_MAX_ATTEMPTS } from './webhooks';
+
+const MINUTE_MS = 60 * 1000;
+
+describe('getWebhookEvent', () => {
+  it('passes create, update and delete through', () => {
+    expect(getWebhookEvent({ action: 'create', before: null })).toBe('create');
+    expect(getWebhookEvent({ action: 'update', before: {} })).toBe('update');
+    expect(getWebhookEvent({ action: 'delete', before: {} })).toBe('delete');
+  });
+
+  it('treats restoring a deleted component as a create and a rollback as an update', () => {
+    expect(getWebhookEvent({ action: 'restore', before: null, after: { name: 'Button' } })).toBe('create');
+    expect(getWebhookEvent({ action: 'restore', before: { name: 'Button' }, after: { name: 'Button' } })).toBe('update');
+  });
+});
+
+describe('getRetryDelay', () => {
+  it('backs off after each failed attempt', () => {
+    expect([1, 2, 3, 4, 5].map(getRetryDelay)).toEqual([1, 5, 30, 120, 360].map((minutes) => minutes * MINUTE_MS));
+  });
+
+  it('gives up after the last attempt', () => {
+    expect(getRetryDelay(WEBHOOK_MAX_ATTEMPTS)).toBeNull();
+  });
+});
+
+describe('isWebhookSubscribed', () => {
+  const webhook = { workspaceId: 'ws_team', componentId: null, events: ['update'], enabled: true, createdAt: 1000 };
+  const rollback = { workspaceId: 'ws_team', componentId: 'button', action: 'restore', before: { name: 'Button' }, after: { name: 'Button' } };
+
+  it('matches rollbacks for update subscribers only', () => {
+    expect(isWebhookSubscribed(webhook, rollback, 2000)).toBe(true);
+    expect(isWebhookSubscribed({ ...webhook, events: ['create'] }, rollback, 2000)).toBe(false);
+  });
+
+  it('skips other workspaces, other components, disabled webhooks and older changes', () => {
+    expect(isWebhookSubscribed({ ...webhook, workspaceId: 'ws_other' }, rollback, 2000)).toBe(false);
+    expect(isWebhookSubscribed({ ...webhook, componentId: 'slider' }, rollback, 2000)).toBe(false);
+    expect(isWebhookSubscribed({ ...webhook, enabled: false }, rollback, 2000)).toBe(false);
+    expect(isWebhookSubscribed(webhook, rollback, 500)).toBe(false);
+  });
+});
+
+describe('validateWebhook', () => {
+  it('needs an http(s) URL, a format and known events', () => {
+    expect(validateWebhook({ url: 'https://hooks.example.com/x', format: 'json', events: ['create'] })).toBeNull();
+    expect(validateWebhook({ url: 'nope', format: 'json', events: ['create'] })).toMatch(/valid http/);
+    expect(validateWebhook({ url: 'https://hooks.example.com/x', format: 'xml', events: ['create'] })).toMatch(/format/);
+    expect(validateWebhook({ url: 'https://hooks.example.com/x', format: 'json', events: [] })).toMatch(/at least one/);
+    expect(validateWebhook({ url: 'https://hooks.example.com/x', format: 'json', events: ['rename'] })).toBe('Unknown webhook event.');
+  });
+});
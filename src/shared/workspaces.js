@@ -0,0 +1,47 @@
+// Workspace roles shared by the React app and the serverless functions.
+// firestore.rules enforces the same rules on the server.
+
+const ROLES = {
+  owner: 'Owner',
+  editor: 'Editor',
+  viewer: 'Viewer',
+};
+
+// Shared workspaces get IDs like "ws_<random>"; personal ones use their owner's uid.
+// firestore.rules checks the prefix, so a user can't create another user's personal workspace.
+const SHARED_WORKSPACE_ID_PREFIX = 'ws_';
+
+// Roles allowed to create, edit and delete components.
+const EDITOR_ROLES = ['owner', 'editor'];
+
+const canEdit = (role) => EDITOR_ROLES.includes(role);
+const canManageMembers = (role) => role === 'owner';
+
+/**
+ * Returns the ID of the workspace a component belongs to. Components created before
+ * workspaces existed only have the creator's `uid`, and every user's personal workspace
+ * uses their uid as its ID, so those components belong to the creator's personal workspace.
+ */
+const getComponentWorkspaceId = (data) => (data && (data.workspaceId || data.uid)) || null;
+
+/**
+ * Returns the role of `uid` in a workspace document, or null if they are not a member.
+ */
+const getMemberRole = (workspace, uid) => (workspace && workspace.members && workspace.members[uid]) || null;
+
+/**
+ * The ID of an invitation document. Security rules rebuild it from the signed-in
+ * user's email, so it must stay in sync with firestore.rules.
+ */
+const getInviteId = (workspaceId, email) => `${workspaceId}_${String(email || '').trim().toLowerCase()}`;
+
+module.exports = {
+  SHARED_WORKSPACE_ID_PREFIX,
+  ROLES,
+  EDITOR_ROLES,
+  canEdit,
+  canManageMembers,
+  getComponentWorkspaceId,
+  getMemberRole,
+  getInviteId,
+};
@@ -0,0 +1,169 @@
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    query,
+    where,
+    orderBy,
+    limit,
+    onSnapshot,
+    writeBatch,
+    addDoc,
+    setDoc,
+    updateDoc,
+    deleteDoc,
+    serverTimestamp,
+    Timestamp
+} from 'firebase/firestore';
+import {
+    toStoredComponent,
+    diffSlugClaims,
+    createHistoryEntry,
+    createDeletedRecord,
+    getDeletedRecordId,
+    getDeletedComponentId
+} from '../shared/storage/repository';
+import { toUsageDay, countUsageHits } from '../shared/usage';
+import { getComponentWorkspaceId } from '../shared/workspaces';
+import { WEBHOOK_DELIVERY_LOG_SIZE } from '../shared/webhooks';
+
+// --- Firestore Component Repository ---
+// The dashboard's ComponentRepository (see src/shared/storage/repository.js) on the Firebase
+// client SDK. Every write is committed in the same batch as its 'componentHistory' entry, so the
+// history can never drift from the data. Security rules decide what the signed-in user may do.
+
+const toDate = (value) => (value && value.toDate ? value.toDate() : value || null);
+
+const toComponents = (snapshot) => snapshot.docs.map((snap) => ({ id: snap.id, ...snap.data() }));
+const toHistory = (snapshot) => snapshot.docs.map((snap) => ({ id: snap.id, ...snap.data(), timestamp: toDate(snap.get('timestamp')) }));
+// TTL deletion can lag behind `expiresAt`, so hide expired records ourselves.
+const toDeleted = (snapshot) => snapshot.docs
+    .map((snap) => ({ id: snap.id, ...snap.data(), deletedAt: toDate(snap.get('deletedAt')), expiresAt: toDate(snap.get('expiresAt')) }))
+    .filter((record) => !record.expiresAt || record.expiresAt.getTime() > Date.now());
+const toReports = (snapshot) => snapshot.docs
+    .map((snap) => ({ id: snap.id, ...snap.data(), createdAt: toDate(snap.get('createdAt')) }))
+    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+// Webhooks and deliveries keep times as epoch ms; a delivery's `expiresAt` Timestamp is only there for the TTL policy.
+const toDocs = (snapshot) => snapshot.docs.map((snap) => {
+    const { expiresAt, ...data } = snap.data();
+    return { id: snap.id, ...data };
+});
+
+export const createFirestoreRepository = (db) => {
+    const historyCollection = collection(db, 'componentHistory');
+
+    const componentsQuery = (workspaceId) => query(collection(db, 'components'), where('workspaceId', '==', workspaceId));
+    // Rules are not filters: the workspace condition the read rule checks must be in the query too.
+    const historyQuery = (workspaceId, componentId) => query(historyCollection, where('workspaceId', '==', workspaceId), where('componentId', '==', componentId), orderBy('timestamp', 'desc'));
+    const deletedQuery = (workspaceId) => query(collection(db, 'deletedComponents'), where('workspaceId', '==', workspaceId));
+    const reportsQuery = (workspaceId) => query(collection(db, 'linkReports'), where('workspaceId', '==', workspaceId), where('resolvedAt', '==', null));
+    const webhooksQuery = (workspaceId) => query(collection(db, 'webhooks'), where('workspaceId', '==', workspaceId));
+    const deliveriesQuery = (workspaceId) => query(collection(db, 'webhookDeliveries'), where('workspaceId', '==', workspaceId), orderBy('createdAt', 'desc'), limit(WEBHOOK_DELIVERY_LOG_SIZE));
+    const usageQuery = (workspaceId, since) => query(collection(db, 'redirectCounts'), where('workspaceId', '==', workspaceId), where('day', '>=', toUsageDay(since)));
+
+    const subscribe = (q, map, onNext, onError) => onSnapshot(q, (snapshot) => onNext(map(snapshot)), onError);
+
+    const getComponent = async (id) => {
+        const snap = await getDoc(doc(db, 'components', id));
+        return snap.exists() ? { id, ...snap.data() } : null;
+    };
+    const listUsageCounts = async (workspaceId, since) => (await getDocs(usageQuery(workspaceId, since))).docs.map((snap) => snap.data());
+
+    // Security rules hide documents in workspaces the user can't see, so a permission error also means the slug is taken.
+    const existsOrHidden = async (ref) => {
+        try {
+            return (await getDoc(ref)).exists();
+        } catch (err) {
+            if (err.code === 'permission-denied') return true;
+            throw err;
+        }
+    };
+
+    // Keeps the 'slugs' collection in step with a component's slug and aliases (see diffSlugClaims).
+    const updateSlugClaims = (batch, id, before, after) => {
+        const { added, removed } = diffSlugClaims(id, before, after);
+        removed.forEach((slug) => batch.delete(doc(db, 'slugs', slug)));
+        added.forEach((slug) => batch.set(doc(db, 'slugs', slug), { componentId: id, workspaceId: getComponentWorkspaceId(after) }));
+    };
+
+    const addHistoryEntry = (batch, fields) => {
+        batch.set(doc(historyCollection), createHistoryEntry({ ...fields, timestamp: serverTimestamp() }));
+    };
+
+    return {
+        getComponent,
+        getComponentBySlug: async (slug) => {
+            const component = await getComponent(slug);
+            if (component) return component;
+            const claim = await getDoc(doc(db, 'slugs', slug));
+            return claim.exists() ? getComponent(claim.get('componentId')) : null;
+        },
+        isSlugTaken: async (slug) => {
+            const [component, claim] = await Promise.all([existsOrHidden(doc(db, 'components', slug)), existsOrHidden(doc(db, 'slugs', slug))]);
+            return component || claim;
+        },
+        listComponents: async (workspaceId) => toComponents(await getDocs(componentsQuery(workspaceId))),
+        listHistory: async (workspaceId, componentId) => toHistory(await getDocs(historyQuery(workspaceId, componentId))),
+        listDeleted: async (workspaceId) => toDeleted(await getDocs(deletedQuery(workspaceId))),
+        listLinkReports: async (workspaceId) => toReports(await getDocs(reportsQuery(workspaceId))),
+        listUsageCounts,
+        countHits: async (workspaceId, since) => countUsageHits(await listUsageCounts(workspaceId, since)),
+        subscribeComponents: (workspaceId, onNext, onError) => subscribe(componentsQuery(workspaceId), toComponents, onNext, onError),
+        subscribeHistory: (workspaceId, componentId, onNext, onError) => subscribe(historyQuery(workspaceId, componentId), toHistory, onNext, onError),
+        subscribeDeleted: (workspaceId, onNext, onError) => subscribe(deletedQuery(workspaceId), toDeleted, onNext, onError),
+        subscribeLinkReports: (workspaceId, onNext, onError) => subscribe(reportsQuery(workspaceId), toReports, onNext, onError),
+        listWebhooks: async (workspaceId) => toDocs(await getDocs(webhooksQuery(workspaceId))),
+        listWebhookDeliveries: async (workspaceId) => toDocs(await getDocs(deliveriesQuery(workspaceId))),
+        subscribeWebhooks: (workspaceId, onNext, onError) => subscribe(webhooksQuery(workspaceId), toDocs, onNext, onError),
+        subscribeWebhookDeliveries: (workspaceId, onNext, onError) => subscribe(deliveriesQuery(workspaceId), toDocs, onNext, onError),
+
+        saveComponents: async (changes, actor) => {
+            const batch = writeBatch(db);
+            changes.forEach(({ id, action, before, after }) => {
+                // `after` is the full new document; it replaces `before` rather than being merged into it,
+                // so legacy fields that are no longer present are dropped.
+                const data = toStoredComponent(after, before);
+                batch.set(doc(db, 'components', id), data);
+                updateSlugClaims(batch, id, before, data);
+                addHistoryEntry(batch, { componentId: id, action, actor, before, after: data });
+            });
+            await batch.commit();
+        },
+
+        deleteComponent: async (component, actor) => {
+            const now = Date.now();
+            const record = createDeletedRecord({ component, actor, deletedAt: serverTimestamp(), now });
+            const batch = writeBatch(db);
+            batch.delete(doc(db, 'components', component.id));
+            // Its slugs are released; restoring it claims them again if they are still free.
+            updateSlugClaims(batch, component.id, component, null);
+            batch.set(doc(db, 'deletedComponents', getDeletedRecordId(component.id, now)), { ...record, expiresAt: Timestamp.fromMillis(record.expiresAt) });
+            addHistoryEntry(batch, { componentId: component.id, action: 'delete', actor, before: component, after: null });
+            await batch.commit();
+        },
+
+        restoreDeletedComponent: async (record, actor) => {
+            const componentId = getDeletedComponentId(record);
+            const data = toStoredComponent(record.data, null);
+            const batch = writeBatch(db);
+            batch.set(doc(db, 'components', componentId), data);
+            updateSlugClaims(batch, componentId, null, data);
+            batch.delete(doc(db, 'deletedComponents', record.id));
+            addHistoryEntry(batch, { componentId, action: 'restore', actor, before: null, after: data });
+            await batch.commit();
+        },
+
+        resolveLinkReport: async (reportId, actor) => {
+            await updateDoc(doc(db, 'linkReports', reportId), { resolvedAt: serverTimestamp(), resolvedBy: actor });
+        },
+
+        saveWebhook: async ({ id, ...webhook }) => {
+            if (!id) return (await addDoc(collection(db, 'webhooks'), webhook)).id;
+            await setDoc(doc(db, 'webhooks', id), webhook);
+            return id;
+        },
+
+        deleteWebhook: (webhookId) => deleteDoc(doc(db, 'webhooks', webhookId)),
+    };
+};
@@ -0,0 +1,93 @@
+// --- HTTP Component Repository ---
+// Talks to the storage endpoint that the local dev server (src/setupProxy.js) serves on top of
+// the JSON-file repository, so the dashboard and /r/ share one file while running offline.
+// There are no live updates over HTTP, so subscriptions poll, and refresh right after our own writes.
+
+export const LOCAL_STORAGE_ENDPOINT = '/__local/storage';
+const POLL_INTERVAL_MS = 2000;
+
+// JSON turns Dates into ISO strings; turn the known date fields back into Dates.
+const DATE_FIELDS = ['timestamp', 'deletedAt', 'expiresAt', 'createdAt'];
+const reviveDates = (records) => records.map((record) => {
+    const revived = { ...record };
+    DATE_FIELDS.forEach((field) => {
+        if (revived[field]) revived[field] = new Date(revived[field]);
+    });
+    return revived;
+});
+
+export const createHttpRepository = (endpoint = LOCAL_STORAGE_ENDPOINT) => {
+    const pollers = new Set();
+
+    const call = async (method, ...args) => {
+        const response = await fetch(`${endpoint}/${method}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(args),
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(body.error || `Local storage request '${method}' failed with status ${response.status}.`);
+        return body.result;
+    };
+
+    const listHistory = async (workspaceId, componentId) => reviveDates(await call('listHistory', workspaceId, componentId));
+    const listDeleted = async (workspaceId) => reviveDates(await call('listDeleted', workspaceId));
+    const listComponents = (workspaceId) => call('listComponents', workspaceId);
+    const listLinkReports = async (workspaceId) => reviveDates(await call('listLinkReports', workspaceId));
+    // Webhooks and deliveries already use epoch ms.
+    const listWebhooks = (workspaceId) => call('listWebhooks', workspaceId);
+    const listWebhookDeliveries = (workspaceId) => call('listWebhookDeliveries', workspaceId);
+
+    // Calls onNext with the first result and again whenever it changes.
+    const poll = (read, onNext, onError) => {
+        let last = null;
+        let stopped = false;
+        const tick = () => read().then((result) => {
+            const serialized = JSON.stringify(result);
+            if (!stopped && serialized !== last) {
+                last = serialized;
+                onNext(result);
+            }
+        }, (err) => !stopped && onError(err));
+        tick();
+        const interval = setInterval(tick, POLL_INTERVAL_MS);
+        pollers.add(tick);
+        return () => {
+            stopped = true;
+            clearInterval(interval);
+            pollers.delete(tick);
+        };
+    };
+
+    const write = async (method, ...args) => {
+        const result = await call(method, ...args);
+        pollers.forEach((tick) => tick());
+        return result;
+    };
+
+    return {
+        getComponent: (id) => call('getComponent', id),
+        getComponentBySlug: (slug) => call('getComponentBySlug', slug),
+        isSlugTaken: (slug) => call('isSlugTaken', slug),
+        countHits: (workspaceId, since) => call('countHits', workspaceId, since),
+        listUsageCounts: (workspaceId, since) => call('listUsageCounts', workspaceId, since),
+        listComponents,
+        listHistory,
+        listDeleted,
+        listLinkReports,
+        listWebhooks,
+        listWebhookDeliveries,
+        subscribeComponents: (workspaceId, onNext, onError) => poll(() => listComponents(workspaceId), onNext, onError),
+        subscribeHistory: (workspaceId, componentId, onNext, onError) => poll(() => listHistory(workspaceId, componentId), onNext, onError),
+        subscribeDeleted: (workspaceId, onNext, onError) => poll(() => listDeleted(workspaceId), onNext, onError),
+        subscribeLinkReports: (workspaceId, onNext, onError) => poll(() => listLinkReports(workspaceId), onNext, onError),
+        subscribeWebhooks: (workspaceId, onNext, onError) => poll(() => listWebhooks(workspaceId), onNext, onError),
+        subscribeWebhookDeliveries: (workspaceId, onNext, onError) => poll(() => listWebhookDeliveries(workspaceId), onNext, onError),
+        saveComponents: (changes, actor) => write('saveComponents', changes, actor),
+        deleteComponent: (component, actor) => write('deleteComponent', component, actor),
+        restoreDeletedComponent: (record, actor) => write('restoreDeletedComponent', record, actor),
+        resolveLinkReport: (reportId, actor) => write('resolveLinkReport', reportId, actor),
+        saveWebhook: (webhook) => write('saveWebhook', webhook),
+        deleteWebhook: (webhookId) => write('deleteWebhook', webhookId),
+    };
+};
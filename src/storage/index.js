@@ -0,0 +1,23 @@
+import { db, isFirebaseEnabled } from '../firebase';
+import { createFirestoreRepository } from './firestoreRepository';
+import { createHttpRepository } from './httpRepository';
+
+// --- Component Storage ---
+// The dashboard reads and writes components only through `repository`. Which backend it uses
+// is chosen at build time:
+//   REACT_APP_STORAGE_BACKEND unset   Firestore, with Firebase sign-in and workspaces
+//   REACT_APP_STORAGE_BACKEND=local   the local dev server's JSON file (see src/setupProxy.js), no Firebase at all
+
+export const isLocalStorage = !isFirebaseEnabled;
+
+export const repository = isLocalStorage ? createHttpRepository() : createFirestoreRepository(db);
+
+// Local mode has no sign-in: one local user owns one local workspace.
+export const LOCAL_USER = { uid: 'local', email: 'local@localhost' };
+export const LOCAL_WORKSPACE = {
+    id: 'local',
+    name: 'Local',
+    members: { [LOCAL_USER.uid]: 'owner' },
+    memberUids: [LOCAL_USER.uid],
+    memberEmails: { [LOCAL_USER.uid]: LOCAL_USER.email },
+};
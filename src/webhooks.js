@@ -0,0 +1,36 @@
+import { auth } from './firebase';
+import { WEBHOOK_SECRET_PREFIX } from './shared/webhooks';
+
+// --- Outgoing webhooks ---
+// Webhooks are stored through the component repository; deliveries are queued and sent by
+// api/webhooks.js, which reads every change from the component history.
+
+const toBase64Url = (bytes) => btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+/**
+ * A new random signing secret. Receivers use it to check the `X-Webhook-Signature` header.
+ */
+export const createWebhookSecret = () => WEBHOOK_SECRET_PREFIX + toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+
+const postWebhooks = async (params = {}) => {
+    const headers = {};
+    // Local storage mode has no Firebase Auth; the dev server runs webhooks without a token.
+    if (auth && auth.currentUser) headers.Authorization = `Bearer ${await auth.currentUser.getIdToken()}`;
+
+    const response = await fetch(`/api/webhooks?${new URLSearchParams(params)}`, { method: 'POST', headers });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error((body.error && body.error.message) || `Webhook request failed with status ${response.status}.`);
+    }
+    return body;
+};
+
+/**
+ * Sends a test delivery to one webhook. Resolves with { status } of the delivery.
+ */
+export const sendTestWebhook = (webhookId) => postWebhooks({ test: webhookId });
+
+/**
+ * Attempts a logged delivery again. Resolves with { status } of the delivery.
+ */
+export const retryWebhookDelivery = (deliveryId) => postWebhooks({ retry: deliveryId });
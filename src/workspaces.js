@@ -0,0 +1,85 @@
+import {
+    collection,
+    doc,
+    getDoc,
+    setDoc,
+    updateDoc,
+    deleteDoc,
+    writeBatch,
+    arrayUnion,
+    arrayRemove,
+    deleteField,
+    serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { SHARED_WORKSPACE_ID_PREFIX, getInviteId } from './shared/workspaces';
+
+// --- Workspaces and memberships ---
+// A workspace document holds `members` ({ uid: role }), `memberUids` (for array-contains
+// queries) and `memberEmails` ({ uid: email }, for display). firestore.rules enforces who
+// may change what; these helpers only shape the writes.
+
+/**
+ * Creates the user's personal workspace on first login. Its ID is the user's uid, which is
+ * also the `uid` on components created before workspaces existed. Those components are moved
+ * into it by scripts/migrateLegacyComponents.js, not by the dashboard.
+ */
+export const ensurePersonalWorkspace = async (user) => {
+    const workspaceRef = doc(db, 'workspaces', user.uid);
+    if ((await getDoc(workspaceRef)).exists()) return;
+    await setDoc(workspaceRef, {
+        name: 'Personal',
+        members: { [user.uid]: 'owner' },
+        memberUids: [user.uid],
+        memberEmails: { [user.uid]: user.email || null },
+        createdBy: user.uid,
+        createdAt: serverTimestamp(),
+    });
+};
+
+export const createWorkspace = async (user, name) => {
+    const workspaceRef = doc(db, 'workspaces', SHARED_WORKSPACE_ID_PREFIX + doc(collection(db, 'workspaces')).id);
+    await setDoc(workspaceRef, {
+        name,
+        members: { [user.uid]: 'owner' },
+        memberUids: [user.uid],
+        memberEmails: { [user.uid]: user.email || null },
+        createdBy: user.uid,
+        createdAt: serverTimestamp(),
+    });
+    return workspaceRef.id;
+};
+
+export const inviteMember = (user, workspace, email, role) => {
+    const normalizedEmail = email.trim().toLowerCase();
+    return setDoc(doc(db, 'workspaceInvites', getInviteId(workspace.id, normalizedEmail)), {
+        workspaceId: workspace.id,
+        workspaceName: workspace.name,
+        email: normalizedEmail,
+        role,
+        invitedBy: user.email || user.uid,
+        createdAt: serverTimestamp(),
+    });
+};
+
+export const deleteInvite = (inviteId) => deleteDoc(doc(db, 'workspaceInvites', inviteId));
+
+// Joins the workspace with the invited role and removes the invite in one batch.
+export const acceptInvite = async (user, invite) => {
+    const batch = writeBatch(db);
+    batch.update(doc(db, 'workspaces', invite.workspaceId), {
+        [`members.${user.uid}`]: invite.role,
+        [`memberEmails.${user.uid}`]: user.email || null,
+        memberUids: arrayUnion(user.uid),
+    });
+    batch.delete(doc(db, 'workspaceInvites', invite.id));
+    await batch.commit();
+};
+
+export const updateMemberRole = (workspaceId, uid, role) => updateDoc(doc(db, 'workspaces', workspaceId), { [`members.${uid}`]: role });
+
+export const removeMember = (workspaceId, uid) => updateDoc(doc(db, 'workspaces', workspaceId), {
+    [`members.${uid}`]: deleteField(),
+    [`memberEmails.${uid}`]: deleteField(),
+    memberUids: arrayRemove(uid),
+});